@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// scripts/offer-changes.mjs
+// Reports which offers were added, removed or modified since the last recorded feed
+// version (public/offer_history.json), per site and per card, with the same snapshot and
+// diff the app uses (src/offerChanges.js). --record then saves the current feeds as the
+// latest version: run it with each feed refresh so the app's "New this week" badges and
+// "What's changed" panel stay current.
+//
+//   npm run offers:changes                        # changes since the last recorded version
+//   npm run offers:changes -- --record            # ...and record the current feeds
+//   npm run offers:changes -- --from old/public   # compare with another copy of the feeds
+//   npm run offers:changes -- --card "HDFC Bank Millennia Credit Card"
+//   npm run offers:changes -- --all-cards         # every affected card, not the top ones
+//   npm run offers:changes -- --json              # the diff as JSON
+//   npm run offers:changes -- --dir some/other/public
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { EMPTY_HISTORY, diffSnapshots, recordSnapshot, snapshotOffers } from "../src/offerChanges.js";
+import { REGISTRY_FILE, loadFeeds, parseRegistry } from "../src/offerEngine.js";
+
+const TOP_CARDS = 15;
+
+/** -------------------- HELPERS -------------------- */
+const readFrom = (dir) => async (file) => fs.promises.readFile(path.join(dir, file), "utf8");
+
+/** loadFeeds() for a directory; a file that can't be read (or a broken history) is an error here */
+async function loadDir(dir) {
+  const data = await loadFeeds(readFrom(dir));
+  const failed = Object.entries(data.errors);
+  if (failed.length) {
+    throw new Error(failed.map(([file, msg]) => `${path.join(dir, file)}: ${msg}`).join("\n"));
+  }
+  return data;
+}
+
+const when = (iso) => (iso ? iso.replace("T", " ").slice(0, 16) : "?");
+
+const countsText = ({ added, removed, modified }) => `${added} added, ${removed} removed, ${modified} modified`;
+
+/** "(desc, cards +2 -1)" for a modified offer */
+function fieldsText({ fields, cardsAdded, cardsRemoved }) {
+  const parts = fields.map((f) =>
+    f === "cards" ? `cards +${cardsAdded.length} -${cardsRemoved.length}` : f === "desc" ? "terms" : f
+  );
+  return `(${parts.join(", ")})`;
+}
+
+/** Text report of a diffSnapshots() result */
+function report(diff, { card = "", allCards = false } = {}) {
+  const lines = [`Offer changes ${when(diff.from)} → ${when(diff.to)}: ${countsText(diff.counts)}`];
+  const line = (mark, e) => `  ${mark} ${e.title}${e.link ? ` <${e.link}>` : ""}`;
+
+  if (card) {
+    const name = Object.keys(diff.cards).find((n) => n.toLowerCase() === card.toLowerCase());
+    const c = name ? diff.cards[name] : null;
+    lines.push("", name || card);
+    if (!c) lines.push("  no changes");
+    else {
+      const site = (e) => `[${diff.sites.find((s) => s.id === e.site)?.label || e.site}] `;
+      c.added.forEach((e) => lines.push(line("+", { ...e, title: site(e) + e.title })));
+      c.removed.forEach((e) => lines.push(line("-", { ...e, title: site(e) + e.title })));
+      c.modified.forEach((e) => lines.push(`${line("~", { ...e, title: site(e) + e.title })} ${fieldsText(e)}`));
+    }
+    return lines.join("\n");
+  }
+
+  for (const site of diff.sites) {
+    lines.push("", `${site.label} — ${countsText({
+      added: site.added.length,
+      removed: site.removed.length,
+      modified: site.modified.length,
+    })}`);
+    site.added.forEach((e) => lines.push(line("+", e)));
+    site.removed.forEach((e) => lines.push(line("-", e)));
+    site.modified.forEach((e) => lines.push(`${line("~", e)} ${fieldsText(e)}`));
+  }
+
+  const cards = Object.entries(diff.cards)
+    .map(([name, c]) => ({ name, ...c, total: c.added.length + c.removed.length + c.modified.length }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  if (cards.length) {
+    const shown = allCards ? cards : cards.slice(0, TOP_CARDS);
+    lines.push("", `Cards — ${cards.length} affected${shown.length < cards.length ? `, top ${shown.length}` : ""}`);
+    for (const c of shown) {
+      lines.push(`  ${c.name}: +${c.added.length} -${c.removed.length} ~${c.modified.length}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/** -------------------- CLI -------------------- */
+function parseArgs(argv) {
+  const args = { record: false, json: false, allCards: false, from: "", dir: "", card: "" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--record") args.record = true;
+    else if (argv[i] === "--json") args.json = true;
+    else if (argv[i] === "--all-cards") args.allCards = true;
+    else if (argv[i] === "--from") args.from = argv[++i] || "";
+    else if (argv[i] === "--dir") args.dir = argv[++i] || "";
+    else if (argv[i] === "--card") args.card = argv[++i] || "";
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+  const dir = path.resolve(args.dir || path.join(root, "public"));
+  if (args.record && args.from) throw new Error("--record saves the feeds in --dir; drop --from");
+
+  const registry = parseRegistry(JSON.parse(await readFrom(dir)(REGISTRY_FILE)));
+  const historyPath = path.join(dir, registry.history);
+  const data = await loadDir(dir);
+  const history = data.history || EMPTY_HISTORY;
+
+  const before = args.from ? snapshotOffers(await loadDir(path.resolve(args.from))) : history.latest;
+  const current = snapshotOffers(data, { previous: before });
+  const diff = diffSnapshots(before, current);
+
+  if (args.json) console.log(JSON.stringify(diff, null, 2));
+  else if (!diff) console.log(`No recorded version in ${historyPath} yet; --record starts one.`);
+  else if (!diff.counts.total && !args.card) console.log(`No changes since ${when(diff.from)}.`);
+  else console.log(report(diff, args));
+
+  if (args.record) {
+    const next = recordSnapshot(history, current);
+    await fs.promises.writeFile(historyPath, JSON.stringify(next));
+    if (!args.json) console.log(`\nRecorded version ${when(current.takenAt)} in ${historyPath}`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    await main();
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
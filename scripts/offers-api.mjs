@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// scripts/offers-api.mjs
+// Local HTTP server answering the app's card-to-offer matching as JSON (src/offerApi.js)
+// for other tools: the feeds in public/ are loaded with the app's own parsing rules
+// (src/offerService.js) and reloaded when one of them changes on disk.
+//
+//   npm run offers:api                                   # http://127.0.0.1:4000
+//   npm run offers:api -- --port 8080 --host 0.0.0.0
+//   npm run offers:api -- --dir some/other/public
+//
+//   curl 'http://127.0.0.1:4000/sites'
+//   curl 'http://127.0.0.1:4000/instruments?type=credit&q=neo'
+//   curl 'http://127.0.0.1:4000/offers?card=Axis+Bank+Neo+Credit+Card&site=bookmyshow'
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createOfferApi } from "../src/offerApi.js";
+import { createOfferService } from "../src/offerService.js";
+
+const DEFAULT_PORT = 4000;
+/** Editors save in bursts (temp file, rename, chmod): reload once they're done */
+const RELOAD_DELAY_MS = 300;
+
+/** -------------------- HELPERS -------------------- */
+/** offerService's fetchFile for a directory: the text, dated by the file's mtime */
+const readFrom = (dir) => async (file) => {
+  const full = path.join(dir, file);
+  const [text, stat] = await Promise.all([fs.promises.readFile(full, "utf8"), fs.promises.stat(full)]);
+  return { text, date: stat.mtime.toUTCString() };
+};
+
+/** "12 sites, 1 failed to load (PVR.csv: ENOENT …)" */
+function loadSummary(catalog) {
+  const failed = Object.entries(catalog.errors);
+  const sites = `${catalog.feeds.length} site${catalog.feeds.length === 1 ? "" : "s"}`;
+  if (!failed.length) return sites;
+  const why = failed.map(([file, msg]) => `${file}: ${msg}`).join("; ");
+  return `${sites}, ${failed.length} file(s) failed to load (${why})`;
+}
+
+/** -------------------- CLI -------------------- */
+function parseArgs(argv) {
+  const args = { port: Number(process.env.PORT) || DEFAULT_PORT, host: "127.0.0.1", dir: "" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") args.port = Number(argv[++i]) || DEFAULT_PORT;
+    else if (argv[i] === "--host") args.host = argv[++i] || args.host;
+    else if (argv[i] === "--dir") args.dir = argv[++i] || "";
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+  const dir = path.resolve(args.dir || path.join(root, "public"));
+
+  const api = createOfferApi(() => createOfferService(readFrom(dir)));
+  const catalog = await api.load().catch((e) => {
+    throw new Error(`${dir}: ${e.message}`);
+  });
+  console.log(`Loaded ${loadSummary(catalog)} from ${dir}`);
+
+  // Hot reload: a change to any CSV or JSON in the folder (feeds.json, a feed, the
+  // aliases…) reloads everything; a reload that breaks feeds.json or a feed that loaded
+  // before (a half-saved file) throws and the API keeps answering from the last good load
+  let reloadTimer = null;
+  let reloading = Promise.resolve();
+  const reload = () => {
+    reloading = reloading
+      .then(() => api.load())
+      .then((next) => console.log(`Reloaded ${loadSummary(next)}`))
+      .catch((e) => console.error(`Reload failed: ${e.message}`));
+  };
+  fs.watch(dir, (event, file) => {
+    if (file && !/\.(csv|json)$/i.test(file)) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reload, RELOAD_DELAY_MS);
+  });
+
+  const server = http.createServer((req, res) => {
+    try {
+      const { status, headers, body } = api.handle(req.method, req.url, req.headers);
+      res.writeHead(status, headers);
+      res.end(body);
+    } catch (e) {
+      console.error(`${req.method} ${req.url}:`, e);
+      res.writeHead(500, { "Content-Type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify({ error: "Internal error" }));
+    }
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(args.port, args.host, resolve);
+  });
+  console.log(`Offers API on http://${args.host}:${args.port} (GET /sites, /instruments, /offers)`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    await main();
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// scripts/validate-feeds.mjs
+// Lints the hand-edited offer CSVs listed in public/feeds.json with the same registry,
+// field mapping and card-name normalization the app uses (the rules are in
+// src/offerLint.js), and the card_aliases.csv spellings table, which also gets a list of
+// card names that still look like duplicates. Row numbers are spreadsheet rows (header = 1).
+//
+//   npm run validate:feeds                 # errors -> exit 1
+//   npm run validate:feeds -- --strict     # warnings fail the run too
+//   npm run validate:feeds -- --dir some/other/public
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { NO_ALIASES, compileCardAliases } from "../src/offerData.js";
+import { REGISTRY_FILE, loadFeeds, nearDuplicateNames, parseRegistry } from "../src/offerEngine.js";
+import {
+  knownCardsFrom,
+  lintAllCards,
+  lintCardAliases,
+  lintOfferFeed,
+  lintPermanentFeed,
+  parseCsv,
+} from "../src/offerLint.js";
+
+/** -------------------- CLI -------------------- */
+function parseArgs(argv) {
+  const args = { strict: false, dir: "" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--strict") args.strict = true;
+    else if (argv[i] === "--dir") args.dir = argv[++i] || "";
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+  const dir = path.resolve(args.dir || path.join(root, "public"));
+
+  const read = (file) => {
+    try {
+      return fs.readFileSync(path.join(dir, file), "utf8");
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const reports = [];
+  const registryText = read(REGISTRY_FILE);
+  let registryJson = {};
+  let registry = { cards: "allCards.csv", aliases: "card_aliases.csv", feeds: [], problems: [] };
+  if (registryText === null) {
+    registry.problems.push(`Cannot read ${path.join(dir, REGISTRY_FILE)}`);
+  } else {
+    try {
+      registryJson = JSON.parse(registryText);
+      registry = parseRegistry(registryJson);
+    } catch (e) {
+      registry.problems.push(`Invalid JSON: ${e.message}`);
+    }
+  }
+  reports.push({
+    file: REGISTRY_FILE,
+    rows: registry.feeds.length,
+    unit: "feeds",
+    errors: registry.problems,
+    warnings: [],
+  });
+
+  // The alias table is optional; without it names are only matched as spelled
+  const aliasText = read(registry.aliases);
+  const aliases = aliasText === null ? NO_ALIASES : compileCardAliases(parseCsv(aliasText).data);
+  const allCardsText = read(registry.cards);
+  const known = allCardsText
+    ? knownCardsFrom(allCardsText, aliases)
+    : { credit: new Set(), debit: new Set(), aliases };
+
+  const run = (spec, lint) => {
+    const text = read(spec.file);
+    if (text === null) {
+      reports.push({ file: spec.file, rows: 0, errors: [`Cannot read ${path.join(dir, spec.file)}`], warnings: [] });
+      return;
+    }
+    reports.push({ file: spec.file, ...lint(spec, text, known, registry.cards) });
+  };
+
+  run({ file: registry.cards, required: ["credit", "debit"] }, lintAllCards);
+  for (const feed of registry.feeds) {
+    run(feed, feed.kind === "permanent" ? lintPermanentFeed : lintOfferFeed);
+  }
+  if (aliasText !== null) {
+    // Near-duplicates need the whole data set, read the way the app reads it
+    const data = await loadFeeds(async (file) => {
+      const text = read(file);
+      if (text === null) throw new Error(`Cannot read ${file}`);
+      return text;
+    }, { registry: registryJson });
+    reports.push({
+      file: registry.aliases,
+      ...lintCardAliases(
+        { file: registry.aliases, required: ["alias", "canonical"] },
+        aliasText,
+        known,
+        nearDuplicateNames(data),
+        registry.cards
+      ),
+    });
+  }
+
+  let errorCount = 0;
+  let warningCount = 0;
+  for (const r of reports) {
+    console.log(`\n${r.file} — ${r.rows} ${r.unit || "rows"}`);
+    if (!r.errors.length && !r.warnings.length) console.log("  ok");
+    r.errors.forEach((m) => console.log(`  ✖ ${m}`));
+    r.warnings.forEach((m) => console.log(`  ⚠ ${m}`));
+    errorCount += r.errors.length;
+    warningCount += r.warnings.length;
+  }
+  console.log(`\n${errorCount} error(s), ${warningCount} warning(s)`);
+
+  process.exitCode = errorCount || (args.strict && warningCount) ? 1 : 0;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    await main();
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
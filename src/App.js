@@ -1,71 +1,106 @@
 // src/App.js
-import React, { useEffect, useRef, useState, useLayoutEffect} from "react";
-import axios from "axios";
-import Papa from "papaparse";
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useId,
+  useMemo,
+  useRef,
+  useState,
+  useLayoutEffect,
+} from "react";
 import "./App.css";
+import {
+  brandCanonicalize,
+  firstFieldByContains,
+  getBase,
+  isUsableImage,
+  makeEntry,
+  offerKey,
+  toNorm,
+} from "./offerData";
+import {
+  CARD_NETWORKS,
+  DEFAULT_OFFER_FILTERS,
+  INSTRUMENT_TYPES,
+  MIN_DISCOUNT_STEPS,
+  NON_PAYMENT_ENTRY,
+  NON_PAYMENT_ID,
+  OFFER_SORTS,
+  filterOffers,
+  makeBankEntry,
+  makeBinEntry,
+  offerCoupon,
+  offerDates,
+  offerField,
+  offerLabel,
+  offerTerms,
+  offerValue,
+  rankBySavings,
+  withNetworkGuess,
+} from "./offerEngine";
+import { createOfferClient } from "./offerClient";
+import { emptyCatalog } from "./offerService";
+import { asBinQuery, offerStatus, parseOfferTerms, summarizeTerms } from "./offerTerms";
+import { compareMatchedOffers, isNewOffer, matchedOffers } from "./offerChanges";
+import { LANGUAGES, initialLanguage, makeI18n, saveLanguage } from "./i18n";
+import { onFeedsUpdated } from "./serviceWorkerRegistration";
 
 /** -------------------- CONFIG -------------------- */
-const LIST_FIELDS = {
-  credit: ["Eligible Credit Cards", "Eligible Cards"],
-  debit: ["Eligible Debit Cards", "Applicable Debit Cards"],
-  title: ["Offer Title", "Title", "Offer"],
-  image: ["Image", "Credit Card Image", "Offer Image", "image", "Image URL"],
-  link: ["Link", "Offer Link"],
-  desc: ["Description", "Details", "Offer Description", "Flight Benefit"],
-
-  // Permanent (inbuilt) CSV fields
-  permanentCCName: ["Credit Card Name"],
-  permanentBenefit: ["Movie Benefit", "Benefit", "Offer", "Hotel Benefit"],
-
-  // ✅ NEW: UPI / NetBanking fields
-  upi: ["UPI", "Upi", "UPI Options", "UPI Method"],
-  netbanking: ["NetBanking", "Net Banking", "Netbanking", "NetBanking Options"],
-};
-
-const MAX_SUGGESTIONS = 50;
-
-/** Sites that should display the red per-card “Applicable only on {variant} variant” note */
-const VARIANT_NOTE_SITES = new Set([
-  "Bookmyshow",
-  "Cinepolis",
-  "Paytm and District",
-  "PVR",
-  "Permanent",
-]);
-
-/** Sites whose description should be in a scrollable T&C-style box */
-const SCROLL_SITES = new Set([
-  "Bookmyshow",
-  "Cinepolis",
-  "Paytm and District",
-  "PVR",
-]);
+/** Pause in typing before the search box looks for suggestions */
+const SEARCH_DEBOUNCE_MS = 120;
+
+/** localStorage key for the "My wallet" instrument list */
+const WALLET_STORAGE_KEY = "moviee.wallet";
+
+/** localStorage keys for followed instruments, and the offers each matched at the last load */
+const FOLLOWS_STORAGE_KEY = "moviee.follows";
+const FOLLOWED_OFFERS_STORAGE_KEY = "moviee.followedOffers";
+
+/** Result section for offers that need no card, listed after the registry's feeds */
+const EVERYONE_SECTION = { id: NON_PAYMENT_ID, label: "Everyone" };
+/** Element id of the no-card offer picked from the marquee, to scroll it into view */
+const FOCUSED_OFFER_ID = "focused-offer";
+
+/** -------------------- LANGUAGE -------------------- */
+/** The current language's translator and formatters (see i18n.js) */
+const I18nContext = createContext(makeI18n());
+const useI18n = () => useContext(I18nContext);
+
+/** Name to show for an entry; the no-card and BIN entries are worded by the app */
+function entryName(i18n, entry) {
+  if (entry?.type === "nonpayment") return i18n.t("entry.nonpayment");
+  if (entry?.type === "bin") return i18n.t("entry.bin", { bin: entry.bin });
+  return entry?.display || "";
+}
 
-/** -------------------- IMAGE FALLBACKS -------------------- */
-const FALLBACK_IMAGE_BY_SITE = {
-  bookmyshow:
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSxj6JoEII0Me05mN-I6RL0J-SkhbNSXNKN6g&s",
-  pvr:
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQGdyL-nUMap7r9fqilEM0yeTX4SbArtP90Fg&s",
-  cinepolis:
-    "https://i.pinimg.com/564x/71/d5/af/71d5afb20fcf23f071a29c6162ced302.jpg",
-  "paytm and district":
-    "https://logos-world.net/wp-content/uploads/2020/11/Paytm-Logo.png",
-};
+const COUNT_KEYS = { 1: "freq.once", 2: "freq.twice", 3: "freq.thrice" };
+
+/** parseOfferTerms() frequency in the current language: "Once per card per month" */
+function formatFrequencyIn(i18n, freq) {
+  if (!freq) return "";
+  const { t } = i18n;
+  const parts = [COUNT_KEYS[freq.count] ? t(COUNT_KEYS[freq.count]) : t("freq.times", { count: freq.count })];
+  if (freq.scope) parts.push(t(`freq.per.${freq.scope}`));
+  const every = /^(\d+) (\w+)s$/.exec(freq.period || ""); // "2 months"
+  if (freq.period === "offer period") parts.push(t("freq.offerPeriod"));
+  else if (every) parts.push(t(`freq.every.${every[2]}`, { count: Number(every[1]) }));
+  else if (freq.period) parts.push(t(`freq.per.${freq.period}`));
+  return parts.join(" ");
+}
 
-function isUsableImage(val) {
-  if (!val) return false;
-  const s = String(val).trim();
-  if (!s) return false;
-  if (/^(na|n\/a|null|undefined|-|image unavailable)$/i.test(s)) return false;
-  return true;
+/** Why an offer saves nothing on the booking, from its `why` (computeSavings / rankBySavings) */
+function savingsReason(i18n, { why }) {
+  if (why.code === "variant") return i18n.t("card.needsVariant", { need: why.need, have: why.have });
+  return i18n.t(`savings.${why.code}`, {
+    count: why.count,
+    amount: why.amount === undefined ? "" : i18n.rupees(why.amount),
+  });
 }
 
-/** Decide which image to show + whether it's a fallback (logo) */
-function resolveImage(siteKey, candidate) {
-  const key = String(siteKey || "").toLowerCase();
-  const siteFallback = FALLBACK_IMAGE_BY_SITE[key];
-  const fallback = siteFallback;
+/** -------------------- IMAGE FALLBACKS -------------------- */
+/** Decide which image to show + whether it's the feed's fallback logo */
+function resolveImage(fallback, candidate) {
   const usingFallback = !isUsableImage(candidate) && !!fallback;
   return {
     src: usingFallback ? fallback : candidate,
@@ -74,9 +109,7 @@ function resolveImage(siteKey, candidate) {
 }
 
 /** If the image fails, switch to fallback and mark as fallback for CSS */
-function handleImgError(e, siteKey) {
-  const key = String(siteKey || "").toLowerCase();
-  const fallback = FALLBACK_IMAGE_BY_SITE[key];
+function handleImgError(e, fallback) {
   const el = e.currentTarget;
   if (fallback && el.src !== fallback) {
     el.src = fallback;
@@ -86,220 +119,168 @@ function handleImgError(e, siteKey) {
   }
 }
 
-/** -------------------- HELPERS -------------------- */
-const toNorm = (s) =>
-  String(s || "")
-    .toLowerCase()
-    .normalize("NFKD")
-    .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-function firstField(obj, keys) {
-  for (const k of keys) {
-    if (
-      obj &&
-      Object.prototype.hasOwnProperty.call(obj, k) &&
-      obj[k] !== undefined &&
-      obj[k] !== null &&
-      String(obj[k]).trim() !== ""
-    ) {
-      return obj[k];
-    }
+/** -------------------- WALLET & FOLLOWS -------------------- */
+const sameInstrument = (a, b) => a?.type === b?.type && a?.baseNorm === b?.baseNorm;
+
+/** What the wallet and follow lists keep of an entry */
+const instrumentRecord = (entry) => ({
+  type: entry.type,
+  display: entry.display,
+  baseNorm: entry.baseNorm,
+  ...(entry.bin ? { bin: entry.bin } : {}),
+  ...(entry.network ? { network: entry.network, variant: entry.variant || "" } : {}),
+});
+
+/** An instrument list (wallet, follows) saved in localStorage */
+function loadInstruments(storageKey) {
+  try {
+    const arr = JSON.parse(window.localStorage.getItem(storageKey) || "[]");
+    return Array.isArray(arr) ? arr.filter((e) => e && e.type && e.baseNorm && e.display) : [];
+  } catch (e) {
+    console.debug(`[HotelOffers] ${storageKey} load error:`, e);
+    return [];
   }
-  return undefined;
 }
 
-/** case-insensitive find for keys that CONTAIN a substring */
-function firstFieldByContains(obj, substr) {
-  if (!obj) return undefined;
-  const target = String(substr).toLowerCase();
-  for (const k of Object.keys(obj)) {
-    if (String(k).toLowerCase().includes(target)) {
-      const v = obj[k];
-      if (v !== undefined && v !== null && String(v).trim() !== "") return v;
-    }
+function saveJson(storageKey, value) {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(value));
+  } catch (e) {
+    console.debug(`[HotelOffers] ${storageKey} save error:`, e);
   }
-  return undefined;
 }
 
-/** return all entries where predicate(key) is true */
-function entriesWhereKey(obj, predicate) {
-  if (!obj) return [];
-  const out = [];
-  for (const k of Object.keys(obj)) {
-    if (predicate(String(k))) {
-      const v = obj[k];
-      if (v !== undefined && v !== null && String(v).trim() !== "") {
-        out.push({ key: k, value: v });
-      }
-    }
+/** { [selectionKey]: matchedOffers() } as stored at the last load */
+function loadFollowedOffers() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(FOLLOWED_OFFERS_STORAGE_KEY) || "{}");
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (e) {
+    console.debug("[HotelOffers] followed offers load error:", e);
+    return {};
   }
-  return out;
-}
-
-/** split across many separators */
-function splitList(val) {
-  if (!val) return [];
-  return String(val)
-    .split(/,|\/|;|\||\n|\r|\t|\band\b|\bAND\b|•/g)
-    .map((s) => s.trim())
-    .filter(Boolean);
-}
-
-/** Strip trailing parentheses: "HDFC Regalia (Visa Signature)" -> "HDFC Regalia" */
-function getBase(name) {
-  if (!name) return "";
-  return String(name).replace(/\s*\([^)]*\)\s*$/, "").trim();
 }
 
-/** Variant if present at end-in-parens: "… (Visa Signature)" -> "Visa Signature" */
-function getVariant(name) {
-  if (!name) return "";
-  const m = String(name).match(/\(([^)]+)\)\s*$/);
-  return m ? m[1].trim() : "";
-}
-
-/** Canonicalize some common brand spellings */
-function brandCanonicalize(text) {
-  let s = String(text || "");
-  s = s.replace(/\bMakemytrip\b/gi, "MakeMyTrip");
-  s = s.replace(/\bIcici\b/gi, "ICICI");
-  s = s.replace(/\bHdfc\b/gi, "HDFC");
-  s = s.replace(/\bSbi\b/gi, "SBI");
-  s = s.replace(/\bIdfc\b/gi, "IDFC");
-  s = s.replace(/\bPnb\b/gi, "PNB");
-  s = s.replace(/\bRbl\b/gi, "RBL");
-  s = s.replace(/\bYes\b/gi, "YES");
-  return s;
+/** Ask for browser notifications on a follow, unless the user already answered */
+function askForNotifications() {
+  if (typeof Notification === "undefined" || Notification.permission !== "default") return;
+  // Older Safari takes a callback and returns nothing
+  Promise.resolve(Notification.requestPermission()).catch((e) =>
+    console.debug("[HotelOffers] notification permission error:", e)
+  );
 }
 
-/** Levenshtein distance */
-function lev(a, b) {
-  a = toNorm(a);
-  b = toNorm(b);
-  const n = a.length;
-  const m = b.length;
-  if (!n) return m;
-  if (!m) return n;
-  const d = Array.from({ length: n + 1 }, () => Array(m + 1).fill(0));
-  for (let i = 0; i <= n; i++) d[i][0] = i;
-  for (let j = 0; j <= m; j++) d[0][j] = j;
-  for (let i = 1; i <= n; i++) {
-    for (let j = 1; j <= m; j++) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      d[i][j] = Math.min(
-        d[i - 1][j] + 1,
-        d[i][j - 1] + 1,
-        d[i - 1][j - 1] + cost
-      );
-    }
-  }
-  return d[n][m];
+/** A browser notification if allowed; through the service worker where there is one (Android needs it) */
+function showNotification(title, options) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  Promise.resolve(navigator.serviceWorker?.getRegistration())
+    .then((reg) => (reg ? reg.showNotification(title, options) : new Notification(title, options)))
+    .catch((e) => console.debug("[HotelOffers] notification error:", e));
 }
 
-function scoreCandidate(q, cand) {
-  const qs = toNorm(q);
-  const cs = toNorm(cand);
-  if (!qs) return 0;
-  if (cs.includes(qs)) return 100;
-
-  const qWords = qs.split(" ").filter(Boolean);
-  const cWords = cs.split(" ").filter(Boolean);
-
-  const matchingWords = qWords.filter((qw) =>
-    cWords.some((cw) => cw.includes(qw))
-  ).length;
-  const sim = 1 - lev(qs, cs) / Math.max(qs.length, cs.length);
-  return (matchingWords / Math.max(1, qWords.length)) * 0.7 + sim * 0.3;
+/** -------------------- FEEDS -------------------- */
+/** findOffers() answer before the worker has replied */
+const NO_RESULTS = { lists: {}, expiredCount: 0 };
+/** findChanges() answer before the worker has replied */
+const NO_CHANGES = { all: null, card: { added: [], removed: [], modified: [] } };
+
+/** "just now" / "5 min ago" / "3 h ago" / "on 12 Oct 2026" */
+function formatUpdatedAt(i18n, date, now = new Date()) {
+  const mins = Math.floor((now - date) / 60000);
+  if (mins < 1) return i18n.t("updated.justNow");
+  if (mins < 60) return i18n.t("updated.minutesAgo", { count: mins });
+  if (mins < 24 * 60) return i18n.t("updated.hoursAgo", { count: Math.floor(mins / 60) });
+  return i18n.t("updated.onDate", { date: i18n.date(date) });
 }
 
-/** Dropdown entry builder */
-function makeEntry(raw, type) {
-  const base = brandCanonicalize(getBase(raw));
-  return { type, display: base, baseNorm: toNorm(base) };
-}
+/** -------------------- DEEP LINKS -------------------- */
+// ?type=credit&card=HDFC+Regalia+Credit+Card&network=Visa&tickets=2&amount=600&site=pvr&view=table
+// ?type=bank&bank=HDFC+Bank
+// Filter bar: &hide_sites=pvr,cinepolis&coupon=auto&bogo=1&min_discount=25&sort=savings
+const SITE_ID_RE = /^[a-z0-9-]+$/; // feed ids come from feeds.json, which may not have loaded yet
 
-function normalizeUrl(u) {
-  if (!u) return "";
-  let s = String(u).trim().toLowerCase();
-  s = s.replace(/^https?:\/\//, "").replace(/^www\./, "");
-  if (s.endsWith("/")) s = s.slice(0, -1);
-  return s;
-}
-function normalizeText(s) {
-  return toNorm(s || "");
-}
-function offerKey(offer) {
-  const imgGuess =
-    firstField(offer, LIST_FIELDS.image) || firstFieldByContains(offer, "image");
-  const image = normalizeUrl(imgGuess || "");
-  const title = normalizeText(
-    firstField(offer, LIST_FIELDS.title) || offer.Website || ""
-  );
-  const desc = normalizeText(firstField(offer, LIST_FIELDS.desc) || "");
-  const link = normalizeUrl(firstField(offer, LIST_FIELDS.link) || "");
-  return `${title}||${desc}||${image}||${link}`;
-}
+const selectionKey = (entry) => (entry ? `${entry.type}|${entry.baseNorm}` : "");
 
-function dedupWrappers(arr, seen) {
-  const out = [];
-  for (const w of arr || []) {
-    const k = offerKey(w.offer);
-    if (seen.has(k)) continue;
-    seen.add(k);
-    out.push(w);
+function entryFromParams(p) {
+  const type = p.get("type");
+  if (type === "nonpayment") return NON_PAYMENT_ENTRY;
+  if (type === "bin") {
+    const bin = asBinQuery(p.get("bin"));
+    return bin ? makeBinEntry(bin) : null;
   }
-  return out;
-}
-
-/** classification helpers */
-const headerLooksDebit = (key) => {
-  const k = String(key).toLowerCase();
-  return /\bdebit\b/.test(k) && /\bcards?\b/.test(k);
-};
-const headerLooksCredit = (key) => {
-  const k = String(key).toLowerCase();
-  return /\bcredit\b/.test(k) && /\bcards?\b/.test(k);
-};
-
-function getRowTypeHint(row) {
-  for (const k of Object.keys(row || {})) {
-    const lk = k.toLowerCase();
-    if (
-      /\btype\b/.test(lk) ||
-      /\bcard\s*type\b/.test(lk) ||
-      /\bcategory\b/.test(lk) ||
-      /\bsegment\b/.test(lk)
-    ) {
-      const v = String(row[k] || "").toLowerCase();
-      if (/\bdebit\b/.test(v)) return "debit";
-      if (/\bcredit\b/.test(v)) return "credit";
-    }
+  if (type === "bank") {
+    const bank = p.get("bank");
+    return bank ? makeBankEntry(bank) : null;
   }
-  return "";
+  const card = p.get("card");
+  if (!card || !INSTRUMENT_TYPES.includes(type)) return null;
+
+  const entry = makeEntry(card, type);
+  const network = p.get("network");
+  if (!network || !CARD_NETWORKS[network]) return entry;
+  const variant = CARD_NETWORKS[network].includes(p.get("variant")) ? p.get("variant") : "";
+  return { ...entry, network, variant };
 }
 
-function valueLooksDebit(s) {
-  return /\bdebit\b/i.test(String(s || ""));
+/** location.search -> selection, filters and the site section to scroll to */
+function readUrlState(search) {
+  const p = new URLSearchParams(search);
+  return {
+    selected: entryFromParams(p),
+    ticketCount: p.get("tickets") || "",
+    bookingAmount: p.get("amount") || "",
+    showExpired: p.get("expired") === "1",
+    hideOtherVariants: p.get("hide_variants") === "1",
+    view: p.get("view") === "table" ? "table" : "grid",
+    site: SITE_ID_RE.test(p.get("site") || "") ? p.get("site") : "",
+    filters: filtersFromParams(p),
+  };
 }
-function valueLooksCredit(s) {
-  return /\bcredit\b/i.test(String(s || ""));
+
+/** Filter bar choices from the URL; anything unknown reads as its default */
+function filtersFromParams(p) {
+  const coupon = p.get("coupon");
+  const minDiscount = Number(p.get("min_discount"));
+  const sort = p.get("sort");
+  return {
+    hiddenSites: (p.get("hide_sites") || "").split(",").filter((id) => SITE_ID_RE.test(id)),
+    coupon: ["coupon", "auto"].includes(coupon) ? coupon : DEFAULT_OFFER_FILTERS.coupon,
+    bogo: p.get("bogo") === "1",
+    minDiscount: MIN_DISCOUNT_STEPS.includes(minDiscount) ? minDiscount : DEFAULT_OFFER_FILTERS.minDiscount,
+    sort: OFFER_SORTS.includes(sort) ? sort : DEFAULT_OFFER_FILTERS.sort,
+  };
 }
 
-/** 🔹 NEW: does the query contain a word similar to "select"? (handles "selct", "selet", etc.) */
-function hasSelectLikeWord(text) {
-  const qs = toNorm(text);
-  if (!qs) return false;
-  const words = qs.split(" ").filter(Boolean);
-  for (const w of words) {
-    if (w === "select") return true;
-    // allow small typos: distance <= 2
-    if (lev(w, "select") <= 2) return true;
+function buildUrlSearch(state) {
+  const p = new URLSearchParams();
+  const e = state.selected;
+  if (e) {
+    p.set("type", e.type);
+    if (e.type === "bin") p.set("bin", e.bin);
+    else if (e.type === "bank") p.set("bank", e.bank);
+    else if (e.type !== "nonpayment") p.set("card", e.display);
+    if (e.network) p.set("network", e.network);
+    if (e.variant) p.set("variant", e.variant);
   }
-  return false;
+  if (state.ticketCount) p.set("tickets", state.ticketCount);
+  if (state.bookingAmount) p.set("amount", state.bookingAmount);
+  if (state.showExpired) p.set("expired", "1");
+  if (state.hideOtherVariants) p.set("hide_variants", "1");
+  if (state.view === "table") p.set("view", "table");
+  if (state.site) p.set("site", state.site);
+  const f = state.filters || DEFAULT_OFFER_FILTERS;
+  if (f.hiddenSites.length) p.set("hide_sites", f.hiddenSites.join(","));
+  if (f.coupon !== DEFAULT_OFFER_FILTERS.coupon) p.set("coupon", f.coupon);
+  if (f.bogo) p.set("bogo", "1");
+  if (f.minDiscount) p.set("min_discount", String(f.minDiscount));
+  if (f.sort !== DEFAULT_OFFER_FILTERS.sort) p.set("sort", f.sort);
+  const qs = p.toString();
+  return qs ? `?${qs}` : "";
 }
 
+const absoluteUrl = (search) =>
+  `${window.location.origin}${window.location.pathname}${search}`;
+
 /** ✅ Accessible marquee replacement (NO <marquee>, fixes ESLint) */
 
 
@@ -407,46 +388,983 @@ function MarqueeChipsRow({ label, items, type, onChipClick, title }) {
 }
 
 
-/** Disclaimer */
-const Disclaimer = () => (
-  <section className="disclaimer">
-    <h3>Disclaimer</h3>
-    <p>
-      All offers, coupons, and discounts listed on our platform are provided for
-      informational purposes only. We do not guarantee the accuracy,
-      availability, or validity of any offer. Users are advised to verify the
-      terms and conditions with the respective merchants before making any
-      purchase. We are not responsible for any discrepancies, expired offers, or
-      losses arising from the use of these coupons.
+/** summarizeTerms() values in the current language, by term id */
+const TERM_VALUES = {
+  offer: (i18n) => i18n.t("terms.bogo"),
+  discount: (i18n, percent) => `${i18n.number(percent)}%`,
+  flat: (i18n, amount) => i18n.rupees(amount),
+  maxCap: (i18n, amount) => i18n.rupees(amount),
+  minSpend: (i18n, amount) => i18n.rupees(amount),
+  minTickets: (i18n, count) => i18n.number(count),
+  usage: (i18n, freq) => formatFrequencyIn(i18n, freq),
+};
+
+/** Structured summary (discount, cap, min spend…) parsed out of the raw T&C text */
+function TermsSummary({ text }) {
+  const i18n = useI18n();
+  const rows = summarizeTerms(parseOfferTerms(text));
+  if (!rows.length) return null;
+
+  return (
+    <dl className="terms-summary" aria-label={i18n.t("terms.summary")}>
+      {rows.map((r) => (
+        <div className="terms-summary-row" key={r.id}>
+          <dt>{i18n.t(`terms.${r.id}`)}</dt>
+          <dd>{TERM_VALUES[r.id](i18n, r.value)}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+/** Offers across every site ranked by rupees saved on the user's booking */
+function SavingsRanking({ ranked, booking }) {
+  const i18n = useI18n();
+  if (!ranked.length) return null;
+  const { t } = i18n;
+
+  return (
+    <div className="offer-group savings-ranking">
+      <h2 style={{ textAlign: "center" }}>
+        {t("savings.heading", {
+          amount: i18n.rupees(booking.amount),
+          tickets: t("savings.tickets", { count: booking.tickets }),
+        })}
+      </h2>
+      <ol className="savings-list">
+        {ranked.map((r, i) => (
+          <li
+            key={`save-${i}`}
+            className={`savings-item${i === 0 && r.eligible ? " is-best" : ""}${
+              r.eligible ? "" : " is-ineligible"
+            }`}
+          >
+            <span className="savings-site">{r.wrapper.site}</span>
+            <span className="savings-title">{offerLabel(r.wrapper)}</span>
+            <span className="savings-amount">
+              {r.eligible
+                ? t(r.estimate ? "savings.saveUpTo" : "savings.save", { amount: i18n.rupees(r.saving) })
+                : savingsReason(i18n, r)}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+/** Comparison table rows: label message + the cell for one offer's parsed terms */
+const COMPARISON_ROWS = [
+  {
+    label: "compare.discount",
+    cell: ({ terms }, i18n) =>
+      terms.bogo
+        ? i18n.t("terms.bogo")
+        : [
+            terms.discountPercent !== null && i18n.t("terms.percentOff", { percent: terms.discountPercent }),
+            terms.flatAmount !== null && i18n.t("terms.amountOff", { amount: i18n.rupees(terms.flatAmount) }),
+          ]
+            .filter(Boolean)
+            .join(" + "),
+  },
+  { label: "compare.maxCap", cell: ({ terms }, i18n) => terms.maxCap !== null && i18n.rupees(terms.maxCap) },
+  {
+    label: "compare.minSpend",
+    cell: ({ terms }, i18n) => terms.minSpend !== null && i18n.rupees(terms.minSpend),
+  },
+  { label: "compare.frequency", cell: ({ terms }, i18n) => formatFrequencyIn(i18n, terms.frequency) },
+  { label: "compare.coupon", cell: ({ coupon }, i18n) => coupon || i18n.t("compare.noCoupon") },
+  {
+    label: "compare.link",
+    cell: ({ link }, i18n) =>
+      link && (
+        <a href={link} target="_blank" rel="noopener noreferrer">
+          {i18n.t("compare.view")}
+        </a>
+      ),
+  },
+];
+
+/**
+ * The selection's offers side by side: a column group per site, one column per offer,
+ * and a row per term parsed out of its T&C ("—" when the text doesn't say)
+ */
+function ComparisonTable({ feeds, lists }) {
+  const i18n = useI18n();
+  const columns = feeds
+    .filter((feed) => lists[feed.id]?.length)
+    .map((feed) => ({
+      feed,
+      offers: lists[feed.id].map((w) => ({
+        wrapper: w,
+        terms: offerTerms(w),
+        coupon: w.feed?.kind === "permanent" ? "" : offerCoupon(w.offer),
+        link: offerField(w, "link"),
+      })),
+    }));
+  const offers = columns.flatMap((c) => c.offers);
+
+  return (
+    <div className="comparison-scroll">
+      <table className="comparison-table">
+        <caption className="sr-only">{i18n.t("compare.caption")}</caption>
+        <thead>
+          <tr>
+            <td />
+            {columns.map(({ feed, offers: siteOffers }) => (
+              <th key={feed.id} scope="colgroup" colSpan={siteOffers.length} id={`compare-${feed.id}`}>
+                {feed.label}
+              </th>
+            ))}
+          </tr>
+          <tr>
+            <th scope="row">{i18n.t("compare.offer")}</th>
+            {offers.map((o, i) => (
+              <th key={i} scope="col" className="comparison-offer">
+                {offerLabel(o.wrapper)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {COMPARISON_ROWS.map((row) => (
+            <tr key={row.label}>
+              <th scope="row">{i18n.t(row.label)}</th>
+              {offers.map((o, i) => (
+                <td key={i}>{row.cell(o, i18n) || "—"}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/** Filters and sort order for the offers section; each choice shows how many offers it leaves */
+function FilterBar({ sections, filters, counts, onChange }) {
+  const { t } = useI18n();
+  if (!sections.length) return null;
+  const set = (patch) => onChange({ ...filters, ...patch });
+  const toggleSite = (id) =>
+    set({
+      hiddenSites: filters.hiddenSites.includes(id)
+        ? filters.hiddenSites.filter((x) => x !== id)
+        : [...filters.hiddenSites, id],
+    });
+  const filtering =
+    filters.hiddenSites.length > 0 ||
+    filters.coupon !== "any" ||
+    filters.bogo ||
+    filters.minDiscount > 0;
+
+  return (
+    <div className="filter-bar" role="group" aria-label={t("filter.label")}>
+      <fieldset className="filter-sites">
+        <legend>{t("filter.sites")}</legend>
+        {sections.map((sec) => (
+          <label key={sec.id}>
+            <input
+              type="checkbox"
+              checked={!filters.hiddenSites.includes(sec.id)}
+              onChange={() => toggleSite(sec.id)}
+            />{" "}
+            {sec.id === NON_PAYMENT_ID ? t("section.everyone") : sec.label}{" "}
+            <span className="filter-count">({counts.sites[sec.id] ?? 0})</span>
+          </label>
+        ))}
+      </fieldset>
+      <label>
+        {t("filter.coupon")}{" "}
+        <select value={filters.coupon} onChange={(e) => set({ coupon: e.target.value })}>
+          <option value="any">
+            {t("filter.any")} ({counts.coupon.any})
+          </option>
+          <option value="coupon">
+            {t("filter.couponRequired")} ({counts.coupon.coupon})
+          </option>
+          <option value="auto">
+            {t("filter.autoApplied")} ({counts.coupon.auto})
+          </option>
+        </select>
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={filters.bogo}
+          onChange={(e) => set({ bogo: e.target.checked })}
+        />{" "}
+        {t("filter.bogo")} <span className="filter-count">({counts.bogo})</span>
+      </label>
+      <label>
+        {t("filter.minDiscount")}{" "}
+        <select
+          value={filters.minDiscount}
+          onChange={(e) => set({ minDiscount: Number(e.target.value) })}
+        >
+          {MIN_DISCOUNT_STEPS.map((n) => (
+            <option key={n} value={n}>
+              {n ? t("filter.percentOrMore", { percent: n }) : t("filter.any")} ({counts.minDiscount[n]})
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("filter.sortBy")}{" "}
+        <select value={filters.sort} onChange={(e) => set({ sort: e.target.value })}>
+          {OFFER_SORTS.map((sort) => (
+            <option key={sort} value={sort}>
+              {t(`sort.${sort}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {filtering && (
+        <button
+          type="button"
+          className="filter-reset"
+          onClick={() => onChange({ ...DEFAULT_OFFER_FILTERS, sort: filters.sort })}
+        >
+          {t("filter.clear")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/** Grid of offer cards vs the comparison table */
+function ViewToggle({ view, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="view-toggle" role="group" aria-label={t("view.label")}>
+      {["grid", "table"].map((id) => (
+        <button
+          key={id}
+          type="button"
+          className={`view-toggle-btn${view === id ? " is-on" : ""}`}
+          aria-pressed={view === id}
+          onClick={() => onChange(id)}
+        >
+          {t(`view.${id}`)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/** Writes text to the clipboard; rejects where the Clipboard API is missing too */
+const copyText = (text) =>
+  navigator.clipboard
+    ? navigator.clipboard.writeText(text)
+    : Promise.reject(new Error("Clipboard API unavailable"));
+
+/** Coupon chip with copy-to-clipboard; if copying fails, the code is selected to copy by hand */
+function CouponCode({ code }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(null); // "copied" | "failed"
+  const codeRef = useRef(null);
+  if (!code) return null;
+
+  const onCopy = () => {
+    copyText(String(code))
+      .then(() => {
+        setCopied("copied");
+        setTimeout(() => setCopied(null), 1200);
+      })
+      .catch((e) => {
+        console.debug("[HotelOffers] coupon copy failed:", e);
+        setCopied("failed");
+        if (codeRef.current) window.getSelection()?.selectAllChildren(codeRef.current);
+      });
+  };
+
+  return (
+    <div className="coupon-row">
+      <span className="coupon-code" ref={codeRef}>
+        {code}
+      </span>
+      <button
+        className="btn"
+        onClick={onCopy}
+        aria-label={t("coupon.copyLabel")}
+        title={t("coupon.copyLabel")}
+        style={{ display: "inline-flex", alignItems: "center", gap: 6 }}
+        type="button"
+      >
+        <span role="img" aria-hidden="true">
+          📋
+        </span>{" "}
+        {t("coupon.copy")}
+      </button>
+      {copied === "copied" && (
+        <span className="coupon-copied" role="status">
+          {t("coupon.copied")}
+        </span>
+      )}
+      {copied === "failed" && (
+        <span className="coupon-copy-failed" role="status">
+          {t("coupon.copyFailed")}
+        </span>
+      )}
+    </div>
+  );
+}
+
+/** "Coupon code required" vs "No code needed" tag */
+function OfferKind({ couponCode }) {
+  const { t } = useI18n();
+  return (
+    <span className={`offer-kind ${couponCode ? "is-coupon" : "is-auto"}`}>
+      {couponCode ? t("coupon.required") : t("coupon.auto")}
+    </span>
+  );
+}
+
+/** "Ending soon" / "Expired" / "Starts …" tag from the offer's validity dates */
+function ValidityBadge({ wrapper }) {
+  const i18n = useI18n();
+  const dates = offerDates(wrapper);
+  const status = offerStatus(dates);
+  if (status === "active") return null;
+
+  const text =
+    status === "expired"
+      ? i18n.t("validity.expired", { date: i18n.date(dates.validTill) })
+      : status === "upcoming"
+      ? i18n.t("validity.upcoming", { date: i18n.date(dates.validFrom) })
+      : i18n.t("validity.endingSoon", { date: i18n.date(dates.validTill) });
+  return <span className={`validity-badge is-${status}`}>{text}</span>;
+}
+
+/** "New this week" on offers first seen in the last few days (see offerChanges.js) */
+function NewBadge({ wrapper }) {
+  const { t } = useI18n();
+  if (!isNewOffer(wrapper.firstSeen)) return null;
+  return <span className="validity-badge is-new">{t("changes.new")}</span>;
+}
+
+/** One offer: image, title, badges, coupon, parsed terms, T&C and the notes that apply */
+function OfferCard({ wrapper, showSite = false, focused = false }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const o = wrapper.offer;
+  const feed = wrapper.feed || {};
+  const isPermanent = feed.kind === "permanent";
+
+  const showVariantNote =
+    !wrapper.networkWide &&
+    feed.variantNote &&
+    wrapper.variantText &&
+    wrapper.variantText.trim().length > 0;
+
+  const image = offerField(wrapper, "image") || firstFieldByContains(o, "image");
+  const title = isPermanent ? undefined : offerField(wrapper, "title") || o.Website;
+  const desc = offerField(wrapper, "desc");
+  const link = offerField(wrapper, "link");
+  const couponCode = isPermanent ? "" : offerCoupon(o);
+
+  const { src: imgSrc, usingFallback } = resolveImage(feed.logo, image);
+
+  const siteTag =
+    showSite || wrapper.matchType === "nonpayment" ? (
+      <p className="offer-site">{t("card.onSite", { site: feed.label || wrapper.site })}</p>
+    ) : null;
+
+  const status = offerStatus(offerDates(wrapper));
+  const cardClass = `offer-card${wrapper.isBest ? " is-best" : ""}${
+    couponCode ? " has-coupon" : ""
+  }${status === "expired" ? " is-expired" : ""}${wrapper.variantIneligible ? " is-ineligible" : ""}${
+    focused ? " is-focused" : ""
+  }`;
+
+  const networkNote = wrapper.variantIneligible ? (
+    <p className="network-note">
+      <strong>{t("card.notEligible")}</strong>{" "}
+      {t("card.needsVariant", { need: wrapper.variantText, have: wrapper.variantHave })}
+    </p>
+  ) : wrapper.networkWide ? (
+    <p className="network-wide-note">
+      {i18n.tNodes("card.networkWide", { variant: <em key="variant">{wrapper.variantText}</em> })}
+    </p>
+  ) : null;
+
+  const walletNote = wrapper.unlockedBy ? (
+    <p className="wallet-note">
+      {wrapper.isBest && <span className="best-badge">{t("card.bestOnSite")}</span>}
+      <strong>{t("card.unlockedBy")}</strong>{" "}
+      {wrapper.unlockedBy.map((e) => entryName(i18n, e)).join(", ")}
+    </p>
+  ) : null;
+
+  return (
+    <div className={cardClass} id={focused ? FOCUSED_OFFER_ID : undefined}>
+      {imgSrc && (
+        <img
+          className={`offer-img ${usingFallback ? "is-fallback" : ""}`}
+          src={imgSrc}
+          alt={t("card.imageAlt")}
+          onError={(e) => handleImgError(e, feed.logo)}
+        />
+      )}
+      <div className="offer-info">
+        {title && (
+          <div className="offer-title" style={{ fontWeight: 700, marginBottom: 8, fontSize: 16 }}>
+            {title}
+          </div>
+        )}
+
+        {siteTag}
+        <NewBadge wrapper={wrapper} />
+        <ValidityBadge wrapper={wrapper} />
+        {!isPermanent && <OfferKind couponCode={couponCode} />}
+        <CouponCode code={couponCode} />
+
+        <TermsSummary text={desc} />
+
+        {desc && (
+          <div
+            className="offer-desc"
+            style={
+              feed.terms === "scroll"
+                ? {
+                    maxHeight: 140,
+                    overflowY: "auto",
+                    paddingRight: 8,
+                    border: "1px solid #eee",
+                    borderRadius: 6,
+                    padding: "10px 12px",
+                    background: "#fafafa",
+                    lineHeight: 1.5,
+                    whiteSpace: "pre-wrap",
+                  }
+                : undefined
+            }
+          >
+            {desc}
+          </div>
+        )}
+
+        {isPermanent && (
+          <p className="inbuilt-note" style={{ marginTop: 8 }}>
+            <strong>{t("card.inbuilt")}</strong>
+          </p>
+        )}
+
+        {walletNote}
+        {networkNote}
+
+        {showVariantNote && (
+          <p className="network-note" style={{ color: "#b00020", marginTop: 8 }}>
+            <strong>{t("card.note")}</strong>{" "}
+            {i18n.tNodes("card.variantOnly", { variant: <em key="variant">{wrapper.variantText}</em> })}
+          </p>
+        )}
+
+        {link && (
+          <button className="btn" onClick={() => window.open(link, "_blank")} type="button">
+            {t("card.view")}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Network + variant pickers for the selected card */
+function NetworkPicker({ entry, onChange, hideOthers, onHideOthersChange }) {
+  const { t } = useI18n();
+  const variants = CARD_NETWORKS[entry.network] || [];
+
+  return (
+    <div className="network-picker">
+      <label>
+        {t("network.label")}{" "}
+        <select
+          value={entry.network || ""}
+          onChange={(e) => onChange({ network: e.target.value, variant: "" })}
+        >
+          <option value="">{t("network.notSure")}</option>
+          {Object.keys(CARD_NETWORKS).map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+      </label>
+      {variants.length > 0 && (
+        <label>
+          {t("network.variant")}{" "}
+          <select
+            value={entry.variant || ""}
+            onChange={(e) => onChange({ network: entry.network, variant: e.target.value })}
+          >
+            <option value="">{t("network.notSure")}</option>
+            {variants.map((v) => (
+              <option key={v} value={v}>
+                {v}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {entry.network && (
+        <label>
+          <input
+            type="checkbox"
+            checked={hideOthers}
+            onChange={(e) => onHideOthersChange(e.target.checked)}
+          />{" "}
+          {t("network.hideOthers")}
+        </label>
+      )}
+    </div>
+  );
+}
+
+/** Native share sheet where available, else copy the link; if copying fails, show it to copy by hand */
+function ShareButton({ url, label }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(null); // "copied" | "failed"
+  const urlRef = useRef(null);
+
+  useEffect(() => {
+    if (copied === "failed") urlRef.current?.focus();
+  }, [copied]);
+
+  const onShare = () => {
+    if (navigator.share) {
+      navigator.share({ url, title: document.title }).catch((e) => {
+        console.debug("[HotelOffers] share cancelled:", e);
+      });
+      return;
+    }
+    copyText(url)
+      .then(() => {
+        setCopied("copied");
+        setTimeout(() => setCopied(null), 1200);
+      })
+      .catch((e) => {
+        console.debug("[HotelOffers] link copy failed:", e);
+        setCopied("failed");
+      });
+  };
+
+  return (
+    <>
+      <button type="button" className="share-btn" onClick={onShare} title={t("share.title")}>
+        <span role="img" aria-hidden="true">
+          🔗
+        </span>{" "}
+        {copied === "copied" ? t("share.copied") : label || t("share.button")}
+      </button>
+      {copied === "failed" && (
+        <input
+          ref={urlRef}
+          className="share-url"
+          readOnly
+          value={url}
+          aria-label={t("share.copyFailed")}
+          title={t("share.copyFailed")}
+          onFocus={(e) => e.target.select()}
+        />
+      )}
+    </>
+  );
+}
+
+/** Follow / unfollow an instrument, to be told when its offers change */
+function FollowButton({ entry, following, onToggle }) {
+  const { t } = useI18n();
+  return (
+    <button
+      type="button"
+      className={`follow-btn${following ? " is-on" : ""}`}
+      aria-pressed={following}
+      onClick={() => onToggle(entry)}
+      title={t(following ? "follow.unfollowTitle" : "follow.title")}
+    >
+      <span aria-hidden="true">{following ? "★" : "☆"}</span> {t(following ? "follow.following" : "follow.button")}
+    </button>
+  );
+}
+
+/** Offers added or removed for followed instruments since the last load */
+function FollowAlerts({ alerts, feeds, onShow, onDismiss }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  if (!alerts.length) return null;
+  const onSite = (o) => ({
+    ...o,
+    title: t("follow.onSite", { title: o.title, site: feeds.find((f) => f.id === o.site)?.label || o.site }),
+  });
+  return (
+    <section className="follow-alerts" aria-label={t("follow.alerts")}>
+      <div className="follow-alerts-head">
+        <h3>{t("follow.alerts")}</h3>
+        <button type="button" className="follow-alerts-dismiss" onClick={onDismiss}>
+          {t("follow.dismiss")}
+        </button>
+      </div>
+      {alerts.map(({ entry, added, removed }) => (
+        <div className="follow-alert" key={selectionKey(entry)}>
+          <button type="button" className="follow-alert-name" onClick={() => onShow(entry)}>
+            {entryName(i18n, entry)}
+          </button>
+          <ChangeList kind="added" items={added.map(onSite)} />
+          <ChangeList kind="removed" items={removed.map(onSite)} />
+        </div>
+      ))}
+    </section>
+  );
+}
+
+/** Wallet instruments as removable chips */
+function WalletBar({ wallet, onRemove }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  return (
+    <div className="wallet-bar">
+      {wallet.length === 0 ? (
+        <p className="wallet-hint">{t("wallet.hint")}</p>
+      ) : (
+        wallet.map((e) => (
+          <span className="wallet-chip" key={`${e.type}-${e.baseNorm}`}>
+            <span className="wallet-chip-type">{t(`type.${e.type}`)}</span>
+            {entryName(i18n, e)}
+            <button
+              type="button"
+              className="wallet-chip-remove"
+              onClick={() => onRemove(e)}
+              aria-label={t("wallet.remove", { name: entryName(i18n, e) })}
+              title={t("wallet.removeTitle")}
+            >
+              ×
+            </button>
+          </span>
+        ))
+      )}
+    </div>
+  );
+}
+
+/** Feed freshness, and a warning when the offers come from the offline cache */
+function FeedStatus({ updatedAt, online }) {
+  const i18n = useI18n();
+  if (!updatedAt && online) return null;
+  return (
+    <p className={`feed-status${online ? "" : " is-offline"}`} role="status">
+      {!online && <strong>{i18n.t("status.offline")}</strong>}
+      {updatedAt
+        ? i18n.t("status.updated", { when: formatUpdatedAt(i18n, updatedAt) })
+        : i18n.t("status.saved")}
     </p>
-  </section>
-);
+  );
+}
+
+/** What the last feed load left out, with a retry; the results leave those sites out */
+function LoadProblems({ failed, feeds, loadState, onRetry }) {
+  const { t } = useI18n();
+  const messages = [];
+  if (loadState === "failed" || failed.registry) messages.push(t("load.failed"));
+  if (failed.cards) messages.push(t("load.cardsFailed"));
+  for (const feed of feeds) {
+    if (failed.feeds[feed.id]) messages.push(t("load.feedFailed", { site: feed.label }));
+  }
+  if (!messages.length) return null;
+
+  const retrying = loadState === "loading";
+  return (
+    <div className="load-problems" role="alert">
+      <ul>
+        {messages.map((msg) => (
+          <li key={msg}>{msg}</li>
+        ))}
+      </ul>
+      <button type="button" className="btn" onClick={onRetry} disabled={retrying}>
+        {retrying ? t("load.retrying") : t("load.retry")}
+      </button>
+    </div>
+  );
+}
+
+/** Offers in one change list of the "What's changed" panel, the first few by title */
+const CHANGES_SHOWN = 5;
+function ChangeList({ kind, items }) {
+  const { t } = useI18n();
+  if (!items.length) return null;
+  return (
+    <div className={`changes-list is-${kind}`}>
+      <strong>{t(`changes.${kind}`, { count: items.length })}</strong>
+      <ul>
+        {items.slice(0, CHANGES_SHOWN).map((e) => (
+          <li key={e.key}>{e.title}</li>
+        ))}
+        {items.length > CHANGES_SHOWN && <li>{t("changes.more", { count: items.length - CHANGES_SHOWN })}</li>}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * "What's changed" since the last recorded feed version: per site, and for the picked
+ * card first when it has changes of its own
+ */
+function ChangesPanel({ changes, card, cardChanges }) {
+  const i18n = useI18n();
+  if (!changes?.counts.total) return null;
+  const { t } = i18n;
+  const kinds = ["added", "removed", "modified"];
+  const forCard = card && kinds.some((k) => cardChanges[k].length);
+
+  return (
+    <details className="changes-panel">
+      <summary>
+        {t("changes.title", { date: i18n.date(new Date(changes.from)) })}{" "}
+        <span className="changes-counts">
+          {t("changes.counts", {
+            added: i18n.number(changes.counts.added),
+            removed: i18n.number(changes.counts.removed),
+            modified: i18n.number(changes.counts.modified),
+          })}
+        </span>
+      </summary>
+      {forCard && (
+        <section className="changes-site is-card">
+          <h3>{t("changes.forCard", { name: card })}</h3>
+          {kinds.map((k) => (
+            <ChangeList key={k} kind={k} items={cardChanges[k]} />
+          ))}
+        </section>
+      )}
+      {changes.sites.map((site) => (
+        <section className="changes-site" key={site.id}>
+          <h3>{site.label}</h3>
+          {kinds.map((k) => (
+            <ChangeList key={k} kind={k} items={site[k]} />
+          ))}
+        </section>
+      ))}
+    </details>
+  );
+}
+
+/** Placeholder offer cards while a site's offers load */
+function OfferSkeletons({ label, count = 3 }) {
+  const { t } = useI18n();
+  return (
+    <div className="offer-grid" aria-busy="true">
+      <span className="sr-only">{label ? t("load.loadingSite", { site: label }) : t("load.loading")}</span>
+      {Array.from({ length: count }, (_, i) => (
+        <div className="offer-card is-skeleton" key={i} aria-hidden="true">
+          <div className="skeleton-img" />
+          <div className="offer-info">
+            <div className="skeleton-line" />
+            <div className="skeleton-line is-short" />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Sites whose feed didn't load, in place of their offers: skeletons while a retry runs,
+ * else a note that the results above leave them out
+ */
+function MissingFeeds({ feeds, failed, loading, onRetry }) {
+  const { t } = useI18n();
+  const missing = feeds.filter((feed) => failed.feeds[feed.id]);
+  return missing.map((feed) =>
+    loading ? (
+      <div className="offer-group" key={feed.id}>
+        <h2 style={{ textAlign: "center" }}>{t("heading.site", { site: feed.label })}</h2>
+        <OfferSkeletons label={feed.label} />
+      </div>
+    ) : (
+      <p className="feed-error" key={feed.id}>
+        {t("load.feedMissing", { site: feed.label })}{" "}
+        <button type="button" className="btn" onClick={onRetry}>
+          {t("load.retry")}
+        </button>
+      </p>
+    )
+  );
+}
+
+/** "Install app" button, shown while the browser offers to install the PWA */
+function InstallButton() {
+  const { t } = useI18n();
+  const [prompt, setPrompt] = useState(null);
+
+  useEffect(() => {
+    const onPrompt = (e) => {
+      e.preventDefault(); // keep the event for our own button instead of the mini-infobar
+      setPrompt(e);
+    };
+    const onInstalled = () => setPrompt(null);
+    window.addEventListener("beforeinstallprompt", onPrompt);
+    window.addEventListener("appinstalled", onInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onPrompt);
+      window.removeEventListener("appinstalled", onInstalled);
+    };
+  }, []);
+
+  if (!prompt) return null;
+  const onInstall = () => {
+    prompt.prompt();
+    prompt.userChoice
+      .catch((e) => console.debug("[HotelOffers] install prompt error:", e))
+      .finally(() => setPrompt(null));
+  };
+  return (
+    <button type="button" className="install-btn" onClick={onInstall}>
+      {t("install.button")}
+    </button>
+  );
+}
+
+/** `text` with the parts that match a word of the search box query in <mark> */
+function HighlightMatch({ text, query }) {
+  // toNorm() leaves only word characters, so the words are safe inside a RegExp
+  const words = toNorm(query)
+    .split(" ")
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  if (!words.length) return text;
+  return String(text)
+    .split(new RegExp(`(${words.join("|")})`, "gi"))
+    .map((part, i) => (i % 2 ? <mark key={i}>{part}</mark> : part));
+}
+
+/** Live-region text for a fresh set of suggestions */
+const suggestionsFound = (i18n, count) =>
+  count ? i18n.t("search.found", { count }) : i18n.t("search.noMatches");
+
+/** Language switcher for the header */
+function LanguagePicker({ lang, onChange }) {
+  const { t } = useI18n();
+  return (
+    <label className="language-picker">
+      {t("language.label")}{" "}
+      <select value={lang} onChange={(e) => onChange(e.target.value)}>
+        {Object.entries(LANGUAGES).map(([code, name]) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/** Disclaimer */
+const Disclaimer = () => {
+  const { t } = useI18n();
+  return (
+    <section className="disclaimer">
+      <h3>{t("disclaimer.title")}</h3>
+      <p>{t("disclaimer.body")}</p>
+    </section>
+  );
+};
 
 /** -------------------- COMPONENT -------------------- */
-const HotelOffers = () => {
-  const [creditEntries, setCreditEntries] = useState([]);
-  const [debitEntries, setDebitEntries] = useState([]);
-  // ✅ NEW
-  const [upiEntries, setUpiEntries] = useState([]);
-  const [netbankingEntries, setNetbankingEntries] = useState([]);
-
-  const [marqueeCC, setMarqueeCC] = useState([]);
-  const [marqueeDC, setMarqueeDC] = useState([]);
-  // ✅ NEW
-  const [marqueeUPI, setMarqueeUPI] = useState([]);
-  const [marqueeNB, setMarqueeNB] = useState([]);
-
-  const [filteredCards, setFilteredCards] = useState([]);
-  const [query, setQuery] = useState("");
-  const [selected, setSelected] = useState(null); // {type, display, baseNorm}
+const HotelOffers = ({ lang, onLanguageChange }) => {
+  // Feeds are parsed and matched in the offers worker (offerClient.js); the UI keeps the
+  // catalog it reports (feeds, instrument lists, load errors) and the latest matches
+  const clientRef = useRef(null);
+  if (!clientRef.current) clientRef.current = createOfferClient();
+  const offerClient = clientRef.current;
+  // The worker goes with the component; a StrictMode remount starts a new one on its next call
+  useEffect(() => () => offerClient.terminate(), [offerClient]);
+  const [catalog, setCatalog] = useState(emptyCatalog);
+  const [loadState, setLoadState] = useState("loading"); // "loading" | "done" | "failed"
+  const [loadAttempt, setLoadAttempt] = useState(0); // bumped by Retry to load again
+  const [results, setResults] = useState(NO_RESULTS);
+  const [walletResults, setWalletResults] = useState([]); // [{ entry, res }]
+  const [changes, setChanges] = useState(NO_CHANGES); // offer changes, overall and for the selection
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  // Deep link (?type=…&card=…) restored once on first render
+  const [urlInit] = useState(() => readUrlState(window.location.search));
+
+  // Search box: a WAI-ARIA combobox over the engine's search() sections
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1); // highlighted option, across sections
+  const [announcement, setAnnouncement] = useState(""); // screen-reader live region
+  const listboxId = useId();
+  const [query, setQuery] = useState(() => (urlInit.selected ? entryName(i18n, urlInit.selected) : ""));
+  const [selected, setSelected] = useState(urlInit.selected); // {type, display, baseNorm}
   const [noMatches, setNoMatches] = useState(false);
+  const [showExpired, setShowExpired] = useState(urlInit.showExpired);
+  const [hideOtherVariants, setHideOtherVariants] = useState(urlInit.hideOtherVariants);
+  const [view, setView] = useState(urlInit.view); // "grid" of offer cards or comparison "table"
+  const [filters, setFilters] = useState(urlInit.filters);
+  const [walletMode, setWalletMode] = useState(false);
+  const [wallet, setWallet] = useState(() => loadInstruments(WALLET_STORAGE_KEY)); // [{type, display, baseNorm}]
+  const [follows, setFollows] = useState(() => loadInstruments(FOLLOWS_STORAGE_KEY)); // likewise
+  const [followAlerts, setFollowAlerts] = useState([]); // [{ entry, added, removed }] since the page opened
+  const [ticketCount, setTicketCount] = useState(urlInit.ticketCount);
+  const [bookingAmount, setBookingAmount] = useState(urlInit.bookingAmount);
+  const [activeSite, setActiveSite] = useState(urlInit.site);
+  const [focusedOffer, setFocusedOffer] = useState(""); // no-card offer picked from the marquee, by label
   const [isMobile, setIsMobile] = useState(false);
+  const searchTimer = useRef(null);
+  const pendingQuery = useRef(""); // suggestions for any other query arrive too late
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+
+  const {
+    credit: marqueeCC,
+    debit: marqueeDC,
+    upi: marqueeUPI,
+    netbanking: marqueeNB,
+    nonPayment: marqueeNonPay,
+  } = catalog.offered;
+
+  useEffect(() => saveJson(WALLET_STORAGE_KEY, wallet), [wallet]);
+  useEffect(() => saveJson(FOLLOWS_STORAGE_KEY, follows), [follows]);
+
+  // Mirror selection + filters into the URL: a new history entry per selection,
+  // replaceState for filter tweaks so back/forward steps between cards
+  useEffect(() => {
+    const qs = buildUrlSearch({
+      selected,
+      ticketCount,
+      bookingAmount,
+      showExpired,
+      hideOtherVariants,
+      view,
+      site: activeSite,
+      filters,
+    });
+    if (qs === window.location.search) return;
+    const url = `${window.location.pathname}${qs}${window.location.hash}`;
+    const prev = readUrlState(window.location.search).selected;
+    if (selectionKey(prev) !== selectionKey(selected)) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+  }, [selected, ticketCount, bookingAmount, showExpired, hideOtherVariants, view, activeSite, filters]);
 
-  const [bmsOffers, setBMSOffers] = useState([]);
-  const [cinepolisOffers, setCinepolisOffers] = useState([]);
-  const [paytmDistrictOffers, setPaytmDistrictOffers] = useState([]);
-  const [pvrOffers, setPVROffers] = useState([]);
-  const [permanentOffers, setPermanentOffers] = useState([]);
+  useEffect(() => {
+    const onPopState = () => {
+      const st = readUrlState(window.location.search);
+      setSelected(st.selected);
+      setQuery(st.selected ? entryName(i18n, st.selected) : "");
+      setTicketCount(st.ticketCount);
+      setBookingAmount(st.bookingAmount);
+      setShowExpired(st.showExpired);
+      setHideOtherVariants(st.hideOtherVariants);
+      setView(st.view);
+      setActiveSite(st.site);
+      setFilters(st.filters);
+      setFocusedOffer("");
+      setSuggestions([]);
+      setNoMatches(false);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [i18n]);
 
   useEffect(() => {
     const onResize = () => setIsMobile(window.innerWidth <= 768);
@@ -456,718 +1374,470 @@ const HotelOffers = () => {
   }, []);
 
   useEffect(() => {
-    (async () => {
+    let cancelled = false;
+    let reloadTimer;
+    const load = async () => {
+      let next;
       try {
-        const res = await axios.get(`/allCards.csv`);
-        const parsed = Papa.parse(res.data, { header: true });
-        const rows = parsed.data || [];
-
-        const creditMap = new Map();
-        const debitMap = new Map();
-        // ✅ NEW
-        const upiMap = new Map();
-        const nbMap = new Map();
-
-        for (const row of rows) {
-          const ccList = splitList(firstField(row, LIST_FIELDS.credit));
-          for (const raw of ccList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) creditMap.set(baseNorm, creditMap.get(baseNorm) || base);
-          }
-
-          const dcList = splitList(firstField(row, LIST_FIELDS.debit));
-          for (const raw of dcList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) debitMap.set(baseNorm, debitMap.get(baseNorm) || base);
-          }
-
-          // ✅ NEW: UPI + NetBanking from allCards.csv
-          const upiList = splitList(firstField(row, LIST_FIELDS.upi));
-          for (const raw of upiList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) upiMap.set(baseNorm, upiMap.get(baseNorm) || base);
-          }
-
-          const nbList = splitList(firstField(row, LIST_FIELDS.netbanking));
-          for (const raw of nbList) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) nbMap.set(baseNorm, nbMap.get(baseNorm) || base);
-          }
-        }
-
-        const credit = Array.from(creditMap.values())
-          .sort((a, b) => a.localeCompare(b))
-          .map((d) => makeEntry(d, "credit"));
-        const debit = Array.from(debitMap.values())
-          .sort((a, b) => a.localeCompare(b))
-          .map((d) => makeEntry(d, "debit"));
-
-        // ✅ NEW
-        const upi = Array.from(upiMap.values())
-          .sort((a, b) => a.localeCompare(b))
-          .map((d) => makeEntry(d, "upi"));
-        const netbanking = Array.from(nbMap.values())
-          .sort((a, b) => a.localeCompare(b))
-          .map((d) => makeEntry(d, "netbanking"));
-
-        setCreditEntries(credit);
-        setDebitEntries(debit);
-        // ✅ NEW
-        setUpiEntries(upi);
-        setNetbankingEntries(netbanking);
-
-        setFilteredCards([
-          ...(credit.length ? [{ type: "heading", label: "Credit Cards" }] : []),
-          ...credit,
-          ...(debit.length ? [{ type: "heading", label: "Debit Cards" }] : []),
-          ...debit,
-          ...(upi.length ? [{ type: "heading", label: "UPI" }] : []),
-          ...upi,
-          ...(netbanking.length ? [{ type: "heading", label: "NetBanking" }] : []),
-          ...netbanking,
-        ]);
-
-        if (!credit.length && !debit.length && !upi.length && !netbanking.length) {
-          setNoMatches(true);
-          setSelected(null);
-        }
+        next = await offerClient.load();
       } catch (e) {
-        console.debug("[HotelOffers] all_cards.csv load error:", e);
-        setNoMatches(true);
-        setSelected(null);
+        console.debug("[HotelOffers] feed load error:", e);
+        if (!cancelled) setLoadState("failed");
+        return;
       }
-    })();
-  }, []);
-
-  useEffect(() => {
-    (async () => {
-      try {
-        const specs = [
-          { key: "BMS", name: "Bookmyshow.csv", setter: setBMSOffers },
-          { key: "CINE", name: "cinepolis.csv", setter: setCinepolisOffers },
-          { key: "PAYTM", name: "district_paytm.csv", setter: setPaytmDistrictOffers },
-          { key: "PVR", name: "PVR.csv", setter: setPVROffers },
-          { key: "PERM", name: "permanent_offers.csv", setter: setPermanentOffers },
-        ];
-
-        await Promise.all(
-          specs.map(async (f) => {
-            const res = await axios.get(`/${encodeURIComponent(f.name)}`);
-            const parsed = Papa.parse(res.data, { header: true });
-            const rows = parsed.data || [];
-            f.setter(rows);
-          })
-        );
-      } catch (e) {
-        console.debug("[HotelOffers] Offer CSV load error:", e);
+      if (cancelled) return;
+      for (const [file, msg] of Object.entries(next.errors)) {
+        console.debug(`[HotelOffers] ${file} load error:`, msg);
       }
-    })();
-  }, []);
-
-  // ✅ NEW: Ensure dropdown has UPI/NetBanking entries even if allCards.csv doesn’t include them
-  useEffect(() => {
-    const upiMap = new Map();
-    const nbMap = new Map();
-
-    const harvest = (rows) => {
-      for (const o of rows || []) {
-        const upiField = firstField(o, LIST_FIELDS.upi) || firstFieldByContains(o, "upi");
-        if (upiField) {
-          for (const raw of splitList(upiField)) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) upiMap.set(baseNorm, upiMap.get(baseNorm) || base);
-          }
-        }
+      setCatalog(next);
+      setLoadState("done");
 
-        const nbField =
-          firstField(o, LIST_FIELDS.netbanking) ||
-          firstFieldByContains(o, "netbank") ||
-          firstFieldByContains(o, "net banking");
-        if (nbField) {
-          for (const raw of splitList(nbField)) {
-            const base = brandCanonicalize(getBase(raw));
-            const baseNorm = toNorm(base);
-            if (baseNorm) nbMap.set(baseNorm, nbMap.get(baseNorm) || base);
-          }
-        }
+      // An empty list because the card list failed is a load error, not "no such card"
+      const { credit, debit, upi, netbanking } = next.instruments;
+      const { registry, cards } = next.failed;
+      if (!registry && !cards && !credit.length && !debit.length && !upi.length && !netbanking.length) {
+        setNoMatches(true);
+        setSelected(null);
       }
     };
+    load();
 
-    harvest(bmsOffers);
-    harvest(cinepolisOffers);
-    harvest(paytmDistrictOffers);
-    harvest(pvrOffers);
-
-    const upiFromOffers = Array.from(upiMap.values())
-      .sort((a, b) => a.localeCompare(b))
-      .map((d) => makeEntry(d, "upi"));
-
-    const nbFromOffers = Array.from(nbMap.values())
-      .sort((a, b) => a.localeCompare(b))
-      .map((d) => makeEntry(d, "netbanking"));
-
-    setUpiEntries((prev) => {
-      const m = new Map();
-      (prev || []).forEach((e) => e?.baseNorm && m.set(e.baseNorm, e));
-      (upiFromOffers || []).forEach((e) => {
-        if (e?.baseNorm && !m.has(e.baseNorm)) m.set(e.baseNorm, e);
-      });
-      return Array.from(m.values()).sort((a, b) => a.display.localeCompare(b.display));
+    // The service worker revalidated a feed in the background and got a newer copy;
+    // one message per file, so wait for the batch before re-reading from the cache
+    const unsubscribe = onFeedsUpdated(() => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(load, 500);
     });
+    return () => {
+      cancelled = true;
+      clearTimeout(reloadTimer);
+      unsubscribe();
+    };
+  }, [offerClient, loadAttempt]);
 
-    setNetbankingEntries((prev) => {
-      const m = new Map();
-      (prev || []).forEach((e) => e?.baseNorm && m.set(e.baseNorm, e));
-      (nbFromOffers || []).forEach((e) => {
-        if (e?.baseNorm && !m.has(e.baseNorm)) m.set(e.baseNorm, e);
-      });
-      return Array.from(m.values()).sort((a, b) => a.display.localeCompare(b.display));
-    });
-  }, [bmsOffers, cinepolisOffers, paytmDistrictOffers, pvrOffers]);
+  const retryLoad = () => {
+    setLoadState("loading");
+    setLoadAttempt((n) => n + 1);
+  };
 
+  // Matches for the selection (per card product for a bank), and for every wallet
+  // instrument in wallet mode
   useEffect(() => {
-    const ccMap = new Map();
-    const dcMap = new Map();
-    // ✅ NEW
-    const upiMap = new Map();
-    const nbMap = new Map();
-
-    const harvestList = (val, targetMap) => {
-      for (const raw of splitList(val)) {
-        const base = brandCanonicalize(getBase(raw));
-        const baseNorm = toNorm(base);
-        if (baseNorm) targetMap.set(baseNorm, targetMap.get(baseNorm) || base);
-      }
+    let cancelled = false;
+    const options = { showExpired, hideOtherVariants };
+    const matching =
+      selected?.type === "bank"
+        ? offerClient
+            .findBankOffers(selected.bank, options)
+            .then(({ products, expiredCount }) => ({ ...NO_RESULTS, products, expiredCount }))
+        : offerClient.findOffers(selected, options);
+    matching
+      .then((res) => !cancelled && setResults(res))
+      .catch((e) => console.debug("[HotelOffers] match error:", e));
+    return () => {
+      cancelled = true;
     };
+  }, [offerClient, catalog, selected, showExpired, hideOtherVariants]);
 
-    const harvestMixed = (val) => {
-      for (const raw of splitList(val)) {
-        const base = brandCanonicalize(getBase(raw));
-        const baseNorm = toNorm(base);
-        const lower = String(raw).toLowerCase();
-        if (!baseNorm) continue;
-        if (/\bdebit\b/.test(lower)) dcMap.set(baseNorm, dcMap.get(baseNorm) || base);
-        else if (/\bcredit\b/.test(lower)) ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
-      }
+  useEffect(() => {
+    let cancelled = false;
+    offerClient
+      .findChanges(INSTRUMENT_TYPES.includes(selected?.type) ? selected : null)
+      .then((res) => !cancelled && setChanges(res))
+      .catch((e) => console.debug("[HotelOffers] changes error:", e));
+    return () => {
+      cancelled = true;
     };
+  }, [offerClient, catalog, selected]);
 
-    const harvestByValueScan = (row) => {
-      for (const v of Object.values(row || {})) {
-        if (!v || typeof v !== "string") continue;
-        const tokens = splitList(v).filter((t) => /\bcard\b/i.test(t));
-        for (const tok of tokens) {
-          const base = brandCanonicalize(getBase(tok));
-          const baseNorm = toNorm(base);
-          if (!baseNorm) continue;
-          if (valueLooksDebit(tok)) dcMap.set(baseNorm, dcMap.get(baseNorm) || base);
-          else if (valueLooksCredit(tok)) ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
+  // Followed instruments: their offers now against the last load's, told in-app and as a
+  // browser notification. Following one just stores its offers for next time.
+  useEffect(() => {
+    if (loadState !== "done" || catalog.failed.registry) return;
+    let cancelled = false;
+    Promise.all(
+      follows.map((entry) =>
+        offerClient.findOffers(entry).then((res) => ({ entry, offers: matchedOffers(res.lists) }))
+      )
+    )
+      .then((perEntry) => {
+        if (cancelled) return;
+        const stored = loadFollowedOffers();
+        const failedSites = Object.keys(catalog.failed.feeds);
+        const next = {};
+        const found = [];
+        for (const { entry, offers } of perEntry) {
+          const key = selectionKey(entry);
+          const { added, removed, offers: keep } = compareMatchedOffers(stored[key], offers, failedSites);
+          next[key] = keep;
+          if (added.length || removed.length) found.push({ entry, added, removed });
         }
-      }
-    };
-
-    const harvestRows = (rows) => {
-      for (const o of rows || []) {
-        const debitHeaders = entriesWhereKey(o, (k) => {
-          const lk = k.toLowerCase();
-          return /\bdebit\b/.test(lk) && /\bcards?\b/.test(lk);
-        });
-        const creditHeaders = entriesWhereKey(o, (k) => {
-          const lk = k.toLowerCase();
-          return /\bcredit\b/.test(lk) && /\bcards?\b/.test(lk);
-        });
-
-        // ✅ NEW: UPI + NetBanking headers
-        const upiHeaders = entriesWhereKey(o, (k) => /\bupi\b/i.test(k));
-        const nbHeaders = entriesWhereKey(
-          o,
-          (k) => /\bnetbank\b/i.test(k) || /net\s*bank/i.test(k)
-        );
-
-        debitHeaders.forEach(({ value }) => harvestList(value, dcMap));
-        creditHeaders.forEach(({ value }) => harvestList(value, ccMap));
-
-        // ✅ NEW
-        upiHeaders.forEach(({ value }) => harvestList(value, upiMap));
-        nbHeaders.forEach(({ value }) => harvestList(value, nbMap));
-
-        const mixedHeaders = entriesWhereKey(
-          o,
-          (k) => /\beligible\b/i.test(k) && /\bcards?\b/i.test(k)
-        ).filter(({ key }) => !headerLooksDebit(key) && !headerLooksCredit(key));
-
-        if (mixedHeaders.length) mixedHeaders.forEach(({ value }) => harvestMixed(value));
-
-        if (!debitHeaders.length && !creditHeaders.length && !mixedHeaders.length) {
-          harvestByValueScan(o);
+        saveJson(FOLLOWED_OFFERS_STORAGE_KEY, next);
+        if (!found.length) return;
+        setFollowAlerts((prev) => [
+          ...prev.filter((a) => !found.some((f) => sameInstrument(f.entry, a.entry))),
+          ...found,
+        ]);
+        for (const { entry, added, removed } of found) {
+          const lines = [
+            ...added.map((o) => t("follow.newOffer", { title: o.title })),
+            ...removed.map((o) => t("follow.endedOffer", { title: o.title })),
+          ];
+          showNotification(t("follow.notifyTitle", { name: entryName(i18n, entry) }), {
+            body: lines.join("\n"),
+            tag: `follow-${selectionKey(entry)}`,
+          });
         }
-      }
+      })
+      .catch((e) => console.debug("[HotelOffers] follow check error:", e));
+    return () => {
+      cancelled = true;
     };
+  }, [offerClient, catalog, loadState, follows, i18n, t]);
 
-    harvestRows(bmsOffers);
-    harvestRows(cinepolisOffers);
-    harvestRows(paytmDistrictOffers);
-    harvestRows(pvrOffers);
-
-    for (const o of permanentOffers || []) {
-      const nm =
-        firstField(o, LIST_FIELDS.permanentCCName) ||
-        firstFieldByContains(o, "credit card name");
-      const base = brandCanonicalize(getBase(nm));
-      const baseNorm = toNorm(base);
-      if (baseNorm) ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
-    }
+  useEffect(() => {
+    if (!walletMode) return;
+    let cancelled = false;
+    Promise.all(
+      wallet.map((entry) =>
+        offerClient
+          .findOffers(entry, { showExpired, hideOtherVariants })
+          .then((res) => ({ entry, res }))
+      )
+    )
+      .then((perEntry) => !cancelled && setWalletResults(perEntry))
+      .catch((e) => console.debug("[HotelOffers] match error:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [offerClient, catalog, walletMode, wallet, showExpired, hideOtherVariants]);
 
-    const ccArr = Array.from(ccMap.values()).sort((a, b) => a.localeCompare(b));
-    const dcArr = Array.from(dcMap.values()).sort((a, b) => a.localeCompare(b));
-    // ✅ NEW
-    const upiArr = Array.from(upiMap.values()).sort((a, b) => a.localeCompare(b));
-    const nbArr = Array.from(nbMap.values()).sort((a, b) => a.localeCompare(b));
+  useEffect(() => {
+    const onOnline = () => setIsOnline(true);
+    const onOffline = () => setIsOnline(false);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOffline);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+    };
+  }, []);
 
-    setMarqueeCC(ccArr);
-    setMarqueeDC(dcArr);
-    // ✅ NEW
-    setMarqueeUPI(upiArr);
-    setMarqueeNB(nbArr);
-  }, [bmsOffers, cinepolisOffers, paytmDistrictOffers, pvrOffers, permanentOffers]);
+  useEffect(() => () => clearTimeout(searchTimer.current), []);
 
-  /** 🔹 UPDATED: search box with fuzzy "select" handling + UPI/NetBanking */
+  /** Search box: grouped suggestions from the engine (cards, BINs, UPI, NetBanking) */
   const onChangeQuery = (e) => {
     const val = e.target.value;
     setQuery(val);
+    clearTimeout(searchTimer.current);
 
     const trimmed = val.trim();
+    pendingQuery.current = trimmed;
     if (!trimmed) {
-      setFilteredCards([]);
+      setSuggestions([]);
       setSelected(null);
       setNoMatches(false);
       return;
     }
 
-    const qLower = trimmed.toLowerCase();
-    const qNorm = toNorm(trimmed);
-    const queryHasSelectLike = hasSelectLikeWord(trimmed);
-
-    const scored = (arr) =>
-      (arr || [])
-        .map((it) => {
-          const s = scoreCandidate(trimmed, it.display);
-          const labelNorm = toNorm(it.display);
-          const inc = labelNorm.includes(qLower);
-
-          // label has a real "select" word?
-          const labelWords = labelNorm.split(" ").filter(Boolean);
-          const labelHasSelectWord = labelWords.some(
-            (w) => w === "select" || lev(w, "select") <= 1
-          );
-
-          const passesFuzzySelect = queryHasSelectLike && labelHasSelectWord;
-
-          return { it, s, inc, passesFuzzySelect, labelNorm };
-        })
-        .filter(({ s, inc, passesFuzzySelect }) => inc || s > 0.3 || passesFuzzySelect)
-        .sort((a, b) => b.s - a.s || a.it.display.localeCompare(b.it.display))
-        .slice(0, MAX_SUGGESTIONS)
-        .map(({ it }) => it);
-
-    // ✅ NEW: keyword detection for UPI / NetBanking
-    const mentionsUPI = qNorm === "upi" || /\bupi\b/i.test(trimmed);
-    const mentionsNetBanking =
-      qNorm === "netbanking" ||
-      qNorm === "net banking" ||
-      /net\s*bank/i.test(trimmed);
-
-    // If user types ONLY "upi" / "netbanking" -> show ALL of those entries
-    const upiList =
-      qNorm === "upi" ? (upiEntries || []).slice(0, MAX_SUGGESTIONS) : scored(upiEntries);
-    const nbList =
-      qNorm === "netbanking" || qNorm === "net banking"
-        ? (netbankingEntries || []).slice(0, MAX_SUGGESTIONS)
-        : scored(netbankingEntries);
-
-    let cc = scored(creditEntries);
-    let dc = scored(debitEntries);
-
-    if (!cc.length && !dc.length && !upiList.length && !nbList.length) {
-      setNoMatches(true);
-      setSelected(null);
-      setFilteredCards([]);
-      return;
-    }
-
-    setNoMatches(false);
-
-    // If query looks like "select" → push all "Select" cards to the top
-    if (queryHasSelectLike) {
-      const bumpSelectCards = (arr) => {
-        const selectOnTop = [];
-        const rest = [];
-        arr.forEach((item) => {
-          const norm = toNorm(item.display);
-          const words = norm.split(" ").filter(Boolean);
-          const hasSelectWord = words.some((w) => w === "select" || lev(w, "select") <= 1);
-          if (hasSelectWord) selectOnTop.push(item);
-          else rest.push(item);
-        });
-        return [...selectOnTop, ...rest];
-      };
-      cc = bumpSelectCards(cc);
-      dc = bumpSelectCards(dc);
-    }
-
-    const buildList = (order) => {
-      const out = [];
-      for (const sec of order) {
-        if (sec === "upi" && upiList.length) out.push({ type: "heading", label: "UPI" }, ...upiList);
-        if (sec === "netbanking" && nbList.length)
-          out.push({ type: "heading", label: "NetBanking" }, ...nbList);
-        if (sec === "credit" && cc.length)
-          out.push({ type: "heading", label: "Credit Cards" }, ...cc);
-        if (sec === "debit" && dc.length)
-          out.push({ type: "heading", label: "Debit Cards" }, ...dc);
+    // Suggestions follow once typing pauses, not on every keystroke
+    searchTimer.current = setTimeout(async () => {
+      let sections;
+      try {
+        sections = await offerClient.search(trimmed);
+      } catch (e) {
+        console.debug("[HotelOffers] search error:", e);
+        return;
       }
-      return out;
-    };
+      if (pendingQuery.current !== trimmed) return;
+      // A bank isn't one instrument, so it can't go in the wallet
+      const shown = sections.filter((sec) => !walletMode || sec.type !== "bank");
+      const count = shown.reduce((n, sec) => n + sec.items.length, 0);
+      setNoMatches(!count);
+      if (!count) setSelected(null);
+      setSuggestions(shown);
+      setAnnouncement(suggestionsFound(i18n, count));
+    }, SEARCH_DEBOUNCE_MS);
+  };
 
-    // ✅ If query indicates NetBanking / UPI, show those sections at TOP
-    if (mentionsNetBanking) {
-      setFilteredCards(buildList(["netbanking", "upi", "credit", "debit"]));
-      return;
-    }
-    if (mentionsUPI) {
-      setFilteredCards(buildList(["upi", "netbanking", "credit", "debit"]));
-      return;
-    }
+  /** Close the suggestion list, and drop a search still waiting to fill it */
+  const closeSuggestions = () => {
+    clearTimeout(searchTimer.current);
+    pendingQuery.current = "";
+    setSuggestions([]);
+  };
 
-    // Default: Credit, Debit, UPI, NetBanking
-    setFilteredCards(buildList(["credit", "debit", "upi", "netbanking"]));
+  const toggleWalletEntry = (entry) => {
+    setWallet((prev) =>
+      prev.some((e) => sameInstrument(e, entry))
+        ? prev.filter((e) => !sameInstrument(e, entry))
+        : [...prev, instrumentRecord(entry)]
+    );
   };
 
-  const onPick = (entry) => {
-    setSelected(entry);
-    setQuery(entry.display);
-    setFilteredCards([]);
-    setNoMatches(false);
+  const toggleFollow = (entry) => {
+    const following = follows.some((e) => sameInstrument(e, entry));
+    setFollows((prev) =>
+      following ? prev.filter((e) => !sameInstrument(e, entry)) : [...prev, instrumentRecord(entry)]
+    );
+    if (following) setFollowAlerts((prev) => prev.filter((a) => !sameInstrument(a.entry, entry)));
+    else askForNotifications();
+    setAnnouncement(t(following ? "follow.unfollowed" : "follow.followed", { name: entryName(i18n, entry) }));
   };
 
-  const handleChipClick = (name, type) => {
-    const display = brandCanonicalize(getBase(name));
-    const baseNorm = toNorm(display);
-    setQuery(display);
-    setSelected({ type, display, baseNorm });
-    setFilteredCards([]);
+  /** "Show" on a follow alert: that instrument's offers */
+  const showFollowed = (entry) => {
+    setWalletMode(false);
+    setQuery(entryName(i18n, entry));
+    setSelected(entry);
+    setActiveSite("");
+    setFocusedOffer("");
+    setSuggestions([]);
     setNoMatches(false);
   };
 
-  function matchesFor(offers, type, site) {
-    if (!selected) return [];
-    const out = [];
-    for (const o of offers || []) {
-      let list = [];
-      if (type === "permanent") {
-        const nm =
-          firstField(o, LIST_FIELDS.permanentCCName) ||
-          firstFieldByContains(o, "credit card name");
-        if (nm) list = [nm];
-      } else if (type === "upi") {
-        const upi = firstField(o, LIST_FIELDS.upi) || firstFieldByContains(o, "upi");
-        list = splitList(upi);
-      } else if (type === "netbanking") {
-        const nb =
-          firstField(o, LIST_FIELDS.netbanking) ||
-          firstFieldByContains(o, "netbank") ||
-          firstFieldByContains(o, "net banking");
-        list = splitList(nb);
-      } else if (type === "debit") {
-        const dcExplicit =
-          firstField(o, LIST_FIELDS.debit) ||
-          firstFieldByContains(o, "eligible debit") ||
-          firstFieldByContains(o, "debit card");
-        const dcFromHeaders = dcExplicit ? splitList(dcExplicit) : [];
-        let dc = [...dcFromHeaders];
-
-        if (!dc.length) {
-          const typeHint = getRowTypeHint(o);
-          const mixed =
-            firstFieldByContains(o, "eligible cards") ||
-            firstFieldByContains(o, "cards");
-          if (mixed && typeHint === "debit") dc = splitList(mixed);
-        }
-        if (!dc.length) {
-          const tokens = Object.values(o || {})
-            .filter((v) => typeof v === "string")
-            .flatMap((v) => splitList(v))
-            .filter((t) => /\bdebit\b/i.test(t));
-          dc = tokens;
-        }
-        list = dc;
-      } else {
-        const cc =
-          firstField(o, LIST_FIELDS.credit) ||
-          firstFieldByContains(o, "eligible credit") ||
-          firstFieldByContains(o, "credit card") ||
-          firstFieldByContains(o, "eligible cards");
-        list = splitList(cc);
-      }
-
-      let matched = false;
-      let matchedVariant = "";
-      for (const raw of list) {
-        const base = brandCanonicalize(getBase(raw));
-        if (toNorm(base) === selected.baseNorm) {
-          matched = true;
-          const v = getVariant(raw);
-          if (v) matchedVariant = v;
-          break;
-        }
-      }
-      if (matched) {
-        out.push({ offer: o, site, variantText: matchedVariant, matchType: type });
-      }
+  const onPick = (entry) => {
+    // A pending search would reopen the list
+    clearTimeout(searchTimer.current);
+    pendingQuery.current = "";
+    if (walletMode) {
+      const inWallet = wallet.some((e) => sameInstrument(e, entry));
+      toggleWalletEntry(entry);
+      setQuery("");
+      setSuggestions([]);
+      setNoMatches(false);
+      setAnnouncement(t(inWallet ? "wallet.removed" : "wallet.added", { name: entryName(i18n, entry) }));
+      return;
     }
-    return out;
-  }
+    setSelected(withNetworkGuess(entry));
+    setActiveSite("");
+    setFocusedOffer("");
+    setQuery(entryName(i18n, entry));
+    setSuggestions([]);
+    setNoMatches(false);
+    setAnnouncement(t("search.showing", { name: entryName(i18n, entry) }));
+  };
 
-  const selectedMatchType =
-    selected?.type === "debit"
-      ? "debit"
-      : selected?.type === "upi"
-      ? "upi"
-      : selected?.type === "netbanking"
-      ? "netbanking"
-      : "credit";
-
-  const wPermanent = matchesFor(permanentOffers, "permanent", "Permanent");
-  const wBMS = matchesFor(bmsOffers, selectedMatchType, "Bookmyshow");
-  const wCinepolis = matchesFor(cinepolisOffers, selectedMatchType, "Cinepolis");
-  const wPaytmDistrict = matchesFor(
-    paytmDistrictOffers,
-    selectedMatchType,
-    "Paytm and District"
+  // Options in keyboard order, and where each section's options start
+  const options = suggestions.flatMap((sec) => sec.items);
+  const sectionStarts = suggestions.reduce(
+    (starts, sec, i) => [...starts, i ? starts[i - 1] + suggestions[i - 1].items.length : 0],
+    []
   );
-  const wPVR = matchesFor(pvrOffers, selectedMatchType, "PVR");
+  const listOpen = !!query.trim() && options.length > 0;
+  const optionId = (i) => `${listboxId}-option-${i}`;
 
-  const seen = new Set();
-  const dPermanent = selected?.type === "credit" ? dedupWrappers(wPermanent, seen) : [];
-  const dBMS = dedupWrappers(wBMS, seen);
-  const dCinepolis = dedupWrappers(wCinepolis, seen);
-  const dPaytmDistrict = dedupWrappers(wPaytmDistrict, seen);
-  const dPVR = dedupWrappers(wPVR, seen);
+  useEffect(() => setActiveIndex(-1), [suggestions]);
 
-  const hasAny = Boolean(
-    dPermanent.length || dBMS.length || dCinepolis.length || dPaytmDistrict.length || dPVR.length
-  );
-
-  const sectionHeading = (siteLabel, defaultHeading) => {
-    if (selected?.type === "upi") return `UPI offers on ${siteLabel}`;
-    if (selected?.type === "netbanking") return `NetBanking offers on ${siteLabel}`;
-    return defaultHeading;
-  };
-
-  const OfferCard = ({ wrapper, isPermanent = false }) => {
-    const [copied, setCopied] = useState(false);
-    const o = wrapper.offer;
-
-    const getCI = (obj, key) => {
-      if (!obj) return undefined;
-      const target = String(key).toLowerCase();
-      for (const k of Object.keys(obj)) {
-        if (String(k).toLowerCase() === target) return obj[k];
-      }
-      return undefined;
+  // Keep the highlighted option visible in the scrolling list
+  useEffect(() => {
+    if (activeIndex < 0) return;
+    const option = document.getElementById(`${listboxId}-option-${activeIndex}`);
+    option?.scrollIntoView?.({ block: "nearest" });
+  }, [activeIndex, listboxId]);
+
+  /**
+   * Arrow keys move through the options across sections (wrapping), Page Up / Page Down
+   * jump between sections, Enter picks, Escape closes the list. Focus stays in the box.
+   */
+  const onSearchKeyDown = (e) => {
+    if (!listOpen) return;
+    const last = options.length - 1;
+    const moves = {
+      ArrowDown: () => (activeIndex >= last ? 0 : activeIndex + 1),
+      ArrowUp: () => (activeIndex <= 0 ? last : activeIndex - 1),
+      PageDown: () => sectionStarts.find((i) => i > activeIndex) ?? last,
+      PageUp: () => [...sectionStarts].reverse().find((i) => i < activeIndex) ?? 0,
     };
-
-    const siteKey = String(wrapper.site || "").toLowerCase();
-    const showVariantNote =
-      VARIANT_NOTE_SITES.has(wrapper.site) &&
-      wrapper.variantText &&
-      wrapper.variantText.trim().length > 0;
-
-    let image = firstField(o, LIST_FIELDS.image) || firstFieldByContains(o, "image");
-    let title = isPermanent ? undefined : firstField(o, LIST_FIELDS.title) || o.Website;
-    let desc = isPermanent ? firstField(o, LIST_FIELDS.permanentBenefit) : firstField(o, LIST_FIELDS.desc);
-    let link = firstField(o, LIST_FIELDS.link);
-
-    let couponCode;
-    let terms;
-
-    if (siteKey === "bookmyshow" || siteKey === "cinepolis") {
-      title = getCI(o, "Offer") ?? title;
-      desc = getCI(o, "Terms and Conditions") ?? desc;
-      image = getCI(o, "Image") ?? image;
-      link = getCI(o, "Link") ?? link;
-    } else if (siteKey === "paytm and district") {
-      couponCode = getCI(o, "Coupon Code");
-      terms = getCI(o, "Terms and Conditions");
-    } else if (siteKey === "pvr") {
-      title = getCI(o, "Offer") ?? title;
-      terms = getCI(o, "Terms and Conditions");
-      link = getCI(o, "Link") ?? link;
-      image = getCI(o, "Image") ?? image;
-      if (terms) desc = terms;
+    if (moves[e.key]) {
+      e.preventDefault();
+      setActiveIndex(moves[e.key]());
+    } else if (e.key === "Enter" && activeIndex >= 0) {
+      e.preventDefault();
+      onPick(options[activeIndex]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      closeSuggestions();
     }
+  };
 
-    const { src: imgSrc, usingFallback } = resolveImage(siteKey, image);
-
-    const onCopy = () => {
-      if (!couponCode) return;
-      navigator.clipboard?.writeText(String(couponCode)).then(() => {
-        setCopied(true);
-        setTimeout(() => setCopied(false), 1200);
-      });
-    };
+  const handleChipClick = (name, type) => {
+    if (type === "nonpayment") {
+      setWalletMode(false);
+      setQuery(entryName(i18n, NON_PAYMENT_ENTRY));
+      setSelected(NON_PAYMENT_ENTRY);
+      setActiveSite("");
+      setFocusedOffer(name);
+      setSuggestions([]);
+      setNoMatches(false);
+      return;
+    }
 
-    if (siteKey === "paytm and district") {
-      return (
-        <div className="offer-card">
-          {imgSrc && (
-            <img
-              className={`offer-img ${usingFallback ? "is-fallback" : ""}`}
-              src={imgSrc}
-              alt="Offer"
-              onError={(e) => handleImgError(e, siteKey)}
-            />
-          )}
-          <div className="offer-info">
-            {couponCode && (
-              <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
-                <span
-                  style={{
-                    padding: "6px 10px",
-                    border: "1px dashed #9aa4b2",
-                    borderRadius: 6,
-                    background: "#f7f9ff",
-                    fontFamily: "monospace",
-                  }}
-                >
-                  {couponCode}
-                </span>
-                <button
-                  className="btn"
-                  onClick={onCopy}
-                  aria-label="Copy coupon code"
-                  title="Copy coupon code"
-                  style={{ display: "inline-flex", alignItems: "center", gap: 6 }}
-                  type="button"
-                >
-                  <span role="img" aria-hidden="true">
-                    📋
-                  </span>{" "}
-                  Copy
-                </button>
-                {copied && <span style={{ color: "#1e7145", fontSize: 14 }}>Copied!</span>}
-              </div>
-            )}
-
-            {terms && (
-              <div
-                className="offer-desc"
-                style={{
-                  maxHeight: 140,
-                  overflowY: "auto",
-                  paddingRight: 8,
-                  border: "1px solid #eee",
-                  borderRadius: 6,
-                  padding: "10px 12px",
-                  background: "#fafafa",
-                  lineHeight: 1.5,
-                  whiteSpace: "pre-wrap",
-                }}
-              >
-                {terms}
-              </div>
-            )}
-
-            {showVariantNote && (
-              <p className="network-note" style={{ color: "#b00020", marginTop: 8 }}>
-                <strong>Note:</strong> This benefit is applicable only on{" "}
-                <em>{wrapper.variantText}</em> variant
-              </p>
-            )}
-
-            {link && (
-              <button className="btn" onClick={() => window.open(link, "_blank")} type="button">
-                View Offer
-              </button>
-            )}
-          </div>
-        </div>
-      );
+    const display = brandCanonicalize(getBase(name));
+    const baseNorm = toNorm(display);
+    if (walletMode) {
+      toggleWalletEntry({ type, display, baseNorm });
+      return;
     }
+    setQuery(display);
+    setSelected(withNetworkGuess({ type, display, baseNorm }));
+    setActiveSite("");
+    setFocusedOffer("");
+    setSuggestions([]);
+    setNoMatches(false);
+  };
 
-    return (
-      <div className="offer-card">
-        {imgSrc && (
-          <img
-            className={`offer-img ${usingFallback ? "is-fallback" : ""}`}
-            src={imgSrc}
-            alt="Offer"
-            onError={(e) => handleImgError(e, siteKey)}
-          />
-        )}
-        <div className="offer-info">
-          {title && (
-            <div className="offer-title" style={{ fontWeight: 700, marginBottom: 8, fontSize: 16 }}>
-              {title}
-            </div>
-          )}
+  // Result sections in display order: feeds.json's feeds, then offers anyone can use
+  const sections = [...catalog.feeds, EVERYONE_SECTION];
+
+  const { lists, expiredCount, products = [] } = results;
+  const nonPaymentOffers = lists[NON_PAYMENT_ID] || [];
+  const isBank = selected?.type === "bank";
+  const hasAny = isBank
+    ? products.some((p) => p.count > 0)
+    : catalog.feeds.some((feed) => lists[feed.id]?.length);
+  // Nothing to show yet (first load, or a retry after nothing loaded), or nothing ever will
+  const awaitingFeeds = loadState === "loading" && !catalog.feeds.length;
+  const nothingLoaded = loadState === "failed" || Boolean(catalog.failed.registry);
+  const missingFeeds = (
+    <MissingFeeds
+      feeds={catalog.feeds}
+      failed={catalog.failed}
+      loading={loadState === "loading"}
+      onRetry={retryLoad}
+    />
+  );
 
-          {desc && (
-            <div
-              className="offer-desc"
-              style={
-                SCROLL_SITES.has(wrapper.site)
-                  ? {
-                      maxHeight: 140,
-                      overflowY: "auto",
-                      paddingRight: 8,
-                      border: "1px solid #eee",
-                      borderRadius: 6,
-                      padding: "10px 12px",
-                      background: "#fafafa",
-                      lineHeight: 1.5,
-                      whiteSpace: "pre-wrap",
-                    }
-                  : undefined
-              }
-            >
-              {desc}
-            </div>
-          )}
+  const booking = useMemo(
+    () => ({ tickets: Math.max(1, parseInt(ticketCount, 10) || 1), amount: Number(bookingAmount) || 0 }),
+    [ticketCount, bookingAmount]
+  );
+  // Filter bar: only the sites that have offers for this selection get a checkbox
+  const filterSections = useMemo(
+    () => [...catalog.feeds, EVERYONE_SECTION].filter((sec) => lists[sec.id]?.length),
+    [catalog.feeds, lists]
+  );
+  // Filtering counts what every choice would leave: redo it when the results, filters or
+  // booking change, not on each keystroke in the search box
+  const filtered = useMemo(
+    () => filterOffers(lists, filterSections, filters, booking),
+    [lists, filterSections, filters, booking]
+  );
+  // The no-card offer picked from the marquee: its first card in the results
+  const focusedWrapper = focusedOffer
+    ? filtered.order.flatMap((id) => filtered.lists[id]).find((w) => offerLabel(w) === focusedOffer)
+    : null;
+  const ranked =
+    booking.amount > 0
+      ? rankBySavings(sections.flatMap((sec) => filtered.lists[sec.id] || []), booking)
+      : [];
+  // Comparison table columns: the feeds left after filtering, in the sorted order
+  const comparedFeeds = filtered.order
+    .map((id) => catalog.feeds.find((f) => f.id === id))
+    .filter((feed) => feed && filtered.lists[feed.id].length);
+
+  const hiddenExpired = walletMode
+    ? walletResults.reduce((n, { res }) => n + res.expiredCount, 0)
+    : expiredCount;
+
+  /** Wallet view: per site, each offer with the wallet instruments that unlock it */
+  const walletSections = !walletMode
+    ? []
+    : (() => {
+        const perEntry = walletResults.filter(({ entry }) => wallet.some((e) => sameInstrument(e, entry)));
+        return sections.map((sec) => {
+          const byKey = new Map();
+          for (const { entry, res } of perEntry) {
+            for (const w of res.lists[sec.id] || []) {
+              const k = offerKey(w.offer);
+              const existing = byKey.get(k);
+              const unlockedBy = w.matchType === "nonpayment" ? null : [entry];
+              if (existing) existing.unlockedBy?.push(entry);
+              else byKey.set(k, { ...w, unlockedBy });
+            }
+          }
+          const items = Array.from(byKey.values())
+            .map((w) => ({ ...w, value: offerValue(w, booking) }))
+            .sort((a, b) => b.value - a.value);
+          if (items.length && items[0].value > 0) items[0] = { ...items[0], isBest: true };
+          return { ...sec, items };
+        }).filter((sec) => sec.items.length);
+      })();
+
+  // One card, UPI app or NetBanking bank can be followed; not a bank, a BIN or the no-card offers
+  const followButton = INSTRUMENT_TYPES.includes(selected?.type) && (
+    <FollowButton
+      entry={selected}
+      following={follows.some((e) => sameInstrument(e, selected))}
+      onToggle={toggleFollow}
+    />
+  );
 
-          {isPermanent && (
-            <p className="inbuilt-note" style={{ marginTop: 8 }}>
-              <strong>This is a inbuilt feature of this credit card</strong>
-            </p>
-          )}
+  const shareUrlFor = (slug = "") =>
+    absoluteUrl(
+      buildUrlSearch({
+        selected,
+        ticketCount,
+        bookingAmount,
+        showExpired,
+        hideOtherVariants,
+        view,
+        site: slug,
+        filters,
+      })
+    );
 
-          {showVariantNote && (
-            <p className="network-note" style={{ color: "#b00020", marginTop: 8 }}>
-              <strong>Note:</strong> This benefit is applicable only on{" "}
-              <em>{wrapper.variantText}</em> variant
-            </p>
-          )}
+  // ?site=pvr -> bring that section into view once its results are on screen
+  useEffect(() => {
+    if (!activeSite) return;
+    document.getElementById(`site-${activeSite}`)?.scrollIntoView({ behavior: "smooth" });
+  }, [activeSite, hasAny]);
 
-          {link && (
-            <button className="btn" onClick={() => window.open(link, "_blank")} type="button">
-              View Offer
-            </button>
-          )}
-        </div>
-      </div>
-    );
+  // A no-card offer picked from the marquee: scroll to its card once it's listed
+  useEffect(() => {
+    if (!focusedWrapper) return;
+    document.getElementById(FOCUSED_OFFER_ID)?.scrollIntoView?.({ behavior: "smooth", block: "center" });
+  }, [focusedWrapper]);
+
+  const sectionHeading = (feed) => {
+    const params = { site: feed.label, bin: selected?.bin };
+    if (feed.kind === "permanent") return t("heading.permanent", params);
+    if (["nonpayment", "bin", "upi", "netbanking"].includes(selected?.type)) {
+      return t(`heading.${selected.type}`, params);
+    }
+    return t("heading.site", params);
   };
 
   return (
     <div className="App" style={{ fontFamily: "'Libre Baskerville', serif" }}>
+      <div className="app-status">
+        <FeedStatus updatedAt={catalog.updatedAt} online={isOnline} />
+        <LanguagePicker lang={lang} onChange={onLanguageChange} />
+        <InstallButton />
+      </div>
+      <LoadProblems
+        failed={catalog.failed}
+        feeds={catalog.feeds}
+        loadState={loadState}
+        onRetry={retryLoad}
+      />
+      <ChangesPanel
+        changes={changes.all}
+        card={INSTRUMENT_TYPES.includes(selected?.type) ? selected.display : ""}
+        cardChanges={changes.card}
+      />
+      <FollowAlerts
+        alerts={followAlerts}
+        feeds={catalog.feeds}
+        onShow={showFollowed}
+        onDismiss={() => setFollowAlerts([])}
+      />
+
       {(marqueeCC.length > 0 ||
         marqueeDC.length > 0 ||
         marqueeUPI.length > 0 ||
-        marqueeNB.length > 0) && (
+        marqueeNB.length > 0 ||
+        marqueeNonPay.length > 0) && (
         <div
           style={{
             maxWidth: 1200,
@@ -1191,68 +1861,128 @@ const HotelOffers = () => {
               textAlign: "center",
             }}
           >
-            <span>Credit, Debit, UPI And NetBanking Options Which Have Offers</span>
+            <span>{t("marquee.heading")}</span>
           </div>
 
           {/* ✅ REPLACED <marquee> with accessible CSS marquee */}
           <MarqueeChipsRow
-            label="Credit Cards"
+            label={t("marquee.credit")}
             items={marqueeCC}
             type="credit"
             onChipClick={handleChipClick}
-            title="Click to select this card"
+            title={t("marquee.pickCard")}
           />
           <MarqueeChipsRow
-            label="Debit Cards"
+            label={t("marquee.debit")}
             items={marqueeDC}
             type="debit"
             onChipClick={handleChipClick}
-            title="Click to select this card"
+            title={t("marquee.pickCard")}
           />
           <MarqueeChipsRow
-            label="UPI"
+            label={t("marquee.upi")}
             items={marqueeUPI}
             type="upi"
             onChipClick={handleChipClick}
-            title="Click to select this UPI option"
+            title={t("marquee.pickUpi")}
           />
           <MarqueeChipsRow
-            label="NetBanking"
+            label={t("marquee.netbanking")}
             items={marqueeNB}
             type="netbanking"
             onChipClick={handleChipClick}
-            title="Click to select this NetBanking option"
+            title={t("marquee.pickNetbanking")}
+          />
+          <MarqueeChipsRow
+            label={t("marquee.nonpayment")}
+            items={marqueeNonPay}
+            type="nonpayment"
+            onChipClick={handleChipClick}
+            title={t("marquee.pickNonpayment")}
           />
         </div>
       )}
 
+      {/* Wallet mode */}
+      <div className="wallet-panel" style={{ maxWidth: isMobile ? "92%" : 760, margin: "20px auto 0" }}>
+        <button
+          type="button"
+          className={`wallet-toggle${walletMode ? " is-on" : ""}`}
+          aria-pressed={walletMode}
+          onClick={() => setWalletMode((on) => !on)}
+        >
+          {walletMode ? t("wallet.back") : t("wallet.toggle", { count: wallet.length })}
+        </button>
+        {walletMode && (
+          <WalletBar wallet={wallet} onRemove={(e) => toggleWalletEntry(e)} />
+        )}
+      </div>
+
       {/* Search / dropdown */}
       <div
         className="dropdown"
         style={{
           position: "relative",
-          width: isMobile ? "92%" : "600px",
+          width: isMobile ? "92%" : "760px",
           margin: "20px auto",
         }}
       >
-        <input
-          type="text"
-          value={query}
-          onChange={onChangeQuery}
-          placeholder="Type a Credit / Debit / UPI / NetBanking option to check the offers...."
-          className="dropdown-input"
-          style={{
-            width: "100%",
-            padding: "12px",
-            fontSize: "16px",
-            border: `1px solid ${noMatches ? "#d32f2f" : "#ccc"}`,
-            borderRadius: "6px",
-          }}
-        />
+        <div className="search-row">
+          <input
+            type="text"
+            role="combobox"
+            aria-label={walletMode ? t("search.walletLabel") : t("search.label")}
+            aria-autocomplete="list"
+            aria-expanded={listOpen}
+            aria-controls={listboxId}
+            aria-activedescendant={listOpen && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+            value={query}
+            onChange={onChangeQuery}
+            onKeyDown={onSearchKeyDown}
+            onBlur={closeSuggestions}
+            placeholder={walletMode ? t("search.walletPlaceholder") : t("search.placeholder")}
+            className="dropdown-input"
+            style={{
+              flex: "1 1 auto",
+              minWidth: 0,
+              padding: "12px",
+              fontSize: "16px",
+              border: `1px solid ${noMatches ? "#d32f2f" : "#ccc"}`,
+              borderRadius: "6px",
+            }}
+          />
+          <label className="booking-field">
+            <span>{t("booking.tickets")}</span>
+            <input
+              type="number"
+              min="1"
+              inputMode="numeric"
+              value={ticketCount}
+              onChange={(e) => setTicketCount(e.target.value)}
+              placeholder="1"
+            />
+          </label>
+          <label className="booking-field">
+            <span>{t("booking.total")}</span>
+            <input
+              type="number"
+              min="0"
+              inputMode="decimal"
+              value={bookingAmount}
+              onChange={(e) => setBookingAmount(e.target.value)}
+              placeholder="600"
+            />
+          </label>
+        </div>
 
-        {query.trim() && !!filteredCards.length && (
+        {listOpen && (
           <ul
+            id={listboxId}
+            role="listbox"
+            aria-label={t("search.suggestions")}
             className="dropdown-list"
+            // Clicking an option mustn't blur the box (which closes the list)
+            onMouseDown={(e) => e.preventDefault()}
             style={{
               listStyle: "none",
               padding: "10px",
@@ -1267,111 +1997,261 @@ const HotelOffers = () => {
               zIndex: 1000,
             }}
           >
-            {filteredCards.map((item, idx) =>
-              item.type === "heading" ? (
-                <li
-                  key={`h-${idx}`}
-                  style={{ padding: "8px 10px", fontWeight: 700, background: "#fafafa" }}
-                >
-                  {item.label}
-                </li>
-              ) : (
-                <li
-                  key={`i-${idx}-${item.display}`}
-                  onClick={() => onPick(item)}
-                  style={{
-                    padding: "10px",
-                    cursor: "pointer",
-                    borderBottom: "1px solid #f2f2f2",
-                  }}
-                  onMouseOver={(e) => (e.currentTarget.style.background = "#f7f9ff")}
-                  onMouseOut={(e) => (e.currentTarget.style.background = "transparent")}
+            {suggestions.map((sec, s) => (
+              <li key={sec.type} role="presentation" className="dropdown-section">
+                <div id={`${listboxId}-group-${s}`} className="dropdown-heading">
+                  {t(`search.section.${sec.type}`, { bin: sec.items[0]?.bin })}
+                </div>
+                <ul
+                  role="group"
+                  aria-labelledby={`${listboxId}-group-${s}`}
+                  className="dropdown-group"
                 >
-                  {item.display}
-                </li>
-              )
-            )}
+                  {sec.items.map((item, j) => {
+                    const i = sectionStarts[s] + j;
+                    const inWallet = walletMode && wallet.some((e) => sameInstrument(e, item));
+                    return (
+                      <li
+                        key={`${item.type}-${item.baseNorm}`}
+                        id={optionId(i)}
+                        role="option"
+                        aria-selected={i === activeIndex}
+                        className={`dropdown-option${i === activeIndex ? " is-active" : ""}`}
+                        onClick={() => onPick(item)}
+                        onMouseMove={() => i !== activeIndex && setActiveIndex(i)}
+                      >
+                        {inWallet && <span aria-hidden="true">✓ </span>}
+                        <HighlightMatch text={entryName(i18n, item)} query={query} />
+                        {inWallet && <span className="sr-only">{t("search.inWallet")}</span>}
+                        {item.type === "bank" && (
+                          <span className="suggestion-count">{t("search.bankCards", { count: item.cards })}</span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </li>
+            ))}
           </ul>
         )}
+        <p className="sr-only" role="status" aria-live="polite">
+          {announcement}
+        </p>
       </div>
 
       {/* Offers by section */}
-      {selected && hasAny && !noMatches && (
+      {(selected || walletMode) && (hiddenExpired > 0 || showExpired) && (
+        <label className="expired-toggle">
+          <input
+            type="checkbox"
+            checked={showExpired}
+            onChange={(e) => setShowExpired(e.target.checked)}
+          />{" "}
+          {t("results.showExpired")}
+          {!showExpired && t("results.hiddenExpired", { count: hiddenExpired })}
+        </label>
+      )}
+
+      {!walletMode && (selected?.type === "credit" || selected?.type === "debit") && (
+        <NetworkPicker
+          entry={selected}
+          onChange={(patch) => setSelected((prev) => ({ ...prev, ...patch }))}
+          hideOthers={hideOtherVariants}
+          onHideOthersChange={setHideOtherVariants}
+        />
+      )}
+
+      {walletMode && walletSections.length > 0 && (
         <div className="offers-section" style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
-          {!!dBMS.length && (
-            <div className="offer-group">
+          {walletSections.map((sec) => (
+            <div className="offer-group" key={`wallet-${sec.id}`} id={`site-${sec.id}`}>
               <h2 style={{ textAlign: "center" }}>
-                {sectionHeading("Bookmyshow", "Offers on Bookmyshow")}
+                {sec.id === NON_PAYMENT_ID
+                  ? t("heading.everyone")
+                  : t(sec.kind === "permanent" ? "heading.permanent" : "heading.site", { site: sec.label })}
               </h2>
               <div className="offer-grid">
-                {dBMS.map((w, i) => (
-                  <OfferCard key={`bms-${i}`} wrapper={w} />
+                {sec.items.map((w, i) => (
+                  <OfferCard key={`wallet-${sec.id}-${i}`} wrapper={w} />
                 ))}
               </div>
             </div>
-          )}
+          ))}
+        </div>
+      )}
 
-          {!!dCinepolis.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>
-                {sectionHeading("Cinepolis", "Offers on Cinepolis")}
-              </h2>
-              <div className="offer-grid">
-                {dCinepolis.map((w, i) => (
-                  <OfferCard key={`cine-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
+      {walletMode && wallet.length > 0 && walletSections.length === 0 && (
+        <p style={{ color: "#d32f2f", textAlign: "center", marginTop: 10 }}>
+          {t("wallet.empty")}
+        </p>
+      )}
+
+      {!walletMode && selected && awaitingFeeds && (
+        <div className="offers-section" style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+          <OfferSkeletons />
+        </div>
+      )}
+
+      {!walletMode && selected && !hasAny && !noMatches && !awaitingFeeds && !nothingLoaded && (
+        <>
+          <p style={{ color: "#d32f2f", textAlign: "center", marginTop: 10 }}>
+            {Object.keys(catalog.failed.feeds).length > 0
+              ? t(isBank ? "empty.bankPartial" : "empty.cardPartial")
+              : t(isBank ? "empty.bank" : "empty.card")}
+          </p>
+          {followButton && (
+            <p className="follow-empty">
+              {t("follow.emptyHint")} {followButton}
+            </p>
           )}
+          {missingFeeds}
+        </>
+      )}
 
-          {!!dPaytmDistrict.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>
-                {sectionHeading("Paytm and District", "Offers on Paytm and District")}
-              </h2>
-              <div className="offer-grid">
-                {dPaytmDistrict.map((w, i) => (
-                  <OfferCard key={`pd-${i}`} wrapper={w} />
-                ))}
-              </div>
-            </div>
+      {!walletMode && isBank && hasAny && !noMatches && (
+        <div
+          className="offers-section bank-offers"
+          style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}
+        >
+          <div className="results-share">
+            <ShareButton url={shareUrlFor()} label={t("share.results")} />
+          </div>
+          <h2 style={{ textAlign: "center" }}>
+            {t("heading.bank", {
+              bank: selected.bank,
+              count: products.filter((p) => p.count > 0).length,
+              total: i18n.number(products.length),
+            })}
+          </h2>
+          {missingFeeds}
+          {/* Most offers first; the top product starts expanded */}
+          {products.map(({ entry, count, lists: productLists }, idx) => (
+            <details
+              className="bank-product"
+              key={`${entry.type}-${entry.baseNorm}`}
+              open={idx === 0 && count > 0}
+            >
+              <summary>
+                <span className="bank-product-name">{entry.display}</span>{" "}
+                <span className="bank-product-type">{t(`type.${entry.type}`)}</span>{" "}
+                <span className={`bank-product-count${count ? "" : " is-empty"}`}>
+                  {t("bank.offers", { count })}
+                </span>
+              </summary>
+              {count > 0 ? (
+                <div className="offer-grid">
+                  {catalog.feeds.flatMap((feed) =>
+                    (productLists[feed.id] || []).map((w, i) => (
+                      <OfferCard key={`${feed.id}-${i}`} wrapper={w} showSite />
+                    ))
+                  )}
+                </div>
+              ) : (
+                <p className="bank-product-empty">{t("bank.noOffers")}</p>
+              )}
+            </details>
+          ))}
+        </div>
+      )}
+
+      {!walletMode && selected && !isBank && (hasAny || nonPaymentOffers.length > 0) && !noMatches && (
+        <div className="offers-section" style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+          <div className="results-share">
+            {hasAny && <ViewToggle view={view} onChange={setView} />}
+            {followButton}
+            <ShareButton url={shareUrlFor()} label={t("share.results")} />
+          </div>
+
+          <FilterBar
+            sections={filterSections}
+            filters={filters}
+            counts={filtered.counts}
+            onChange={setFilters}
+          />
+
+          {missingFeeds}
+
+          {filtered.counts.total === 0 && (
+            <p className="filter-empty" role="status">
+              {t("filter.none")}{" "}
+              <button
+                type="button"
+                className="btn"
+                onClick={() => setFilters((f) => ({ ...DEFAULT_OFFER_FILTERS, sort: f.sort }))}
+              >
+                {t("filter.clear")}
+              </button>
+            </p>
           )}
 
-          {!!dPVR.length && (
-            <div className="offer-group">
+          <SavingsRanking ranked={ranked} booking={booking} />
+
+          {view === "table" && comparedFeeds.length > 0 && (
+            <div className="offer-group" id="site-compare">
               <h2 style={{ textAlign: "center" }}>
-                {sectionHeading("PVR and Inox", "Offers on PVR and Inox")}
+                {t("heading.compare", { name: entryName(i18n, selected) })}
               </h2>
-              <div className="offer-grid">
-                {dPVR.map((w, i) => (
-                  <OfferCard key={`pvr-${i}`} wrapper={w} />
-                ))}
-              </div>
+              <ComparisonTable feeds={comparedFeeds} lists={filtered.lists} />
             </div>
           )}
 
-          {!!dPermanent.length && (
-            <div className="offer-group">
-              <h2 style={{ textAlign: "center" }}>Permanent Offers</h2>
-              <div className="offer-grid">
-                {dPermanent.map((w, i) => (
-                  <OfferCard key={`perm-${i}`} wrapper={w} isPermanent />
-                ))}
+          {filtered.order.map((id) => {
+            const offers = filtered.lists[id];
+            if (!offers.length) return null;
+            if (id === NON_PAYMENT_ID) {
+              return (
+                <div className="offer-group" id={`site-${NON_PAYMENT_ID}`} key={id}>
+                  <h2 style={{ textAlign: "center" }}>
+                    {t("heading.everyone")}{" "}
+                    <ShareButton url={shareUrlFor(NON_PAYMENT_ID)} />
+                  </h2>
+                  <div className="offer-grid">
+                    {offers.map((w, i) => (
+                      <OfferCard key={`nonpay-${i}`} wrapper={w} focused={w === focusedWrapper} />
+                    ))}
+                  </div>
+                </div>
+              );
+            }
+            // The comparison table stands in for the per-site grids
+            if (view !== "grid") return null;
+            const feed = catalog.feeds.find((f) => f.id === id);
+            return (
+              <div className="offer-group" key={id} id={`site-${id}`}>
+                <h2 style={{ textAlign: "center" }}>
+                  {sectionHeading(feed)} <ShareButton url={shareUrlFor(id)} />
+                </h2>
+                <div className="offer-grid">
+                  {offers.map((w, i) => (
+                    <OfferCard key={`${id}-${i}`} wrapper={w} focused={w === focusedWrapper} />
+                  ))}
+                </div>
               </div>
-            </div>
-          )}
+            );
+          })}
         </div>
       )}
 
-      {selected && !hasAny && !noMatches && (
-        <p style={{ color: "#d32f2f", textAlign: "center", marginTop: 10 }}>
-          No offer available for this card
-        </p>
-      )}
-
       <Disclaimer />
     </div>
   );
 };
 
-export default HotelOffers;
+/** The app in the language picked in its header, kept for the next visit */
+const App = () => {
+  const [lang, setLang] = useState(initialLanguage);
+  const i18n = useMemo(() => makeI18n(lang), [lang]);
+
+  useEffect(() => {
+    saveLanguage(lang);
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <HotelOffers lang={lang} onLanguageChange={setLang} />
+    </I18nContext.Provider>
+  );
+};
+
+export default App;
@@ -1,8 +1,332 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import fs from "fs";
+import path from "path";
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import App from "./App";
+import { EMPTY_HISTORY, recordSnapshot, snapshotOffers } from "./offerChanges";
+import { loadFeeds } from "./offerEngine";
 
-test('renders learn react link', () => {
+// Serve the shipped CSVs from public/ in place of the dev server; files named in
+// mockFailingFiles fail to load, and mockServedFiles replaces a file's text
+const mockFeedsDate = "Sun, 12 Oct 2025 10:00:00 GMT";
+const mockFailingFiles = new Set();
+const mockServedFiles = new Map();
+jest.mock("axios", () => {
+  const fs = require("fs");
+  const path = require("path");
+  return {
+    get: (url) => {
+      const file = decodeURIComponent(url.replace(/^\//, ""));
+      if (mockFailingFiles.has(file)) return Promise.reject(new Error("Network Error"));
+      if (mockServedFiles.has(file)) {
+        return Promise.resolve({ data: mockServedFiles.get(file), headers: { date: mockFeedsDate } });
+      }
+      return fs.promises
+        .readFile(path.join(__dirname, "..", "public", file), "utf8")
+        .then((data) => ({ data, headers: { date: mockFeedsDate } }));
+    },
+  };
+});
+
+// Browser globals a test replaces (navigator.clipboard, window.Notification), put back after it
+const stubbedGlobals = [];
+function stubGlobal(target, name, value) {
+  stubbedGlobals.push([target, name, Object.getOwnPropertyDescriptor(target, name)]);
+  Object.defineProperty(target, name, { configurable: true, writable: true, value });
+}
+
+// Every test starts on a bare URL with nothing remembered from the one before
+beforeEach(() => {
+  window.history.replaceState(null, "", "/");
+  window.localStorage.clear();
+});
+afterEach(() => {
+  mockFailingFiles.clear();
+  mockServedFiles.clear();
+  for (const [target, name, original] of stubbedGlobals.splice(0).reverse()) {
+    if (original) Object.defineProperty(target, name, original);
+    else delete target[name];
+  }
+});
+// Each test loads and matches every feed; the first ones also warm up the module cache
+jest.setTimeout(15000);
+
+test("shows offers for a card picked from the search box", async () => {
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+
+  fireEvent.change(screen.getByPlaceholderText(/Type a Credit \/ Debit/), {
+    target: { value: "Axis Bank Neo" },
+  });
+  const listbox = await screen.findByRole("listbox");
+  fireEvent.click(within(listbox).getByRole("option", { name: "Axis Bank Neo Credit Card" }));
+
+  expect(await screen.findByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+  expect(screen.getByRole("heading", { name: /Permanent Offers/ })).toBeInTheDocument();
+});
+
+test("searches and picks a suggestion with the keyboard", async () => {
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+
+  const box = screen.getByPlaceholderText(/Type a Credit \/ Debit/);
+  expect(box).toHaveAttribute("role", "combobox");
+  box.focus();
+  fireEvent.change(box, { target: { value: "axis neo" } });
+  const listbox = await screen.findByRole("listbox");
+  expect(box).toHaveAttribute("aria-expanded", "true");
+  expect(screen.getByText(/\d+ cards? found/)).toBeInTheDocument();
+
+  fireEvent.keyDown(box, { key: "ArrowDown" });
+  const active = within(listbox).getByRole("option", { selected: true });
+  expect(box).toHaveAttribute("aria-activedescendant", active.id);
+  expect(active.innerHTML).toMatch(/<mark>(axis|neo)<\/mark>/i);
+
+  fireEvent.keyDown(box, { key: "Escape" });
+  expect(screen.queryByRole("listbox")).not.toBeInTheDocument();
+  expect(box).toHaveAttribute("aria-expanded", "false");
+
+  // Leaving the box before the search answers keeps the list closed
+  fireEvent.change(box, { target: { value: "axis bank" } });
+  fireEvent.blur(box);
+  await new Promise((resolve) => setTimeout(resolve, 800));
+  expect(box).toHaveAttribute("aria-expanded", "false");
+
+  fireEvent.change(box, { target: { value: "Axis Bank Neo Credit Card" } });
+  const again = await screen.findByRole("listbox");
+  fireEvent.keyDown(box, { key: "ArrowDown" });
+  const picked = within(again).getByRole("option", { selected: true }).textContent;
+  fireEvent.keyDown(box, { key: "Enter" });
+  expect(box).toHaveValue(picked);
+  expect(box).toHaveFocus();
+  expect(await screen.findByText(`Showing offers for ${picked}`)).toBeInTheDocument();
+});
+
+test("restores a card selection from the URL", async () => {
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  render(<App />);
+
+  expect(screen.getByDisplayValue("Axis Bank Neo Credit Card")).toBeInTheDocument();
+  await screen.findByText(/Options Which Have Offers/);
+  expect(await screen.findByRole("heading", { name: /Offers on Cinepolis/ })).toBeInTheDocument();
+});
+
+test("compares a card's offers across sites in a table", async () => {
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+
+  // Role queries over the whole page are slow (every marquee chip is a button)
+  fireEvent.click(await screen.findByText("Compare table"));
+  const table = screen.getByRole("table");
+  expect(within(table).getByRole("columnheader", { name: "Bookmyshow" })).toBeInTheDocument();
+  for (const row of ["Discount", "Max discount", "Min spend", "How often", "Coupon code", "Link"]) {
+    expect(within(table).getByRole("rowheader", { name: row })).toBeInTheDocument();
+  }
+  expect(screen.queryByRole("heading", { name: /Offers on Bookmyshow/ })).not.toBeInTheDocument();
+  expect(window.location.search).toContain("view=table");
+
+  fireEvent.click(screen.getByText("Cards"));
+  expect(screen.getByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+});
+
+test("filters offers by site and shows what each filter leaves", async () => {
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+
+  const bar = await screen.findByRole("group", { name: "Filter and sort offers" });
+  const site = within(bar).getByRole("checkbox", { name: /Bookmyshow \(\d+\)/ });
+  expect(screen.getByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+
+  fireEvent.click(site);
+  expect(screen.queryByRole("heading", { name: /Offers on Bookmyshow/ })).not.toBeInTheDocument();
+  fireEvent.click(within(bar).getByText("Clear filters"));
+  expect(screen.getByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+});
+
+test("keeps the filter bar's choices in the URL and restores them", async () => {
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  const { unmount } = render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+
+  let bar = await screen.findByRole("group", { name: "Filter and sort offers" });
+  fireEvent.click(within(bar).getByRole("checkbox", { name: /Bookmyshow \(\d+\)/ }));
+  fireEvent.change(within(bar).getByLabelText(/Coupon/), { target: { value: "auto" } });
+  fireEvent.change(within(bar).getByLabelText(/Sort by/), { target: { value: "savings" } });
+  const search = new URLSearchParams(window.location.search);
+  expect(search.get("hide_sites")).toBe("bookmyshow");
+  expect(search.get("coupon")).toBe("auto");
+  expect(search.get("sort")).toBe("savings");
+  expect(search.get("card")).toBe("Axis Bank Neo Credit Card");
+  unmount();
+
+  // A shared link opens with the same choices
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+  bar = await screen.findByRole("group", { name: "Filter and sort offers" });
+  expect(within(bar).getByRole("checkbox", { name: /Bookmyshow \(\d+\)/ })).not.toBeChecked();
+  expect(within(bar).getByLabelText(/Coupon/)).toHaveValue("auto");
+  expect(within(bar).getByLabelText(/Sort by/)).toHaveValue("savings");
+  expect(screen.queryByRole("heading", { name: /Offers on Bookmyshow/ })).not.toBeInTheDocument();
+
+  // Going back to a URL without them clears them
+  window.history.pushState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  fireEvent.popState(window);
+  expect(await screen.findByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+  expect(within(bar).getByLabelText(/Coupon/)).toHaveValue("any");
+});
+
+test("picks out the no-card offer clicked in the marquee", async () => {
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+
+  const chips = within(screen.getByLabelText("No card needed")).getAllByRole("button");
+  const label = chips[chips.length - 1].textContent;
+  fireEvent.click(chips[chips.length - 1]);
+  expect(await screen.findAllByText(label, { selector: ".offer-card.is-focused *" })).toHaveLength(1);
+  expect(window.location.search).toBe("?type=nonpayment");
+});
+
+test("selects the coupon code or link to copy when the clipboard refuses it", async () => {
+  const writeText = jest.fn(() => Promise.reject(new Error("NotAllowedError")));
+  stubGlobal(navigator, "clipboard", { writeText });
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Select+Credit+Card");
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText(/Options Which Have Offers/);
+
+  fireEvent.click((await screen.findAllByTitle("Copy coupon code"))[0]);
+  expect(await screen.findByText(/Couldn't copy/)).toBeInTheDocument();
+  expect(writeText).toHaveBeenCalledWith("AXISSELECT");
+  expect(window.getSelection().toString()).toBe("AXISSELECT");
+
+  fireEvent.click(screen.getByText("Share these offers"));
+  const link = await screen.findByLabelText(/Couldn't copy the link/);
+  expect(link).toHaveValue("http://localhost/?type=credit&card=Axis+Bank+Select+Credit+Card");
+  expect(link).toHaveFocus();
+
+  // Re-rendering the results keeps each card's copy state and selection
+  fireEvent.change(screen.getByLabelText("Tickets"), { target: { value: "3" } });
+  expect(await screen.findByDisplayValue("3")).toBeInTheDocument();
+  expect(screen.getByText(/Couldn't copy: select the code/)).toBeInTheDocument();
+  expect(window.getSelection().toString()).toBe("AXISSELECT");
+});
+
+test("browses every card of a bank", async () => {
+  window.history.replaceState(null, "", "/?type=bank&bank=Axis+Bank");
+  render(<App />);
+
+  await screen.findByText(/Options Which Have Offers/);
+  expect(
+    await screen.findByRole("heading", { name: /Axis Bank: \d+ of \d+ cards with offers/ })
+  ).toBeInTheDocument();
+  expect(screen.getByText("Axis Bank Neo Credit Card", { selector: ".bank-product-name" })).toBeInTheDocument();
+});
+
+test("says how fresh the offers are and when they come from the offline cache", async () => {
+  render(<App />);
+
+  expect(await screen.findByText(/Offers last updated on 12 Oct 2025/)).toBeInTheDocument();
+  fireEvent(window, new Event("offline"));
+  expect(screen.getByText(/You're offline/)).toBeInTheDocument();
+});
+
+test("says which sites failed to load and retries them", async () => {
+  mockFailingFiles.add("PVR.csv");
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  render(<App />);
+
+  const banner = await screen.findByRole("alert");
+  expect(banner).toHaveTextContent("PVR and Inox offers couldn't be loaded.");
+  expect(await screen.findByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+  expect(screen.getByText(/PVR and Inox offers couldn't be loaded, so they're missing/)).toBeInTheDocument();
+
+  mockFailingFiles.clear();
+  fireEvent.click(within(banner).getByText("Retry"));
+  await waitFor(() => expect(screen.queryByRole("alert")).not.toBeInTheDocument());
+  expect(screen.queryByText(/PVR and Inox offers couldn't be loaded/)).not.toBeInTheDocument();
+});
+
+test("switches the UI language and remembers it", async () => {
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+  expect(await screen.findByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Language"), { target: { value: "hi" } });
+  expect(screen.getByText(/विकल्प जिन पर ऑफ़र हैं/)).toBeInTheDocument();
+  expect(screen.getByText("Bookmyshow पर ऑफ़र", { selector: "h2" })).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe("hi");
+  expect(window.localStorage.getItem("moviee.language")).toBe("hi");
+});
+
+test("marks offers new this week and lists what changed", async () => {
+  // Recorded history: the last version added one Bookmyshow offer, two days ago
+  const data = await loadFeeds((file) =>
+    fs.promises.readFile(path.join(__dirname, "..", "public", file), "utf8")
+  );
+  const latest = snapshotOffers(data, { takenAt: new Date(Date.now() - 2 * 864e5), previous: null });
+  const [key, offer] = Object.entries(latest.feeds.bookmyshow.offers).find(([, o]) =>
+    o.cards.includes("Axis Bank Neo Credit Card")
+  );
+  offer.firstSeen = latest.takenAt;
+  const previous = { takenAt: new Date(Date.now() - 9 * 864e5).toISOString(), feeds: { ...latest.feeds } };
+  const { [key]: added, ...rest } = latest.feeds.bookmyshow.offers;
+  previous.feeds.bookmyshow = { ...latest.feeds.bookmyshow, offers: rest };
+  mockServedFiles.set(
+    "offer_history.json",
+    JSON.stringify(recordSnapshot(recordSnapshot(EMPTY_HISTORY, previous), latest))
+  );
+
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+  expect(await screen.findByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+  expect(screen.getAllByText("New this week")).toHaveLength(1);
+
+  expect(screen.getByText(/What's changed since/)).toBeInTheDocument();
+  expect(screen.getByText("1 new · 0 removed · 0 updated")).toBeInTheDocument();
+  expect(await screen.findByRole("heading", { name: "For Axis Bank Neo Credit Card" })).toBeInTheDocument();
+  // Listed for the card and for the site
+  expect(screen.getAllByRole("listitem").filter((li) => li.textContent === added.title)).toHaveLength(2);
+});
+
+test("follows a card and tells when its offers change", async () => {
+  const notifications = [];
+  const Notification = function Notification(title, options) {
+    notifications.push({ title, ...options });
+  };
+  Notification.permission = "granted";
+  stubGlobal(window, "Notification", Notification);
+
+  window.history.replaceState(null, "", "/?type=credit&card=Axis+Bank+Neo+Credit+Card");
+  const { unmount } = render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+  expect(await screen.findByRole("heading", { name: /Offers on Bookmyshow/ })).toBeInTheDocument();
+  fireEvent.click(screen.getByTitle("Tell me when offers for this change"));
+  expect(screen.getByTitle("Stop following")).toHaveTextContent("Following");
+  expect(screen.getByTitle("Stop following")).toHaveAttribute("aria-pressed", "true");
+  await waitFor(() => expect(window.localStorage.getItem("moviee.followedOffers")).toMatch(/bookmyshow/));
+  unmount();
+
+  // Next visit: Bookmyshow dropped its Axis Bank Neo offer
+  const csv = await fs.promises.readFile(path.join(__dirname, "..", "public", "Bookmyshow.csv"), "utf8");
+  const lines = csv.split("\n").filter((l) => !/^Axis Bank Neo and IndianOil/.test(l));
+  mockServedFiles.set("Bookmyshow.csv", lines.join("\n"));
+  render(<App />);
+  await screen.findByText(/Options Which Have Offers/);
+  const alerts = await screen.findByLabelText("Offers changed for what you follow");
+  expect(within(alerts).getByText("Removed (1)")).toBeInTheDocument();
+  expect(
+    within(alerts).getByText("Axis Bank Neo and IndianOil Axis Bank Credit Card Offer (Bookmyshow)")
+  ).toBeInTheDocument();
+  expect(notifications).toEqual([
+    {
+      title: "Offers changed for Axis Bank Neo Credit Card",
+      body: "Removed: Axis Bank Neo and IndianOil Axis Bank Credit Card Offer",
+      tag: "follow-credit|axis bank neo credit card",
+    },
+  ]);
+
+  fireEvent.click(within(alerts).getByText("Dismiss"));
+  expect(screen.queryByLabelText("Offers changed for what you follow")).not.toBeInTheDocument();
 });
@@ -0,0 +1,100 @@
+// src/i18n.js
+// UI languages: message catalogs (src/locales/*.js), plurals and Indian-locale number,
+// currency and date formatting. Plain functions, no React; App.js puts one of these in
+// context for its components.
+//
+//   const i18n = makeI18n("hi");
+//   i18n.t("wallet.toggle", { count: 2 })       -> "मेरा वॉलेट (2)"
+//   i18n.tNodes("card.networkWide", { variant: <em>Visa</em> }) -> ["… ", <em>, " …"]
+//   i18n.rupees(1500)                           -> "₹1,500"
+//   i18n.date(new Date(2026, 9, 12))            -> "12 अक्टू॰ 2026"
+import en from "./locales/en.js";
+import hi from "./locales/hi.js";
+import ta from "./locales/ta.js";
+import te from "./locales/te.js";
+
+/** Language code -> its name, written in that language, for the switcher */
+export const LANGUAGES = {
+  en: "English",
+  hi: "हिन्दी",
+  ta: "தமிழ்",
+  te: "తెలుగు",
+};
+export const DEFAULT_LANGUAGE = "en";
+
+/** localStorage key for the picked language */
+export const LANGUAGE_STORAGE_KEY = "moviee.language";
+
+export const CATALOGS = { en, hi, ta, te };
+
+const isLanguage = (code) => Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+
+/** The saved language, else the browser's if we have it, else English */
+export function initialLanguage() {
+  try {
+    const saved = window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isLanguage(saved)) return saved;
+  } catch (e) {
+    console.debug("[HotelOffers] language load error:", e);
+  }
+  const browser = String(navigator.language || "").slice(0, 2).toLowerCase();
+  return isLanguage(browser) ? browser : DEFAULT_LANGUAGE;
+}
+
+export function saveLanguage(lang) {
+  try {
+    window.localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+  } catch (e) {
+    console.debug("[HotelOffers] language save error:", e);
+  }
+}
+
+/** "{name} added" + { name: "X" } -> ["", "X", " added"]: text and param values, in order */
+function fill(message, params) {
+  return String(message)
+    .split(/\{(\w+)\}/)
+    .map((part, i) => (i % 2 ? params[part] ?? `{${part}}` : part))
+    .filter((part) => part !== "");
+}
+
+/**
+ * Translator and formatters for one language. A message missing from its catalog falls
+ * back to English, then to the key. Messages may be { one, other, … } by plural category,
+ * picked by `params.count`.
+ */
+export function makeI18n(lang = DEFAULT_LANGUAGE) {
+  const code = isLanguage(lang) ? lang : DEFAULT_LANGUAGE;
+  const locale = `${code}-IN`;
+  const catalog = CATALOGS[code];
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const currency = new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  });
+
+  const message = (key, params) => {
+    const msg = catalog[key] ?? en[key] ?? key;
+    if (typeof msg === "string") return msg;
+    const count = Number(params.count);
+    return msg[count === 0 && msg.zero ? "zero" : plurals.select(count)] ?? msg.other;
+  };
+  const number = (n) => numbers.format(Number(n));
+  // Counts read in the locale's digits too
+  const withCount = (params) =>
+    params.count === undefined ? params : { ...params, count: number(params.count) };
+
+  return {
+    lang: code,
+    locale,
+    t: (key, params = {}) => fill(message(key, params), withCount(params)).join(""),
+    /** Like t(), but params may be React elements: returns the parts to render */
+    tNodes: (key, params = {}) => fill(message(key, params), withCount(params)),
+    number,
+    rupees: (n) => currency.format(Number(n)),
+    date: (date) =>
+      date ? date.toLocaleDateString(locale, { day: "numeric", month: "short", year: "numeric" }) : "",
+  };
+}
@@ -0,0 +1,56 @@
+import { CATALOGS, LANGUAGES, LANGUAGE_STORAGE_KEY, initialLanguage, makeI18n } from "./i18n";
+
+const placeholders = (msg) =>
+  [...JSON.stringify(msg).matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+test("every catalog has the English keys and placeholders", () => {
+  const { en } = CATALOGS;
+  const plurals = (catalog) => Object.keys(catalog).filter((key) => typeof catalog[key] === "object");
+  expect(Object.keys(CATALOGS).sort()).toEqual(Object.keys(LANGUAGES).sort());
+  for (const [lang, catalog] of Object.entries(CATALOGS)) {
+    expect([lang, Object.keys(catalog).sort()]).toEqual([lang, Object.keys(en).sort()]);
+    // Plural in English -> plural forms in every language
+    expect([lang, plurals(catalog)]).toEqual([lang, expect.arrayContaining(plurals(en))]);
+    for (const key of Object.keys(en)) {
+      expect([lang, key, placeholders(catalog[key])]).toEqual([
+        lang,
+        key,
+        // Plural forms may drop {count} where the word says it ("once")
+        expect.arrayContaining([...new Set(placeholders(en[key]))].filter((p) => p !== "count")),
+      ]);
+    }
+  }
+});
+
+test("fills in params and picks plural forms", () => {
+  const { t, tNodes } = makeI18n("en");
+  expect(t("wallet.toggle", { count: 2 })).toBe("My wallet (2)");
+  expect(t("bank.offers", { count: 1 })).toBe("1 offer");
+  expect(t("bank.offers", { count: 3 })).toBe("3 offers");
+  expect(tNodes("card.networkWide", { variant: 7 })).toEqual(["Valid on any ", 7, " card"]);
+  expect(makeI18n("hi").t("wallet.toggle", { count: 2 })).toBe("मेरा वॉलेट (2)");
+  expect(makeI18n("hi").t("savings.tickets", { count: 1 })).toBe("1 टिकट");
+  expect(makeI18n("hi").t("savings.tickets", { count: 3 })).toBe("3 टिकटें");
+});
+
+test("falls back to English, then the key", () => {
+  expect(makeI18n("xx").lang).toBe("en");
+  expect(makeI18n("ta").t("no.such.key")).toBe("no.such.key");
+});
+
+test("formats rupees, numbers and dates for India", () => {
+  const en = makeI18n("en");
+  expect(en.rupees(150000)).toBe("₹1,50,000");
+  expect(en.rupees(99.5)).toBe("₹99.5");
+  expect(en.number(1234567)).toBe("12,34,567");
+  expect(en.date(new Date(2026, 9, 12))).toBe("12 Oct 2026");
+  expect(makeI18n("hi").date(new Date(2026, 9, 12))).toBe("12 अक्टू॰ 2026");
+});
+
+test("starts in the saved language, else the browser's, else English", () => {
+  window.localStorage.setItem(LANGUAGE_STORAGE_KEY, "te");
+  expect(initialLanguage()).toBe("te");
+  window.localStorage.setItem(LANGUAGE_STORAGE_KEY, "fr");
+  expect(initialLanguage()).toBe("en");
+  window.localStorage.removeItem(LANGUAGE_STORAGE_KEY);
+});
@@ -0,0 +1,237 @@
+// src/locales/en.js
+// English UI messages: the reference catalog. Every other catalog uses these keys; a key
+// it lacks shows the English text. "{name}" is filled in from params; an object picks a
+// form by plural category of params.count.
+const en = {
+  // Language switcher
+  "language.label": "Language",
+
+  // Instrument types and search sections
+  "type.credit": "Credit Card",
+  "type.debit": "Debit Card",
+  "type.upi": "UPI",
+  "type.netbanking": "NetBanking",
+  "type.bin": "BIN",
+  "type.bank": "Bank",
+  "type.nonpayment": "No card needed",
+  "search.section.credit": "Credit Cards",
+  "search.section.debit": "Debit Cards",
+  "search.section.upi": "UPI",
+  "search.section.netbanking": "NetBanking",
+  "search.section.bank": "Banks",
+  "search.section.bin": "BIN {bin}",
+  "entry.bin": "All offers valid on BIN {bin}",
+  "entry.nonpayment": "Offers without a payment card",
+  "section.everyone": "Everyone",
+
+  // Marquee
+  "marquee.heading": "Credit, Debit, UPI And NetBanking Options Which Have Offers",
+  "marquee.credit": "Credit Cards",
+  "marquee.debit": "Debit Cards",
+  "marquee.upi": "UPI",
+  "marquee.netbanking": "NetBanking",
+  "marquee.nonpayment": "No card needed",
+  "marquee.pickCard": "Click to select this card",
+  "marquee.pickUpi": "Click to select this UPI option",
+  "marquee.pickNetbanking": "Click to select this NetBanking option",
+  "marquee.pickNonpayment": "Click to see this offer (no payment card needed)",
+
+  // Header: feed freshness, load errors, install
+  "status.offline": "You're offline. ",
+  "status.updated": "Offers last updated {when}",
+  "status.saved": "Showing saved offers",
+  "updated.justNow": "just now",
+  "updated.minutesAgo": "{count} min ago",
+  "updated.hoursAgo": "{count} h ago",
+  "updated.onDate": "on {date}",
+  "load.failed": "Offers couldn't be loaded.",
+  "load.cardsFailed": "The card list couldn't be loaded, so card search may come up empty.",
+  "load.feedFailed": "{site} offers couldn't be loaded.",
+  "load.feedMissing": "{site} offers couldn't be loaded, so they're missing from these results.",
+  "load.retry": "Retry",
+  "load.retrying": "Retrying…",
+  "load.loadingSite": "Loading {site} offers…",
+  "load.loading": "Loading offers…",
+  "install.button": "Install app",
+
+  // Wallet
+  "wallet.toggle": "My wallet ({count})",
+  "wallet.back": "Back to single search",
+  "wallet.hint":
+    "Pick cards, UPI apps or NetBanking banks from the search or the chips above to add them to your wallet.",
+  "wallet.remove": "Remove {name} from wallet",
+  "wallet.removeTitle": "Remove from wallet",
+  "wallet.added": "{name} added to your wallet",
+  "wallet.removed": "{name} removed from your wallet",
+  "wallet.empty": "No offer available for the cards in your wallet",
+
+  // Search box
+  "search.label": "Search cards, UPI apps and banks",
+  "search.walletLabel": "Add to your wallet",
+  "search.placeholder": "Type a Credit / Debit / UPI / NetBanking option to check the offers....",
+  "search.walletPlaceholder": "Add a Credit / Debit / UPI / NetBanking option to your wallet....",
+  "search.suggestions": "Suggestions",
+  "search.inWallet": " (in your wallet)",
+  "search.bankCards": { one: " ({count} card)", other: " ({count} cards)" },
+  "search.found": { one: "{count} card found", other: "{count} cards found" },
+  "search.noMatches": "No matches",
+  "search.showing": "Showing offers for {name}",
+  "booking.tickets": "Tickets",
+  "booking.total": "Total ₹",
+
+  // Filters above the results
+  "results.showExpired": "Show expired offers",
+  "results.hiddenExpired": " ({count} hidden)",
+  "network.label": "Card network",
+  "network.variant": "Variant",
+  "network.notSure": "Not sure",
+  "network.hideOthers": "Hide offers for other variants",
+  "filter.label": "Filter and sort offers",
+  "filter.sites": "Sites",
+  "filter.coupon": "Coupon",
+  "filter.any": "Any",
+  "filter.couponRequired": "Coupon required",
+  "filter.autoApplied": "Auto-applied",
+  "filter.bogo": "BOGO only",
+  "filter.minDiscount": "Min discount",
+  "filter.percentOrMore": "{percent}% or more",
+  "filter.sortBy": "Sort by",
+  "filter.clear": "Clear filters",
+  "filter.none": "No offers match these filters.",
+  "sort.default": "Site order",
+  "sort.savings": "Max savings",
+  "sort.discount": "Discount %",
+  "sort.site": "Site name",
+  "view.label": "Show offers as",
+  "view.grid": "Cards",
+  "view.table": "Compare table",
+  "share.button": "Share",
+  "share.results": "Share these offers",
+  "share.title": "Share a link to these offers",
+  "share.copied": "Link copied!",
+  "share.copyFailed": "Couldn't copy the link: copy it from here",
+
+  // Result headings and empty states
+  "heading.site": "Offers on {site}",
+  "heading.permanent": "{site} Offers",
+  "heading.nonpayment": "Offers on {site} (no card needed)",
+  "heading.bin": "Offers on {site} for BIN {bin}",
+  "heading.upi": "UPI offers on {site}",
+  "heading.netbanking": "NetBanking offers on {site}",
+  "heading.everyone": "Offers for everyone (no card needed)",
+  "heading.compare": "Compare offers for {name}",
+  "heading.bank": "{bank}: {count} of {total} cards with offers",
+  "empty.card": "No offer available for this card",
+  "empty.cardPartial": "No offer available for this card on the sites that loaded",
+  "empty.bank": "No offers for this bank's cards right now",
+  "empty.bankPartial": "No offers for this bank's cards on the sites that loaded",
+  "bank.offers": { one: "{count} offer", other: "{count} offers" },
+  "bank.noOffers": "No offers on this card right now",
+
+  // Offer cards
+  "card.imageAlt": "Offer",
+  "card.onSite": "On {site}",
+  "card.notEligible": "Not eligible:",
+  "card.needsVariant": "Needs {need} (you have {have})",
+  "card.networkWide": "Valid on any {variant} card",
+  "card.bestOnSite": "Best on this site",
+  "card.unlockedBy": "Unlocked by:",
+  "card.inbuilt": "This is a inbuilt feature of this credit card",
+  "card.note": "Note:",
+  "card.variantOnly": "This benefit is applicable only on {variant} variant",
+  "card.view": "View Offer",
+  "coupon.required": "Coupon code required",
+  "coupon.auto": "No code needed",
+  "coupon.copyLabel": "Copy coupon code",
+  "coupon.copy": "Copy",
+  "coupon.copied": "Copied!",
+  "coupon.copyFailed": "Couldn't copy: select the code and copy it",
+  "validity.expired": "Expired {date}",
+  "validity.upcoming": "Starts {date}",
+  "validity.endingSoon": "Ending soon · till {date}",
+
+  // Terms parsed out of the T&C
+  "terms.summary": "Offer summary",
+  "terms.offer": "Offer",
+  "terms.discount": "Discount",
+  "terms.flat": "Flat off",
+  "terms.maxCap": "Max discount",
+  "terms.minSpend": "Min spend",
+  "terms.minTickets": "Min tickets",
+  "terms.usage": "Usage",
+  "terms.bogo": "Buy 1 Get 1",
+  "terms.percentOff": "{percent}% off",
+  "terms.amountOff": "{amount} off",
+  "freq.once": "Once",
+  "freq.twice": "Twice",
+  "freq.thrice": "Thrice",
+  "freq.times": "{count} times",
+  "freq.per.card": "per card",
+  "freq.per.user": "per user",
+  "freq.per.account": "per account",
+  "freq.per.day": "per day",
+  "freq.per.week": "per week",
+  "freq.per.month": "per month",
+  "freq.per.quarter": "per quarter",
+  "freq.per.year": "per year",
+  "freq.every.day": { one: "per day", other: "per {count} days" },
+  "freq.every.week": { one: "per week", other: "per {count} weeks" },
+  "freq.every.month": { one: "per month", other: "per {count} months" },
+  "freq.every.quarter": { one: "per quarter", other: "per {count} quarters" },
+  "freq.every.year": { one: "per year", other: "per {count} years" },
+  "freq.offerPeriod": "during the offer period",
+
+  // Savings on the booking
+  "savings.heading": "Best offers for {amount} · {tickets}",
+  "savings.tickets": { one: "{count} ticket", other: "{count} tickets" },
+  "savings.save": "Save {amount}",
+  "savings.saveUpTo": "Save up to {amount}",
+  "savings.noAmount": "No booking amount",
+  "savings.minTickets": "Needs at least {count} tickets",
+  "savings.minSpend": "Needs a minimum spend of {amount}",
+  "savings.notStated": "Discount not stated in the terms",
+
+  // Comparison table
+  "compare.caption": "Offers compared by site",
+  "compare.offer": "Offer",
+  "compare.discount": "Discount",
+  "compare.maxCap": "Max discount",
+  "compare.minSpend": "Min spend",
+  "compare.frequency": "How often",
+  "compare.coupon": "Coupon code",
+  "compare.link": "Link",
+  "compare.noCoupon": "Not needed",
+  "compare.view": "View offer",
+
+  // Offer changes between feed versions
+  "changes.new": "New this week",
+  "changes.title": "What's changed since {date}",
+  "changes.counts": "{added} new · {removed} removed · {modified} updated",
+  "changes.forCard": "For {name}",
+  "changes.added": "New ({count})",
+  "changes.removed": "Removed ({count})",
+  "changes.modified": "Updated ({count})",
+  "changes.more": "+{count} more",
+
+  // Following an instrument
+  "follow.button": "Follow",
+  "follow.following": "Following",
+  "follow.title": "Tell me when offers for this change",
+  "follow.unfollowTitle": "Stop following",
+  "follow.followed": "Following {name}: you'll be told about new and removed offers",
+  "follow.unfollowed": "Stopped following {name}",
+  "follow.emptyHint": "Follow it to be told when an offer appears:",
+  "follow.alerts": "Offers changed for what you follow",
+  "follow.dismiss": "Dismiss",
+  "follow.onSite": "{title} ({site})",
+  "follow.notifyTitle": "Offers changed for {name}",
+  "follow.newOffer": "New: {title}",
+  "follow.endedOffer": "Removed: {title}",
+
+  // Footer
+  "disclaimer.title": "Disclaimer",
+  "disclaimer.body":
+    "All offers, coupons, and discounts listed on our platform are provided for informational purposes only. We do not guarantee the accuracy, availability, or validity of any offer. Users are advised to verify the terms and conditions with the respective merchants before making any purchase. We are not responsible for any discrepancies, expired offers, or losses arising from the use of these coupons.",
+};
+
+export default en;
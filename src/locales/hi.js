@@ -0,0 +1,220 @@
+// src/locales/hi.js
+// Hindi UI messages; keys and placeholders as in en.js.
+const hi = {
+  "language.label": "भाषा",
+
+  "type.credit": "क्रेडिट कार्ड",
+  "type.debit": "डेबिट कार्ड",
+  "type.upi": "UPI",
+  "type.netbanking": "नेटबैंकिंग",
+  "type.bin": "BIN",
+  "type.bank": "बैंक",
+  "type.nonpayment": "कार्ड की ज़रूरत नहीं",
+  "search.section.credit": "क्रेडिट कार्ड",
+  "search.section.debit": "डेबिट कार्ड",
+  "search.section.upi": "UPI",
+  "search.section.netbanking": "नेटबैंकिंग",
+  "search.section.bank": "बैंक",
+  "search.section.bin": "BIN {bin}",
+  "entry.bin": "BIN {bin} पर मान्य सभी ऑफ़र",
+  "entry.nonpayment": "बिना पेमेंट कार्ड वाले ऑफ़र",
+  "section.everyone": "सभी के लिए",
+
+  "marquee.heading": "क्रेडिट, डेबिट, UPI और नेटबैंकिंग विकल्प जिन पर ऑफ़र हैं",
+  "marquee.credit": "क्रेडिट कार्ड",
+  "marquee.debit": "डेबिट कार्ड",
+  "marquee.upi": "UPI",
+  "marquee.netbanking": "नेटबैंकिंग",
+  "marquee.nonpayment": "कार्ड की ज़रूरत नहीं",
+  "marquee.pickCard": "यह कार्ड चुनने के लिए क्लिक करें",
+  "marquee.pickUpi": "यह UPI विकल्प चुनने के लिए क्लिक करें",
+  "marquee.pickNetbanking": "यह नेटबैंकिंग विकल्प चुनने के लिए क्लिक करें",
+  "marquee.pickNonpayment": "यह ऑफ़र देखने के लिए क्लिक करें (पेमेंट कार्ड की ज़रूरत नहीं)",
+
+  "status.offline": "आप ऑफ़लाइन हैं। ",
+  "status.updated": "ऑफ़र आख़िरी बार {when} अपडेट हुए",
+  "status.saved": "सहेजे गए ऑफ़र दिखाए जा रहे हैं",
+  "updated.justNow": "अभी-अभी",
+  "updated.minutesAgo": "{count} मिनट पहले",
+  "updated.hoursAgo": "{count} घंटे पहले",
+  "updated.onDate": "{date} को",
+  "load.failed": "ऑफ़र लोड नहीं हो सके।",
+  "load.cardsFailed": "कार्ड की सूची लोड नहीं हो सकी, इसलिए कार्ड खोज में शायद कुछ न मिले।",
+  "load.feedFailed": "{site} के ऑफ़र लोड नहीं हो सके।",
+  "load.feedMissing": "{site} के ऑफ़र लोड नहीं हो सके, इसलिए वे इन नतीजों में नहीं हैं।",
+  "load.retry": "फिर कोशिश करें",
+  "load.retrying": "फिर कोशिश हो रही है…",
+  "load.loadingSite": "{site} के ऑफ़र लोड हो रहे हैं…",
+  "load.loading": "ऑफ़र लोड हो रहे हैं…",
+  "install.button": "ऐप इंस्टॉल करें",
+
+  "wallet.toggle": "मेरा वॉलेट ({count})",
+  "wallet.back": "वापस एकल खोज पर",
+  "wallet.hint":
+    "अपने वॉलेट में जोड़ने के लिए खोज से या ऊपर के चिप्स से कार्ड, UPI ऐप या नेटबैंकिंग बैंक चुनें।",
+  "wallet.remove": "{name} को वॉलेट से हटाएँ",
+  "wallet.removeTitle": "वॉलेट से हटाएँ",
+  "wallet.added": "{name} आपके वॉलेट में जोड़ा गया",
+  "wallet.removed": "{name} आपके वॉलेट से हटाया गया",
+  "wallet.empty": "आपके वॉलेट के कार्डों पर कोई ऑफ़र उपलब्ध नहीं है",
+
+  "search.label": "कार्ड, UPI ऐप और बैंक खोजें",
+  "search.walletLabel": "अपने वॉलेट में जोड़ें",
+  "search.placeholder": "ऑफ़र देखने के लिए क्रेडिट / डेबिट / UPI / नेटबैंकिंग विकल्प टाइप करें....",
+  "search.walletPlaceholder": "अपने वॉलेट में क्रेडिट / डेबिट / UPI / नेटबैंकिंग विकल्प जोड़ें....",
+  "search.suggestions": "सुझाव",
+  "search.inWallet": " (आपके वॉलेट में)",
+  "search.bankCards": { one: " ({count} कार्ड)", other: " ({count} कार्ड)" },
+  "search.found": { one: "{count} कार्ड मिला", other: "{count} कार्ड मिले" },
+  "search.noMatches": "कोई मेल नहीं मिला",
+  "search.showing": "{name} के ऑफ़र दिखाए जा रहे हैं",
+  "booking.tickets": "टिकट",
+  "booking.total": "कुल ₹",
+
+  "results.showExpired": "समाप्त ऑफ़र दिखाएँ",
+  "results.hiddenExpired": " ({count} छिपे हुए)",
+  "network.label": "कार्ड नेटवर्क",
+  "network.variant": "वेरिएंट",
+  "network.notSure": "पता नहीं",
+  "network.hideOthers": "दूसरे वेरिएंट के ऑफ़र छिपाएँ",
+  "filter.label": "ऑफ़र फ़िल्टर और क्रमबद्ध करें",
+  "filter.sites": "साइटें",
+  "filter.coupon": "कूपन",
+  "filter.any": "कोई भी",
+  "filter.couponRequired": "कूपन ज़रूरी",
+  "filter.autoApplied": "अपने-आप लागू",
+  "filter.bogo": "सिर्फ़ BOGO",
+  "filter.minDiscount": "न्यूनतम छूट",
+  "filter.percentOrMore": "{percent}% या ज़्यादा",
+  "filter.sortBy": "क्रम",
+  "filter.clear": "फ़िल्टर हटाएँ",
+  "filter.none": "इन फ़िल्टरों से कोई ऑफ़र मेल नहीं खाता।",
+  "sort.default": "साइट क्रम",
+  "sort.savings": "सबसे ज़्यादा बचत",
+  "sort.discount": "छूट %",
+  "sort.site": "साइट का नाम",
+  "view.label": "ऑफ़र इस तरह दिखाएँ",
+  "view.grid": "कार्ड",
+  "view.table": "तुलना तालिका",
+  "share.button": "शेयर करें",
+  "share.results": "ये ऑफ़र शेयर करें",
+  "share.title": "इन ऑफ़र का लिंक शेयर करें",
+  "share.copied": "लिंक कॉपी हो गया!",
+  "share.copyFailed": "लिंक कॉपी नहीं हो सका: इसे यहाँ से कॉपी करें",
+
+  "heading.site": "{site} पर ऑफ़र",
+  "heading.permanent": "{site} ऑफ़र",
+  "heading.nonpayment": "{site} पर ऑफ़र (कार्ड की ज़रूरत नहीं)",
+  "heading.bin": "BIN {bin} के लिए {site} पर ऑफ़र",
+  "heading.upi": "{site} पर UPI ऑफ़र",
+  "heading.netbanking": "{site} पर नेटबैंकिंग ऑफ़र",
+  "heading.everyone": "सभी के लिए ऑफ़र (कार्ड की ज़रूरत नहीं)",
+  "heading.compare": "{name} के ऑफ़र की तुलना",
+  "heading.bank": "{bank}: {total} में से {count} कार्डों पर ऑफ़र",
+  "empty.card": "इस कार्ड पर कोई ऑफ़र उपलब्ध नहीं है",
+  "empty.cardPartial": "लोड हुई साइटों पर इस कार्ड के लिए कोई ऑफ़र उपलब्ध नहीं है",
+  "empty.bank": "अभी इस बैंक के कार्डों पर कोई ऑफ़र नहीं है",
+  "empty.bankPartial": "लोड हुई साइटों पर इस बैंक के कार्डों के लिए कोई ऑफ़र नहीं है",
+  "bank.offers": { one: "{count} ऑफ़र", other: "{count} ऑफ़र" },
+  "bank.noOffers": "अभी इस कार्ड पर कोई ऑफ़र नहीं है",
+
+  "card.imageAlt": "ऑफ़र",
+  "card.onSite": "{site} पर",
+  "card.notEligible": "पात्र नहीं:",
+  "card.needsVariant": "{need} चाहिए (आपके पास {have} है)",
+  "card.networkWide": "किसी भी {variant} कार्ड पर मान्य",
+  "card.bestOnSite": "इस साइट पर सबसे अच्छा",
+  "card.unlockedBy": "इनसे मिलेगा:",
+  "card.inbuilt": "यह इस क्रेडिट कार्ड की अंतर्निहित सुविधा है",
+  "card.note": "ध्यान दें:",
+  "card.variantOnly": "यह लाभ सिर्फ़ {variant} वेरिएंट पर लागू है",
+  "card.view": "ऑफ़र देखें",
+  "coupon.required": "कूपन कोड ज़रूरी",
+  "coupon.auto": "कोड की ज़रूरत नहीं",
+  "coupon.copyLabel": "कूपन कोड कॉपी करें",
+  "coupon.copy": "कॉपी",
+  "coupon.copied": "कॉपी हो गया!",
+  "coupon.copyFailed": "कॉपी नहीं हो सका: कोड चुनकर कॉपी करें",
+  "validity.expired": "{date} को समाप्त",
+  "validity.upcoming": "{date} से शुरू",
+  "validity.endingSoon": "जल्द समाप्त · {date} तक",
+
+  "terms.summary": "ऑफ़र सारांश",
+  "terms.offer": "ऑफ़र",
+  "terms.discount": "छूट",
+  "terms.flat": "सीधी छूट",
+  "terms.maxCap": "अधिकतम छूट",
+  "terms.minSpend": "न्यूनतम ख़र्च",
+  "terms.minTickets": "न्यूनतम टिकट",
+  "terms.usage": "इस्तेमाल",
+  "terms.bogo": "1 ख़रीदें 1 मुफ़्त पाएँ",
+  "terms.percentOff": "{percent}% छूट",
+  "terms.amountOff": "{amount} छूट",
+  "freq.once": "एक बार",
+  "freq.twice": "दो बार",
+  "freq.thrice": "तीन बार",
+  "freq.times": "{count} बार",
+  "freq.per.card": "प्रति कार्ड",
+  "freq.per.user": "प्रति उपयोगकर्ता",
+  "freq.per.account": "प्रति खाता",
+  "freq.per.day": "प्रति दिन",
+  "freq.per.week": "प्रति सप्ताह",
+  "freq.per.month": "प्रति माह",
+  "freq.per.quarter": "प्रति तिमाही",
+  "freq.per.year": "प्रति वर्ष",
+  "freq.every.day": { one: "प्रति दिन", other: "हर {count} दिन में" },
+  "freq.every.week": { one: "प्रति सप्ताह", other: "हर {count} सप्ताह में" },
+  "freq.every.month": { one: "प्रति माह", other: "हर {count} महीने में" },
+  "freq.every.quarter": { one: "प्रति तिमाही", other: "हर {count} तिमाही में" },
+  "freq.every.year": { one: "प्रति वर्ष", other: "हर {count} साल में" },
+  "freq.offerPeriod": "ऑफ़र अवधि के दौरान",
+
+  "savings.heading": "{amount} · {tickets} के लिए सबसे अच्छे ऑफ़र",
+  "savings.tickets": { one: "{count} टिकट", other: "{count} टिकटें" },
+  "savings.save": "{amount} बचाएँ",
+  "savings.saveUpTo": "{amount} तक बचाएँ",
+  "savings.noAmount": "बुकिंग राशि नहीं दी गई",
+  "savings.minTickets": "कम से कम {count} टिकट चाहिए",
+  "savings.minSpend": "कम से कम {amount} ख़र्च करना होगा",
+  "savings.notStated": "शर्तों में छूट नहीं बताई गई",
+
+  "compare.caption": "साइट के हिसाब से ऑफ़र की तुलना",
+  "compare.offer": "ऑफ़र",
+  "compare.discount": "छूट",
+  "compare.maxCap": "अधिकतम छूट",
+  "compare.minSpend": "न्यूनतम ख़र्च",
+  "compare.frequency": "कितनी बार",
+  "compare.coupon": "कूपन कोड",
+  "compare.link": "लिंक",
+  "compare.noCoupon": "ज़रूरत नहीं",
+  "compare.view": "ऑफ़र देखें",
+
+  "changes.new": "इस हफ़्ते नया",
+  "changes.title": "{date} से क्या बदला",
+  "changes.counts": "{added} नए · {removed} हटाए गए · {modified} अपडेट हुए",
+  "changes.forCard": "{name} के लिए",
+  "changes.added": "नए ({count})",
+  "changes.removed": "हटाए गए ({count})",
+  "changes.modified": "अपडेट हुए ({count})",
+  "changes.more": "+{count} और",
+
+  "follow.button": "फ़ॉलो करें",
+  "follow.following": "फ़ॉलो कर रहे हैं",
+  "follow.title": "इसके ऑफ़र बदलें तो मुझे बताएँ",
+  "follow.unfollowTitle": "फ़ॉलो करना बंद करें",
+  "follow.followed": "{name} को फ़ॉलो कर रहे हैं: नए और हटाए गए ऑफ़र की सूचना मिलेगी",
+  "follow.unfollowed": "{name} को फ़ॉलो करना बंद किया",
+  "follow.emptyHint": "कोई ऑफ़र आने पर सूचना पाने के लिए इसे फ़ॉलो करें:",
+  "follow.alerts": "आपके फ़ॉलो किए विकल्पों के ऑफ़र बदले हैं",
+  "follow.dismiss": "हटाएँ",
+  "follow.onSite": "{title} ({site})",
+  "follow.notifyTitle": "{name} के ऑफ़र बदले हैं",
+  "follow.newOffer": "नया: {title}",
+  "follow.endedOffer": "हटाया गया: {title}",
+
+  "disclaimer.title": "अस्वीकरण",
+  "disclaimer.body":
+    "हमारे प्लैटफ़ॉर्म पर दिए गए सभी ऑफ़र, कूपन और छूट सिर्फ़ जानकारी के लिए हैं। हम किसी भी ऑफ़र की सटीकता, उपलब्धता या वैधता की गारंटी नहीं देते। कोई भी ख़रीदारी करने से पहले संबंधित व्यापारी से नियम और शर्तें ज़रूर जाँच लें। किसी भी विसंगति, समाप्त ऑफ़र या इन कूपनों के इस्तेमाल से होने वाले नुक़सान के लिए हम ज़िम्मेदार नहीं हैं।",
+};
+
+export default hi;
@@ -0,0 +1,220 @@
+// src/locales/ta.js
+// Tamil UI messages; keys and placeholders as in en.js.
+const ta = {
+  "language.label": "மொழி",
+
+  "type.credit": "கிரெடிட் கார்டு",
+  "type.debit": "டெபிட் கார்டு",
+  "type.upi": "UPI",
+  "type.netbanking": "நெட்பேங்கிங்",
+  "type.bin": "BIN",
+  "type.bank": "வங்கி",
+  "type.nonpayment": "கார்டு தேவையில்லை",
+  "search.section.credit": "கிரெடிட் கார்டுகள்",
+  "search.section.debit": "டெபிட் கார்டுகள்",
+  "search.section.upi": "UPI",
+  "search.section.netbanking": "நெட்பேங்கிங்",
+  "search.section.bank": "வங்கிகள்",
+  "search.section.bin": "BIN {bin}",
+  "entry.bin": "BIN {bin}-இல் செல்லுபடியாகும் அனைத்து சலுகைகளும்",
+  "entry.nonpayment": "பேமெண்ட் கார்டு தேவையில்லாத சலுகைகள்",
+  "section.everyone": "அனைவருக்கும்",
+
+  "marquee.heading": "சலுகைகள் உள்ள கிரெடிட், டெபிட், UPI மற்றும் நெட்பேங்கிங் தேர்வுகள்",
+  "marquee.credit": "கிரெடிட் கார்டுகள்",
+  "marquee.debit": "டெபிட் கார்டுகள்",
+  "marquee.upi": "UPI",
+  "marquee.netbanking": "நெட்பேங்கிங்",
+  "marquee.nonpayment": "கார்டு தேவையில்லை",
+  "marquee.pickCard": "இந்த கார்டைத் தேர்ந்தெடுக்க கிளிக் செய்யவும்",
+  "marquee.pickUpi": "இந்த UPI தேர்வைத் தேர்ந்தெடுக்க கிளிக் செய்யவும்",
+  "marquee.pickNetbanking": "இந்த நெட்பேங்கிங் தேர்வைத் தேர்ந்தெடுக்க கிளிக் செய்யவும்",
+  "marquee.pickNonpayment": "இந்தச் சலுகையைப் பார்க்க கிளிக் செய்யவும் (பேமெண்ட் கார்டு தேவையில்லை)",
+
+  "status.offline": "நீங்கள் ஆஃப்லைனில் இருக்கிறீர்கள். ",
+  "status.updated": "சலுகைகள் கடைசியாகப் புதுப்பிக்கப்பட்டது: {when}",
+  "status.saved": "சேமித்த சலுகைகள் காட்டப்படுகின்றன",
+  "updated.justNow": "இப்போதுதான்",
+  "updated.minutesAgo": "{count} நிமிடம் முன்பு",
+  "updated.hoursAgo": "{count} மணி நேரம் முன்பு",
+  "updated.onDate": "{date}",
+  "load.failed": "சலுகைகளை ஏற்ற முடியவில்லை.",
+  "load.cardsFailed": "கார்டு பட்டியலை ஏற்ற முடியவில்லை, எனவே கார்டு தேடலில் எதுவும் கிடைக்காமல் போகலாம்.",
+  "load.feedFailed": "{site} சலுகைகளை ஏற்ற முடியவில்லை.",
+  "load.feedMissing": "{site} சலுகைகளை ஏற்ற முடியவில்லை, எனவே அவை இந்த முடிவுகளில் இல்லை.",
+  "load.retry": "மீண்டும் முயல்க",
+  "load.retrying": "மீண்டும் முயல்கிறது…",
+  "load.loadingSite": "{site} சலுகைகள் ஏற்றப்படுகின்றன…",
+  "load.loading": "சலுகைகள் ஏற்றப்படுகின்றன…",
+  "install.button": "ஆப்பை நிறுவு",
+
+  "wallet.toggle": "என் வாலெட் ({count})",
+  "wallet.back": "ஒற்றைத் தேடலுக்குத் திரும்பு",
+  "wallet.hint":
+    "உங்கள் வாலெட்டில் சேர்க்க, தேடலில் அல்லது மேலே உள்ள சிப்களில் இருந்து கார்டுகள், UPI ஆப்கள் அல்லது நெட்பேங்கிங் வங்கிகளைத் தேர்ந்தெடுக்கவும்.",
+  "wallet.remove": "{name}-ஐ வாலெட்டில் இருந்து நீக்கு",
+  "wallet.removeTitle": "வாலெட்டில் இருந்து நீக்கு",
+  "wallet.added": "{name} உங்கள் வாலெட்டில் சேர்க்கப்பட்டது",
+  "wallet.removed": "{name} உங்கள் வாலெட்டில் இருந்து நீக்கப்பட்டது",
+  "wallet.empty": "உங்கள் வாலெட்டில் உள்ள கார்டுகளுக்குச் சலுகை எதுவும் இல்லை",
+
+  "search.label": "கார்டுகள், UPI ஆப்கள் மற்றும் வங்கிகளைத் தேடுங்கள்",
+  "search.walletLabel": "உங்கள் வாலெட்டில் சேர்க்கவும்",
+  "search.placeholder": "சலுகைகளைப் பார்க்க கிரெடிட் / டெபிட் / UPI / நெட்பேங்கிங் தேர்வைத் தட்டச்சு செய்யவும்....",
+  "search.walletPlaceholder": "உங்கள் வாலெட்டில் கிரெடிட் / டெபிட் / UPI / நெட்பேங்கிங் தேர்வைச் சேர்க்கவும்....",
+  "search.suggestions": "பரிந்துரைகள்",
+  "search.inWallet": " (உங்கள் வாலெட்டில்)",
+  "search.bankCards": { one: " ({count} கார்டு)", other: " ({count} கார்டுகள்)" },
+  "search.found": { one: "{count} கார்டு கிடைத்தது", other: "{count} கார்டுகள் கிடைத்தன" },
+  "search.noMatches": "பொருத்தம் எதுவும் இல்லை",
+  "search.showing": "{name}-க்கான சலுகைகள் காட்டப்படுகின்றன",
+  "booking.tickets": "டிக்கெட்டுகள்",
+  "booking.total": "மொத்தம் ₹",
+
+  "results.showExpired": "காலாவதியான சலுகைகளைக் காட்டு",
+  "results.hiddenExpired": " ({count} மறைக்கப்பட்டவை)",
+  "network.label": "கார்டு நெட்வொர்க்",
+  "network.variant": "வகை",
+  "network.notSure": "தெரியவில்லை",
+  "network.hideOthers": "மற்ற வகைகளுக்கான சலுகைகளை மறை",
+  "filter.label": "சலுகைகளை வடிகட்டி வரிசைப்படுத்து",
+  "filter.sites": "தளங்கள்",
+  "filter.coupon": "கூப்பன்",
+  "filter.any": "ஏதேனும்",
+  "filter.couponRequired": "கூப்பன் தேவை",
+  "filter.autoApplied": "தானாகப் பொருந்தும்",
+  "filter.bogo": "BOGO மட்டும்",
+  "filter.minDiscount": "குறைந்தபட்ச தள்ளுபடி",
+  "filter.percentOrMore": "{percent}% அல்லது அதற்கு மேல்",
+  "filter.sortBy": "வரிசை",
+  "filter.clear": "வடிகட்டிகளை அழி",
+  "filter.none": "இந்த வடிகட்டிகளுக்குப் பொருந்தும் சலுகைகள் இல்லை.",
+  "sort.default": "தள வரிசை",
+  "sort.savings": "அதிக சேமிப்பு",
+  "sort.discount": "தள்ளுபடி %",
+  "sort.site": "தளத்தின் பெயர்",
+  "view.label": "சலுகைகளைக் காட்டும் விதம்",
+  "view.grid": "கார்டுகள்",
+  "view.table": "ஒப்பீட்டு அட்டவணை",
+  "share.button": "பகிர்",
+  "share.results": "இந்தச் சலுகைகளைப் பகிர்",
+  "share.title": "இந்தச் சலுகைகளுக்கான இணைப்பைப் பகிர்",
+  "share.copied": "இணைப்பு நகலெடுக்கப்பட்டது!",
+  "share.copyFailed": "இணைப்பை நகலெடுக்க முடியவில்லை: இங்கிருந்து நகலெடுக்கவும்",
+
+  "heading.site": "{site}-இல் சலுகைகள்",
+  "heading.permanent": "{site} சலுகைகள்",
+  "heading.nonpayment": "{site}-இல் சலுகைகள் (கார்டு தேவையில்லை)",
+  "heading.bin": "BIN {bin}-க்கான {site} சலுகைகள்",
+  "heading.upi": "{site}-இல் UPI சலுகைகள்",
+  "heading.netbanking": "{site}-இல் நெட்பேங்கிங் சலுகைகள்",
+  "heading.everyone": "அனைவருக்குமான சலுகைகள் (கார்டு தேவையில்லை)",
+  "heading.compare": "{name}-க்கான சலுகைகளை ஒப்பிடுக",
+  "heading.bank": "{bank}: {total} கார்டுகளில் {count} கார்டுகளுக்குச் சலுகைகள்",
+  "empty.card": "இந்த கார்டுக்குச் சலுகை எதுவும் இல்லை",
+  "empty.cardPartial": "ஏற்றப்பட்ட தளங்களில் இந்த கார்டுக்குச் சலுகை எதுவும் இல்லை",
+  "empty.bank": "இப்போது இந்த வங்கியின் கார்டுகளுக்குச் சலுகைகள் இல்லை",
+  "empty.bankPartial": "ஏற்றப்பட்ட தளங்களில் இந்த வங்கியின் கார்டுகளுக்குச் சலுகைகள் இல்லை",
+  "bank.offers": { one: "{count} சலுகை", other: "{count} சலுகைகள்" },
+  "bank.noOffers": "இப்போது இந்த கார்டுக்குச் சலுகைகள் இல்லை",
+
+  "card.imageAlt": "சலுகை",
+  "card.onSite": "{site}-இல்",
+  "card.notEligible": "தகுதி இல்லை:",
+  "card.needsVariant": "{need} தேவை (உங்களிடம் {have} உள்ளது)",
+  "card.networkWide": "எந்த {variant} கார்டிலும் செல்லுபடியாகும்",
+  "card.bestOnSite": "இந்தத் தளத்தில் சிறந்தது",
+  "card.unlockedBy": "இவற்றால் கிடைக்கும்:",
+  "card.inbuilt": "இது இந்த கிரெடிட் கார்டின் உள்ளமைந்த வசதி",
+  "card.note": "குறிப்பு:",
+  "card.variantOnly": "இந்தப் பலன் {variant} வகைக்கு மட்டுமே பொருந்தும்",
+  "card.view": "சலுகையைப் பார்",
+  "coupon.required": "கூப்பன் குறியீடு தேவை",
+  "coupon.auto": "குறியீடு தேவையில்லை",
+  "coupon.copyLabel": "கூப்பன் குறியீட்டை நகலெடு",
+  "coupon.copy": "நகலெடு",
+  "coupon.copied": "நகலெடுக்கப்பட்டது!",
+  "coupon.copyFailed": "நகலெடுக்க முடியவில்லை: குறியீட்டைத் தேர்ந்தெடுத்து நகலெடுக்கவும்",
+  "validity.expired": "{date} அன்று காலாவதியானது",
+  "validity.upcoming": "{date} முதல்",
+  "validity.endingSoon": "விரைவில் முடிகிறது · {date} வரை",
+
+  "terms.summary": "சலுகைச் சுருக்கம்",
+  "terms.offer": "சலுகை",
+  "terms.discount": "தள்ளுபடி",
+  "terms.flat": "நேரடித் தள்ளுபடி",
+  "terms.maxCap": "அதிகபட்ச தள்ளுபடி",
+  "terms.minSpend": "குறைந்தபட்ச செலவு",
+  "terms.minTickets": "குறைந்தபட்ச டிக்கெட்டுகள்",
+  "terms.usage": "பயன்பாடு",
+  "terms.bogo": "1 வாங்கினால் 1 இலவசம்",
+  "terms.percentOff": "{percent}% தள்ளுபடி",
+  "terms.amountOff": "{amount} தள்ளுபடி",
+  "freq.once": "ஒருமுறை",
+  "freq.twice": "இருமுறை",
+  "freq.thrice": "மும்முறை",
+  "freq.times": "{count} முறை",
+  "freq.per.card": "ஒரு கார்டுக்கு",
+  "freq.per.user": "ஒரு பயனருக்கு",
+  "freq.per.account": "ஒரு கணக்குக்கு",
+  "freq.per.day": "ஒரு நாளுக்கு",
+  "freq.per.week": "ஒரு வாரத்துக்கு",
+  "freq.per.month": "ஒரு மாதத்துக்கு",
+  "freq.per.quarter": "ஒரு காலாண்டுக்கு",
+  "freq.per.year": "ஒரு வருடத்துக்கு",
+  "freq.every.day": { one: "ஒரு நாளுக்கு", other: "{count} நாட்களுக்கு ஒருமுறை" },
+  "freq.every.week": { one: "ஒரு வாரத்துக்கு", other: "{count} வாரங்களுக்கு ஒருமுறை" },
+  "freq.every.month": { one: "ஒரு மாதத்துக்கு", other: "{count} மாதங்களுக்கு ஒருமுறை" },
+  "freq.every.quarter": { one: "ஒரு காலாண்டுக்கு", other: "{count} காலாண்டுகளுக்கு ஒருமுறை" },
+  "freq.every.year": { one: "ஒரு வருடத்துக்கு", other: "{count} வருடங்களுக்கு ஒருமுறை" },
+  "freq.offerPeriod": "சலுகைக் காலத்தில்",
+
+  "savings.heading": "{amount} · {tickets}-க்கான சிறந்த சலுகைகள்",
+  "savings.tickets": { one: "{count} டிக்கெட்", other: "{count} டிக்கெட்டுகள்" },
+  "savings.save": "{amount} சேமிக்கவும்",
+  "savings.saveUpTo": "{amount} வரை சேமிக்கவும்",
+  "savings.noAmount": "முன்பதிவுத் தொகை இல்லை",
+  "savings.minTickets": "குறைந்தது {count} டிக்கெட்டுகள் தேவை",
+  "savings.minSpend": "குறைந்தபட்சம் {amount} செலவு தேவை",
+  "savings.notStated": "விதிமுறைகளில் தள்ளுபடி குறிப்பிடப்படவில்லை",
+
+  "compare.caption": "தளவாரியாக ஒப்பிடப்பட்ட சலுகைகள்",
+  "compare.offer": "சலுகை",
+  "compare.discount": "தள்ளுபடி",
+  "compare.maxCap": "அதிகபட்ச தள்ளுபடி",
+  "compare.minSpend": "குறைந்தபட்ச செலவு",
+  "compare.frequency": "எத்தனை முறை",
+  "compare.coupon": "கூப்பன் குறியீடு",
+  "compare.link": "இணைப்பு",
+  "compare.noCoupon": "தேவையில்லை",
+  "compare.view": "சலுகையைப் பார்",
+
+  "changes.new": "இந்த வாரம் புதியது",
+  "changes.title": "{date} முதல் என்ன மாறியது",
+  "changes.counts": "{added} புதியவை · {removed} நீக்கப்பட்டவை · {modified} புதுப்பிக்கப்பட்டவை",
+  "changes.forCard": "{name} க்கு",
+  "changes.added": "புதியவை ({count})",
+  "changes.removed": "நீக்கப்பட்டவை ({count})",
+  "changes.modified": "புதுப்பிக்கப்பட்டவை ({count})",
+  "changes.more": "+{count} மேலும்",
+
+  "follow.button": "பின்தொடர்",
+  "follow.following": "பின்தொடர்கிறீர்கள்",
+  "follow.title": "இதன் சலுகைகள் மாறும்போது எனக்குத் தெரிவிக்கவும்",
+  "follow.unfollowTitle": "பின்தொடர்வதை நிறுத்து",
+  "follow.followed": "{name} ஐப் பின்தொடர்கிறீர்கள்: புதிய மற்றும் நீக்கப்பட்ட சலுகைகள் பற்றித் தெரிவிக்கப்படும்",
+  "follow.unfollowed": "{name} ஐப் பின்தொடர்வது நிறுத்தப்பட்டது",
+  "follow.emptyHint": "சலுகை வரும்போது தெரிந்துகொள்ள இதைப் பின்தொடருங்கள்:",
+  "follow.alerts": "நீங்கள் பின்தொடர்பவற்றின் சலுகைகள் மாறியுள்ளன",
+  "follow.dismiss": "மூடு",
+  "follow.onSite": "{title} ({site})",
+  "follow.notifyTitle": "{name} சலுகைகள் மாறியுள்ளன",
+  "follow.newOffer": "புதியது: {title}",
+  "follow.endedOffer": "நீக்கப்பட்டது: {title}",
+
+  "disclaimer.title": "பொறுப்புத் துறப்பு",
+  "disclaimer.body":
+    "எங்கள் தளத்தில் உள்ள அனைத்து சலுகைகள், கூப்பன்கள் மற்றும் தள்ளுபடிகள் தகவலுக்காக மட்டுமே வழங்கப்படுகின்றன. எந்தச் சலுகையின் துல்லியம், கிடைக்கும் தன்மை அல்லது செல்லுபடித்தன்மைக்கும் நாங்கள் உத்தரவாதம் அளிக்கவில்லை. எதையும் வாங்கும் முன் அந்தந்த வணிகர்களிடம் விதிமுறைகளைச் சரிபார்க்குமாறு பயனர்களுக்கு அறிவுறுத்தப்படுகிறது. ஏதேனும் முரண்பாடுகள், காலாவதியான சலுகைகள் அல்லது இந்தக் கூப்பன்களைப் பயன்படுத்துவதால் ஏற்படும் இழப்புகளுக்கு நாங்கள் பொறுப்பல்ல.",
+};
+
+export default ta;
@@ -0,0 +1,220 @@
+// src/locales/te.js
+// Telugu UI messages; keys and placeholders as in en.js.
+const te = {
+  "language.label": "భాష",
+
+  "type.credit": "క్రెడిట్ కార్డ్",
+  "type.debit": "డెబిట్ కార్డ్",
+  "type.upi": "UPI",
+  "type.netbanking": "నెట్‌బ్యాంకింగ్",
+  "type.bin": "BIN",
+  "type.bank": "బ్యాంక్",
+  "type.nonpayment": "కార్డ్ అవసరం లేదు",
+  "search.section.credit": "క్రెడిట్ కార్డులు",
+  "search.section.debit": "డెబిట్ కార్డులు",
+  "search.section.upi": "UPI",
+  "search.section.netbanking": "నెట్‌బ్యాంకింగ్",
+  "search.section.bank": "బ్యాంకులు",
+  "search.section.bin": "BIN {bin}",
+  "entry.bin": "BIN {bin}పై చెల్లే అన్ని ఆఫర్లు",
+  "entry.nonpayment": "పేమెంట్ కార్డ్ అవసరం లేని ఆఫర్లు",
+  "section.everyone": "అందరికీ",
+
+  "marquee.heading": "ఆఫర్లు ఉన్న క్రెడిట్, డెబిట్, UPI మరియు నెట్‌బ్యాంకింగ్ ఎంపికలు",
+  "marquee.credit": "క్రెడిట్ కార్డులు",
+  "marquee.debit": "డెబిట్ కార్డులు",
+  "marquee.upi": "UPI",
+  "marquee.netbanking": "నెట్‌బ్యాంకింగ్",
+  "marquee.nonpayment": "కార్డ్ అవసరం లేదు",
+  "marquee.pickCard": "ఈ కార్డ్‌ను ఎంచుకోవడానికి క్లిక్ చేయండి",
+  "marquee.pickUpi": "ఈ UPI ఎంపికను ఎంచుకోవడానికి క్లిక్ చేయండి",
+  "marquee.pickNetbanking": "ఈ నెట్‌బ్యాంకింగ్ ఎంపికను ఎంచుకోవడానికి క్లిక్ చేయండి",
+  "marquee.pickNonpayment": "ఈ ఆఫర్‌ను చూడటానికి క్లిక్ చేయండి (పేమెంట్ కార్డ్ అవసరం లేదు)",
+
+  "status.offline": "మీరు ఆఫ్‌లైన్‌లో ఉన్నారు. ",
+  "status.updated": "ఆఫర్లు చివరిగా నవీకరించబడింది: {when}",
+  "status.saved": "సేవ్ చేసిన ఆఫర్లు చూపబడుతున్నాయి",
+  "updated.justNow": "ఇప్పుడే",
+  "updated.minutesAgo": "{count} నిమిషాల క్రితం",
+  "updated.hoursAgo": "{count} గంటల క్రితం",
+  "updated.onDate": "{date}",
+  "load.failed": "ఆఫర్లను లోడ్ చేయడం సాధ్యం కాలేదు.",
+  "load.cardsFailed": "కార్డుల జాబితా లోడ్ కాలేదు, కాబట్టి కార్డ్ శోధనలో ఏమీ కనిపించకపోవచ్చు.",
+  "load.feedFailed": "{site} ఆఫర్లను లోడ్ చేయడం సాధ్యం కాలేదు.",
+  "load.feedMissing": "{site} ఆఫర్లు లోడ్ కాలేదు, కాబట్టి అవి ఈ ఫలితాల్లో లేవు.",
+  "load.retry": "మళ్లీ ప్రయత్నించండి",
+  "load.retrying": "మళ్లీ ప్రయత్నిస్తోంది…",
+  "load.loadingSite": "{site} ఆఫర్లు లోడ్ అవుతున్నాయి…",
+  "load.loading": "ఆఫర్లు లోడ్ అవుతున్నాయి…",
+  "install.button": "యాప్ ఇన్‌స్టాల్ చేయండి",
+
+  "wallet.toggle": "నా వాలెట్ ({count})",
+  "wallet.back": "ఒకే శోధనకు తిరిగి వెళ్లండి",
+  "wallet.hint":
+    "మీ వాలెట్‌కు జోడించడానికి శోధన నుండి లేదా పైన ఉన్న చిప్‌ల నుండి కార్డులు, UPI యాప్‌లు లేదా నెట్‌బ్యాంకింగ్ బ్యాంకులను ఎంచుకోండి.",
+  "wallet.remove": "{name}ను వాలెట్ నుండి తీసివేయండి",
+  "wallet.removeTitle": "వాలెట్ నుండి తీసివేయండి",
+  "wallet.added": "{name} మీ వాలెట్‌కు జోడించబడింది",
+  "wallet.removed": "{name} మీ వాలెట్ నుండి తీసివేయబడింది",
+  "wallet.empty": "మీ వాలెట్‌లోని కార్డులకు ఆఫర్లు ఏవీ లేవు",
+
+  "search.label": "కార్డులు, UPI యాప్‌లు మరియు బ్యాంకులను శోధించండి",
+  "search.walletLabel": "మీ వాలెట్‌కు జోడించండి",
+  "search.placeholder": "ఆఫర్లను చూడటానికి క్రెడిట్ / డెబిట్ / UPI / నెట్‌బ్యాంకింగ్ ఎంపికను టైప్ చేయండి....",
+  "search.walletPlaceholder": "మీ వాలెట్‌కు క్రెడిట్ / డెబిట్ / UPI / నెట్‌బ్యాంకింగ్ ఎంపికను జోడించండి....",
+  "search.suggestions": "సూచనలు",
+  "search.inWallet": " (మీ వాలెట్‌లో)",
+  "search.bankCards": { one: " ({count} కార్డ్)", other: " ({count} కార్డులు)" },
+  "search.found": { one: "{count} కార్డ్ దొరికింది", other: "{count} కార్డులు దొరికాయి" },
+  "search.noMatches": "సరిపోలికలు లేవు",
+  "search.showing": "{name} ఆఫర్లు చూపబడుతున్నాయి",
+  "booking.tickets": "టికెట్లు",
+  "booking.total": "మొత్తం ₹",
+
+  "results.showExpired": "గడువు ముగిసిన ఆఫర్లను చూపించు",
+  "results.hiddenExpired": " ({count} దాచబడ్డాయి)",
+  "network.label": "కార్డ్ నెట్‌వర్క్",
+  "network.variant": "వేరియంట్",
+  "network.notSure": "ఖచ్చితంగా తెలియదు",
+  "network.hideOthers": "ఇతర వేరియంట్ల ఆఫర్లను దాచు",
+  "filter.label": "ఆఫర్లను ఫిల్టర్ చేసి క్రమపరచండి",
+  "filter.sites": "సైట్‌లు",
+  "filter.coupon": "కూపన్",
+  "filter.any": "ఏదైనా",
+  "filter.couponRequired": "కూపన్ అవసరం",
+  "filter.autoApplied": "ఆటోమేటిక్‌గా వర్తిస్తుంది",
+  "filter.bogo": "BOGO మాత్రమే",
+  "filter.minDiscount": "కనీస డిస్కౌంట్",
+  "filter.percentOrMore": "{percent}% లేదా ఎక్కువ",
+  "filter.sortBy": "క్రమం",
+  "filter.clear": "ఫిల్టర్లను తొలగించు",
+  "filter.none": "ఈ ఫిల్టర్లకు సరిపోయే ఆఫర్లు లేవు.",
+  "sort.default": "సైట్ క్రమం",
+  "sort.savings": "గరిష్ఠ ఆదా",
+  "sort.discount": "డిస్కౌంట్ %",
+  "sort.site": "సైట్ పేరు",
+  "view.label": "ఆఫర్లను ఇలా చూపించు",
+  "view.grid": "కార్డులు",
+  "view.table": "పోలిక పట్టిక",
+  "share.button": "షేర్ చేయండి",
+  "share.results": "ఈ ఆఫర్లను షేర్ చేయండి",
+  "share.title": "ఈ ఆఫర్ల లింక్‌ను షేర్ చేయండి",
+  "share.copied": "లింక్ కాపీ అయింది!",
+  "share.copyFailed": "లింక్ కాపీ కాలేదు: ఇక్కడి నుండి కాపీ చేయండి",
+
+  "heading.site": "{site}లో ఆఫర్లు",
+  "heading.permanent": "{site} ఆఫర్లు",
+  "heading.nonpayment": "{site}లో ఆఫర్లు (కార్డ్ అవసరం లేదు)",
+  "heading.bin": "BIN {bin} కోసం {site}లో ఆఫర్లు",
+  "heading.upi": "{site}లో UPI ఆఫర్లు",
+  "heading.netbanking": "{site}లో నెట్‌బ్యాంకింగ్ ఆఫర్లు",
+  "heading.everyone": "అందరికీ ఆఫర్లు (కార్డ్ అవసరం లేదు)",
+  "heading.compare": "{name} ఆఫర్లను పోల్చండి",
+  "heading.bank": "{bank}: {total} కార్డులలో {count} కార్డులకు ఆఫర్లు ఉన్నాయి",
+  "empty.card": "ఈ కార్డ్‌కు ఆఫర్లు ఏవీ లేవు",
+  "empty.cardPartial": "లోడ్ అయిన సైట్‌లలో ఈ కార్డ్‌కు ఆఫర్లు ఏవీ లేవు",
+  "empty.bank": "ప్రస్తుతం ఈ బ్యాంక్ కార్డులకు ఆఫర్లు లేవు",
+  "empty.bankPartial": "లోడ్ అయిన సైట్‌లలో ఈ బ్యాంక్ కార్డులకు ఆఫర్లు లేవు",
+  "bank.offers": { one: "{count} ఆఫర్", other: "{count} ఆఫర్లు" },
+  "bank.noOffers": "ప్రస్తుతం ఈ కార్డ్‌కు ఆఫర్లు లేవు",
+
+  "card.imageAlt": "ఆఫర్",
+  "card.onSite": "{site}లో",
+  "card.notEligible": "అర్హత లేదు:",
+  "card.needsVariant": "{need} అవసరం (మీ దగ్గర {have} ఉంది)",
+  "card.networkWide": "ఏ {variant} కార్డ్‌పైనైనా చెల్లుతుంది",
+  "card.bestOnSite": "ఈ సైట్‌లో ఉత్తమమైనది",
+  "card.unlockedBy": "వీటితో లభిస్తుంది:",
+  "card.inbuilt": "ఇది ఈ క్రెడిట్ కార్డ్‌లో అంతర్నిర్మిత సౌకర్యం",
+  "card.note": "గమనిక:",
+  "card.variantOnly": "ఈ ప్రయోజనం {variant} వేరియంట్‌కు మాత్రమే వర్తిస్తుంది",
+  "card.view": "ఆఫర్ చూడండి",
+  "coupon.required": "కూపన్ కోడ్ అవసరం",
+  "coupon.auto": "కోడ్ అవసరం లేదు",
+  "coupon.copyLabel": "కూపన్ కోడ్‌ను కాపీ చేయండి",
+  "coupon.copy": "కాపీ",
+  "coupon.copied": "కాపీ అయింది!",
+  "coupon.copyFailed": "కాపీ కాలేదు: కోడ్‌ను ఎంచుకుని కాపీ చేయండి",
+  "validity.expired": "{date}న గడువు ముగిసింది",
+  "validity.upcoming": "{date} నుండి ప్రారంభం",
+  "validity.endingSoon": "త్వరలో ముగుస్తుంది · {date} వరకు",
+
+  "terms.summary": "ఆఫర్ సారాంశం",
+  "terms.offer": "ఆఫర్",
+  "terms.discount": "డిస్కౌంట్",
+  "terms.flat": "నేరుగా తగ్గింపు",
+  "terms.maxCap": "గరిష్ఠ డిస్కౌంట్",
+  "terms.minSpend": "కనీస ఖర్చు",
+  "terms.minTickets": "కనీస టికెట్లు",
+  "terms.usage": "వినియోగం",
+  "terms.bogo": "1 కొంటే 1 ఉచితం",
+  "terms.percentOff": "{percent}% తగ్గింపు",
+  "terms.amountOff": "{amount} తగ్గింపు",
+  "freq.once": "ఒకసారి",
+  "freq.twice": "రెండుసార్లు",
+  "freq.thrice": "మూడుసార్లు",
+  "freq.times": "{count} సార్లు",
+  "freq.per.card": "ఒక్కో కార్డ్‌కు",
+  "freq.per.user": "ఒక్కో వినియోగదారుకు",
+  "freq.per.account": "ఒక్కో ఖాతాకు",
+  "freq.per.day": "రోజుకు",
+  "freq.per.week": "వారానికి",
+  "freq.per.month": "నెలకు",
+  "freq.per.quarter": "త్రైమాసికానికి",
+  "freq.per.year": "సంవత్సరానికి",
+  "freq.every.day": { one: "రోజుకు", other: "ప్రతి {count} రోజులకు" },
+  "freq.every.week": { one: "వారానికి", other: "ప్రతి {count} వారాలకు" },
+  "freq.every.month": { one: "నెలకు", other: "ప్రతి {count} నెలలకు" },
+  "freq.every.quarter": { one: "త్రైమాసికానికి", other: "ప్రతి {count} త్రైమాసికాలకు" },
+  "freq.every.year": { one: "సంవత్సరానికి", other: "ప్రతి {count} సంవత్సరాలకు" },
+  "freq.offerPeriod": "ఆఫర్ వ్యవధిలో",
+
+  "savings.heading": "{amount} · {tickets} కోసం ఉత్తమ ఆఫర్లు",
+  "savings.tickets": { one: "{count} టికెట్", other: "{count} టికెట్లు" },
+  "savings.save": "{amount} ఆదా చేయండి",
+  "savings.saveUpTo": "{amount} వరకు ఆదా చేయండి",
+  "savings.noAmount": "బుకింగ్ మొత్తం లేదు",
+  "savings.minTickets": "కనీసం {count} టికెట్లు అవసరం",
+  "savings.minSpend": "కనీసం {amount} ఖర్చు చేయాలి",
+  "savings.notStated": "నిబంధనల్లో డిస్కౌంట్ పేర్కొనలేదు",
+
+  "compare.caption": "సైట్‌ల వారీగా ఆఫర్ల పోలిక",
+  "compare.offer": "ఆఫర్",
+  "compare.discount": "డిస్కౌంట్",
+  "compare.maxCap": "గరిష్ఠ డిస్కౌంట్",
+  "compare.minSpend": "కనీస ఖర్చు",
+  "compare.frequency": "ఎన్నిసార్లు",
+  "compare.coupon": "కూపన్ కోడ్",
+  "compare.link": "లింక్",
+  "compare.noCoupon": "అవసరం లేదు",
+  "compare.view": "ఆఫర్ చూడండి",
+
+  "changes.new": "ఈ వారం కొత్తది",
+  "changes.title": "{date} నుండి ఏమి మారింది",
+  "changes.counts": "{added} కొత్తవి · {removed} తొలగించినవి · {modified} నవీకరించినవి",
+  "changes.forCard": "{name} కోసం",
+  "changes.added": "కొత్తవి ({count})",
+  "changes.removed": "తొలగించినవి ({count})",
+  "changes.modified": "నవీకరించినవి ({count})",
+  "changes.more": "+{count} ఇంకా",
+
+  "follow.button": "ఫాలో చేయండి",
+  "follow.following": "ఫాలో అవుతున్నారు",
+  "follow.title": "దీని ఆఫర్లు మారితే నాకు తెలియజేయండి",
+  "follow.unfollowTitle": "ఫాలో చేయడం ఆపండి",
+  "follow.followed": "{name} ను ఫాలో అవుతున్నారు: కొత్త మరియు తొలగించిన ఆఫర్ల గురించి మీకు తెలియజేస్తాం",
+  "follow.unfollowed": "{name} ను ఫాలో చేయడం ఆపారు",
+  "follow.emptyHint": "ఆఫర్ వచ్చినప్పుడు తెలుసుకోవడానికి దీన్ని ఫాలో చేయండి:",
+  "follow.alerts": "మీరు ఫాలో అయ్యేవాటి ఆఫర్లు మారాయి",
+  "follow.dismiss": "మూసివేయండి",
+  "follow.onSite": "{title} ({site})",
+  "follow.notifyTitle": "{name} ఆఫర్లు మారాయి",
+  "follow.newOffer": "కొత్తది: {title}",
+  "follow.endedOffer": "తొలగించబడింది: {title}",
+
+  "disclaimer.title": "నిరాకరణ",
+  "disclaimer.body":
+    "మా ప్లాట్‌ఫామ్‌లో ఉన్న అన్ని ఆఫర్లు, కూపన్లు మరియు డిస్కౌంట్లు సమాచారం కోసం మాత్రమే. ఏ ఆఫర్ యొక్క ఖచ్చితత్వం, లభ్యత లేదా చెల్లుబాటుకు మేము హామీ ఇవ్వము. ఏదైనా కొనుగోలు చేసే ముందు సంబంధిత వ్యాపారులతో నిబంధనలు మరియు షరతులను ధృవీకరించుకోవాలని వినియోగదారులకు సూచిస్తున్నాము. ఏవైనా వ్యత్యాసాలు, గడువు ముగిసిన ఆఫర్లు లేదా ఈ కూపన్ల వాడకం వల్ల కలిగే నష్టాలకు మేము బాధ్యులం కాము.",
+};
+
+export default te;
@@ -0,0 +1,217 @@
+// src/offerApi.js
+// Routes of the offers API server (scripts/offers-api.mjs): the app's own card-to-offer
+// matching (offerService.js) as JSON for other tools. No Node or browser imports: the
+// server does the HTTP and the file watching, this turns a request into a response.
+//
+//   const api = createOfferApi(() => createOfferService(fetchFile));
+//   await api.load()                      // again whenever a feed file changes; a load
+//                                         // that breaks throws and keeps the last one
+//   api.handle("GET", "/offers?card=Axis+Bank+Neo+Credit+Card", headers)
+//     -> { status, headers, body }        // body: JSON text ("" for HEAD and 304)
+//
+//   GET /sites                              feeds.json's sites, failed loads, updatedAt
+//   GET /instruments?type=credit&q=neo      instruments (all types without `type`), searched by `q`
+//   GET /offers?card=…&type=credit          offers for one card / UPI app / NetBanking bank;
+//       &site=pvr&expired=1&everyone=0      optional: one site, expired ones too, no no-card offers
+//       &network=Visa&variant=Signature     the card's network and variant, as in share links
+import { hashText } from "./offerChanges.js";
+import { makeEntry } from "./offerData.js";
+import {
+  CARD_NETWORKS,
+  INSTRUMENT_TYPES,
+  NON_PAYMENT_ENTRY,
+  NON_PAYMENT_ID,
+  offerCoupon,
+  offerDates,
+  offerField,
+  offerLabel,
+  offerTermsText,
+  withNetworkGuess,
+} from "./offerEngine.js";
+import { offerStatus } from "./offerTerms.js";
+
+/** Error to answer with an HTTP status and { error: message } */
+const apiError = (status, message) => Object.assign(new Error(message), { status });
+
+/** -------------------- RESPONSES -------------------- */
+const etagOf = (body) => `"${hashText(body)}-${body.length.toString(36)}"`;
+
+/** If-None-Match lists the ETag (or is "*") */
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+/**
+ * JSON response; GETs carry an ETag and answer a matching If-None-Match with 304. Clients
+ * revalidate every time (no-cache): a reload on disk changes the answers at once.
+ */
+function respond(method, status, data, requestHeaders = {}) {
+  const body = JSON.stringify(data);
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*",
+  };
+  if (status !== 200) return { status, headers, body: method === "HEAD" ? "" : body };
+
+  const etag = etagOf(body);
+  headers.ETag = etag;
+  if (matchesEtag(requestHeaders["if-none-match"], etag)) return { status: 304, headers, body: "" };
+  return { status, headers, body: method === "HEAD" ? "" : body };
+}
+
+/** -------------------- OFFERS -------------------- */
+/** An offer wrapper as plain JSON: the fields the app shows, and the feed's row as is */
+function offerJson(w) {
+  const { validFrom, validTill } = offerDates(w);
+  return {
+    title: offerLabel(w),
+    terms: offerTermsText(w),
+    link: offerField(w, "link") || "",
+    image: offerField(w, "image") || "",
+    coupon: offerCoupon(w.offer),
+    validFrom: validFrom ? validFrom.toISOString() : null,
+    validTill: validTill ? validTill.toISOString() : null,
+    status: offerStatus({ validFrom, validTill }),
+    variant: w.variantText || "",
+    networkWide: !!w.networkWide,
+    ineligible: w.variantIneligible || null,
+    firstSeen: w.firstSeen ?? null,
+    row: w.offer,
+  };
+}
+
+/** `/offers` query -> the entry to match, like a share link's type/card/network/variant */
+function offerEntry(query) {
+  const card = (query.get("card") || "").trim();
+  const type = query.get("type") || "credit";
+  if (!card) throw apiError(400, "card is required");
+  if (!INSTRUMENT_TYPES.includes(type)) {
+    throw apiError(400, `type must be one of ${INSTRUMENT_TYPES.join(", ")}`);
+  }
+  const entry = makeEntry(card, type);
+  const network = query.get("network");
+  if (!network) return withNetworkGuess(entry);
+  if (!CARD_NETWORKS[network]) {
+    throw apiError(400, `network must be one of ${Object.keys(CARD_NETWORKS).join(", ")}`);
+  }
+  const variant = CARD_NETWORKS[network].includes(query.get("variant")) ? query.get("variant") : "";
+  return { ...entry, network, variant };
+}
+
+/**
+ * Why a reload `next` is worse than the `previous` load, "" if it isn't: feeds.json didn't
+ * load, or a feed that loaded before doesn't now (a half-saved file, say)
+ */
+function brokenLoad(next, previous) {
+  if (next.failed.registry) return `feeds.json: ${next.failed.registry}`;
+  if (!previous) return "";
+  const loadedBefore = new Set(previous.feeds.map((f) => f.id));
+  const lost = Object.entries(next.failed.feeds).filter(
+    ([id]) => loadedBefore.has(id) && !previous.failed.feeds[id]
+  );
+  return lost.map(([id, msg]) => `${id}: ${msg}`).join("; ");
+}
+
+/** -------------------- ROUTES -------------------- */
+/** `createService()` makes an offerService.js service; each load() fills a fresh one */
+export function createOfferApi(createService) {
+  let service = null; // the service holding the last good load
+  let catalog = null; // its load() answer
+
+  const routes = {
+    "/": () => ({
+      endpoints: [
+        "/sites",
+        "/instruments?type=&q=",
+        "/offers?card=&type=&site=&expired=&everyone=&network=&variant=",
+      ],
+    }),
+
+    "/sites": () => ({
+      sites: catalog.feeds,
+      failed: catalog.failed,
+      updatedAt: catalog.updatedAt ? new Date(catalog.updatedAt).toISOString() : null,
+    }),
+
+    "/instruments": (query) => {
+      const type = query.get("type") || "";
+      if (type && !INSTRUMENT_TYPES.includes(type)) {
+        throw apiError(400, `type must be one of ${INSTRUMENT_TYPES.join(", ")}`);
+      }
+      const types = type ? [type] : INSTRUMENT_TYPES;
+      const q = (query.get("q") || "").trim();
+      const entries = q
+        ? service
+            .search(q)
+            .filter((sec) => types.includes(sec.type))
+            .flatMap((sec) => sec.items)
+        : types.flatMap((t) => catalog.instruments[t]);
+      const offered = Object.fromEntries(types.map((t) => [t, new Set(catalog.offered[t])]));
+      return {
+        instruments: entries.map((e) => ({ ...e, hasOffers: offered[e.type].has(e.display) })),
+      };
+    },
+
+    "/offers": (query) => {
+      const entry = offerEntry(query);
+      const site = query.get("site") || "";
+      const sections = [...catalog.feeds, { id: NON_PAYMENT_ID, label: NON_PAYMENT_ENTRY.display }];
+      if (site && !sections.some((s) => s.id === site)) {
+        throw apiError(400, `Unknown site "${site}"; see /sites`);
+      }
+      const showExpired = query.get("expired") === "1";
+      const { lists, expiredCount } = service.findOffers(entry, { showExpired });
+      const shown = site
+        ? sections.filter((s) => s.id === site)
+        : sections.filter((s) => s.id !== NON_PAYMENT_ID || query.get("everyone") !== "0");
+      return {
+        instrument: entry,
+        expiredCount,
+        sites: shown.map((s) => ({
+          id: s.id,
+          label: s.label,
+          offers: (lists[s.id] || []).map(offerJson),
+        })),
+      };
+    },
+  };
+
+  return {
+    /**
+     * (Re)load the feeds into a fresh service; until the first load finishes every route
+     * answers 503. A load that breaks (see brokenLoad()) throws and the routes keep
+     * answering from the last good one.
+     */
+    async load() {
+      const fresh = createService();
+      const next = await fresh.load();
+      const broken = brokenLoad(next, catalog);
+      if (broken) throw new Error(catalog ? `${broken} (kept the last load)` : broken);
+      [service, catalog] = [fresh, next];
+      return catalog;
+    },
+
+    /** (method, "/path?query", lowercase request headers) -> { status, headers, body } */
+    handle(method, url, headers = {}) {
+      const { pathname, searchParams } = new URL(url, "http://localhost");
+      const route = routes[pathname.replace(/\/+$/, "") || "/"];
+      try {
+        if (!route) throw apiError(404, `No such endpoint: ${pathname}`);
+        if (method !== "GET" && method !== "HEAD") {
+          const res = respond(method, 405, { error: "Only GET and HEAD are supported" });
+          return { ...res, headers: { ...res.headers, Allow: "GET, HEAD" } };
+        }
+        if (!catalog) throw apiError(503, "Offers are still loading");
+        return respond(method, 200, route(searchParams), headers);
+      } catch (e) {
+        if (!e.status) throw e;
+        return respond(method, e.status, { error: e.message });
+      }
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import fs from "fs";
+import path from "path";
+import { createOfferApi } from "./offerApi";
+import { createOfferService } from "./offerService";
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const fetchFile = (file) =>
+  fs.promises.readFile(path.join(PUBLIC_DIR, file), "utf8").then((text) => ({
+    text,
+    date: "Sun, 12 Oct 2025 10:00:00 GMT",
+  }));
+
+const get = (api, url, headers) => {
+  const res = api.handle("GET", url, headers);
+  return { ...res, json: res.body ? JSON.parse(res.body) : null };
+};
+
+let api;
+beforeAll(async () => {
+  api = createOfferApi(() => createOfferService(fetchFile));
+  await api.load();
+});
+
+test("lists the sites from feeds.json", () => {
+  const { status, headers, json } = get(api, "/sites");
+  expect(status).toBe(200);
+  expect(headers["Content-Type"]).toMatch(/^application\/json/);
+  expect(json.sites.map((s) => s.id)).toContain("bookmyshow");
+  expect(json.sites.every((s) => !("rows" in s))).toBe(true);
+  expect(json.failed).toEqual({ registry: null, cards: null, feeds: {} });
+  expect(json.updatedAt).toBe("2025-10-12T10:00:00.000Z");
+});
+
+test("lists and searches instruments", () => {
+  const all = get(api, "/instruments?type=credit").json.instruments;
+  expect(all.length).toBeGreaterThan(10);
+  expect(all.every((e) => e.type === "credit")).toBe(true);
+
+  const { instruments } = get(api, "/instruments?q=axis+bank+neo").json;
+  expect(instruments).toContainEqual(
+    expect.objectContaining({ type: "credit", display: "Axis Bank Neo Credit Card", hasOffers: true })
+  );
+  const upi = get(api, "/instruments?type=upi&q=axis").json.instruments;
+  expect(upi.every((e) => e.type === "upi")).toBe(true);
+  expect(get(api, "/instruments?type=cash").status).toBe(400);
+});
+
+test("matches offers for a card, per site", () => {
+  const { json } = get(api, "/offers?card=Axis+Bank+Neo+Credit+Card");
+  expect(json.instrument).toEqual(
+    expect.objectContaining({ type: "credit", display: "Axis Bank Neo Credit Card" })
+  );
+  const bms = json.sites.find((s) => s.id === "bookmyshow");
+  expect(bms.offers[0]).toEqual(
+    expect.objectContaining({
+      title: "Axis Bank Neo and IndianOil Axis Bank Credit Card Offer",
+      link: expect.stringMatching(/^https:\/\/in\.bookmyshow\.com\//),
+      status: "active",
+      row: expect.objectContaining({ "Eligible Credit Cards": "Axis Bank Neo Credit Card" }),
+    })
+  );
+  expect(json.sites.map((s) => s.id)).toContain("everyone");
+
+  const one = get(api, "/offers?card=Axis+Bank+Neo+Credit+Card&site=bookmyshow").json;
+  expect(one.sites).toEqual([bms]);
+  const noEveryone = get(api, "/offers?card=Axis+Bank+Neo+Credit+Card&everyone=0").json;
+  expect(noEveryone.sites.map((s) => s.id)).not.toContain("everyone");
+});
+
+test("says what's wrong with a request", () => {
+  expect(get(api, "/offers").json).toEqual({ error: "card is required" });
+  expect(get(api, "/offers?card=x&type=cash").status).toBe(400);
+  expect(get(api, "/offers?card=x&network=Maestro").status).toBe(400);
+  expect(get(api, "/offers?card=x&site=nowhere").json.error).toMatch(/Unknown site "nowhere"/);
+  expect(get(api, "/nowhere").status).toBe(404);
+  expect(get(api, "/").json.endpoints).toContain("/offers?card=&type=&site=&expired=&everyone=&network=&variant=");
+  const post = api.handle("POST", "/sites");
+  expect([post.status, post.headers.Allow]).toEqual([405, "GET, HEAD"]);
+});
+
+test("tags answers with an ETag and answers a match with 304", () => {
+  const first = get(api, "/offers?card=Axis+Bank+Neo+Credit+Card");
+  expect(first.headers.ETag).toMatch(/^"[\w-]+"$/);
+  const again = get(api, "/offers?card=Axis+Bank+Neo+Credit+Card", { "if-none-match": first.headers.ETag });
+  expect([again.status, again.body]).toEqual([304, ""]);
+  expect(get(api, "/offers?card=Axis+Bank+Neo+Credit+Card", { "if-none-match": '"other"' }).status).toBe(200);
+  expect(api.handle("HEAD", "/sites").body).toBe("");
+});
+
+test("answers 503 until the feeds have loaded", () => {
+  const loading = createOfferApi(() => createOfferService(fetchFile));
+  expect(get(loading, "/sites")).toEqual(expect.objectContaining({ status: 503 }));
+});
+
+test("keeps answering from the last good load when a reload breaks", async () => {
+  let breaks = {}; // file -> what loading it does instead
+  const flaky = createOfferApi(() =>
+    createOfferService((file) => (breaks[file] ? breaks[file]() : fetchFile(file)))
+  );
+  await flaky.load();
+  const before = get(flaky, "/sites").json;
+  const offers = get(flaky, "/offers?card=Axis+Bank+Neo+Credit+Card&site=bookmyshow").json;
+
+  breaks = {
+    "feeds.json": () => fetchFile("feeds.json").then((res) => ({ ...res, text: res.text.slice(0, 40) })),
+  };
+  await expect(flaky.load()).rejects.toThrow(/^feeds\.json: .*\(kept the last load\)$/);
+  breaks = { "Bookmyshow.csv": () => Promise.reject(new Error("half-saved")) };
+  await expect(flaky.load()).rejects.toThrow(/^bookmyshow: .*half-saved.*\(kept the last load\)$/);
+  expect(get(flaky, "/sites").json).toEqual(before);
+  expect(get(flaky, "/offers?card=Axis+Bank+Neo+Credit+Card&site=bookmyshow").json).toEqual(offers);
+
+  breaks = {};
+  await expect(flaky.load()).resolves.toEqual(expect.objectContaining({ failed: before.failed }));
+});
@@ -0,0 +1,287 @@
+// src/offerChanges.js
+// Offer change tracking between feed versions. A snapshot records every offer of a loaded
+// data set under a hash of its offerKey() (title, description, image, link, read through
+// the feed's feeds.json columns), with the instruments it lists and when it was first
+// seen; two snapshots diff into added, removed and modified offers per site and per card.
+// Recorded versions live in offer_history.json (`npm run offers:changes -- --record`).
+// Shared by the app and scripts/offer-changes.mjs, so it has no browser imports.
+//
+//   const snap = snapshotOffers(data, { takenAt, previous })  // previous: the last recorded snapshot
+//   diffSnapshots(previous, snap) -> { from, to, sites: [{ id, label, added, removed, modified }], cards, counts }
+//   currentChanges(data, history, takenAt) -> { snapshot, changes }: what the app shows
+//   recordSnapshot(history, snap) -> history with `snap` as its latest version
+//   offerHash(row, feed)          -> the key a row is recorded under
+//   offerFirstSeen(previous, feedId, hash, takenAt) -> a row's `firstSeen`, without a whole snapshot
+//   isNewOffer(firstSeen, now)    -> first seen in the last NEW_OFFER_DAYS days
+//   compareMatchedOffers(stored, matchedOffers(lists), failedSites) -> { added, removed, offers }
+//                                 for a followed instrument, between two loads
+import { offerKey } from "./offerData.js";
+import { NON_PAYMENT_ID, offerField, offerInstrumentNames, offerLabel } from "./offerEngine.js";
+
+/** Offers first seen this many days ago or less count as new */
+export const NEW_OFFER_DAYS = 7;
+
+/** Versions kept in offer_history.json's `versions` log */
+export const MAX_VERSIONS = 100;
+
+/** offer_history.json with nothing recorded yet */
+export const EMPTY_HISTORY = { versions: [], previous: null, latest: null };
+
+/** Short, stable hash of a string (53-bit, base 36); offer keys are long T&C texts */
+export function hashText(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * offerKey() of a row with its fields read through the feed's own column names; on its
+ * own offerKey() only knows the default headers, so e.g. every Paytm row (T&C under
+ * "Terms and Conditions", no title) would share one key
+ */
+function feedOfferKey(row, feed) {
+  const field = (name) => offerField({ offer: row, feed }, name) || "";
+  return offerKey({ Title: field("title"), Description: field("desc"), Image: field("image"), Link: field("link") });
+}
+
+export const offerHash = (row, feed) => hashText(feedOfferKey(row, feed));
+
+/**
+ * When the offer recorded under `hash` was first seen, given the `previous` snapshot:
+ * its date there, `takenAt` (ISO) if it's new since, null with nothing to compare with
+ */
+export function offerFirstSeen(previous, feedId, hash, takenAt) {
+  if (!previous) return null;
+  const was = previous.feeds[feedId]?.offers[hash];
+  return was ? was.firstSeen : new Date(takenAt).toISOString();
+}
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+/** -------------------- SNAPSHOTS -------------------- */
+/** Hash of a feed's rows as loaded: a snapshot's feeds match the data when these do */
+const rowsHash = (feed) => hashText(JSON.stringify(feed.rows));
+
+/**
+ * { takenAt, feeds: { [feed.id]: { label, rows, offers: { [hash]: { title, link, desc,
+ * image, cards, firstSeen } } } } } for a loadFeeds() data set. `rows` hashes the feed's
+ * rows; `desc` and `image` are hashes (enough to tell they changed). `firstSeen` carries
+ * over from `previous`; offers new since then get `takenAt`, and every offer of the first
+ * snapshot gets null (unknown). A feed that failed to load keeps its previous record
+ * rather than reading as emptied.
+ */
+export function snapshotOffers(data, { takenAt = new Date(), previous = null } = {}) {
+  const at = new Date(takenAt).toISOString();
+  const feeds = {};
+  for (const feed of data.feeds || []) {
+    const before = previous?.feeds?.[feed.id];
+    if (data.errors?.[feed.file]) {
+      if (before) feeds[feed.id] = before;
+      continue;
+    }
+    const offers = {};
+    for (const row of feed.rows) {
+      const parts = feedOfferKey(row, feed).split("||"); // title, desc, image, link
+      const hash = hashText(parts.join("||"));
+      const cards = offerInstrumentNames(row, feed, data.aliases);
+      const seen = offers[hash];
+      if (seen) {
+        // One offer spread over several rows (a row per card)
+        seen.cards = Array.from(new Set([...seen.cards, ...cards])).sort((a, b) => a.localeCompare(b));
+        continue;
+      }
+      offers[hash] = {
+        title: offerLabel({ offer: row, feed, site: feed.site }),
+        link: parts[3],
+        desc: hashText(parts[1]),
+        image: hashText(parts[2]),
+        cards,
+        firstSeen: offerFirstSeen(previous, feed.id, hash, at),
+      };
+    }
+    feeds[feed.id] = { label: feed.label, rows: rowsHash(feed), offers };
+  }
+  return { takenAt: at, feeds };
+}
+
+/** -------------------- DIFF -------------------- */
+const item = (hash, o) => ({ key: hash, title: o.title, link: o.link });
+
+/** Fields that differ between two records of one offer */
+function changedFields(before, after) {
+  return ["title", "link", "desc", "image", "cards"].filter((f) =>
+    f === "cards" ? !sameList(before.cards, after.cards) : before[f] !== after[f]
+  );
+}
+
+/**
+ * Removed/added pairs that are one offer edited: same link, else same title (non-empty),
+ * on the same site. Returns [[removedHash, addedHash], …]; both are taken out of the lists.
+ */
+function pairEdits(removed, added, before, after) {
+  const pairs = [];
+  for (const field of ["link", "title"]) {
+    for (const a of [...added]) {
+      const value = after[a][field];
+      const r = value && removed.find((h) => before[h][field] === value);
+      if (!r) continue;
+      pairs.push([r, a]);
+      removed.splice(removed.indexOf(r), 1);
+      added.splice(added.indexOf(a), 1);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * What changed from snapshot `before` to `after`, or null without a `before`:
+ * - sites: [{ id, label, added, removed, modified }] for the sites with changes, in
+ *   `after`'s order; entries are { key, title, link }, modified ones also `fields` (which
+ *   of title/link/desc/image/cards changed), `previousKey` when the offerKey changed, and
+ *   `cardsAdded` / `cardsRemoved`
+ * - cards: { [card name]: { added, removed, modified } } the same entries plus `site`, by
+ *   the instruments they list (an offer that drops a card is "removed" for that card)
+ * - counts: { added, removed, modified, total }
+ */
+export function diffSnapshots(before, after) {
+  if (!before || !after) return null;
+  const sites = [];
+  const cards = {};
+  const counts = { added: 0, removed: 0, modified: 0, total: 0 };
+  const forCard = (name, kind, entry) => {
+    if (!cards[name]) cards[name] = { added: [], removed: [], modified: [] };
+    cards[name][kind].push(entry);
+  };
+
+  const ids = [...Object.keys(after.feeds), ...Object.keys(before.feeds).filter((id) => !after.feeds[id])];
+  for (const id of ids) {
+    const was = before.feeds[id]?.offers || {};
+    const now = after.feeds[id]?.offers || {};
+    const added = Object.keys(now).filter((h) => !was[h]);
+    const removed = Object.keys(was).filter((h) => !now[h]);
+    const edits = [
+      ...Object.keys(now)
+        .filter((h) => was[h] && !sameList(was[h].cards, now[h].cards))
+        .map((h) => [h, h]),
+      ...pairEdits(removed, added, was, now),
+    ];
+
+    const site = {
+      id,
+      label: after.feeds[id]?.label || before.feeds[id].label,
+      added: added.map((h) => item(h, now[h])),
+      removed: removed.map((h) => item(h, was[h])),
+      modified: edits.map(([r, a]) => {
+        const old = was[r].cards;
+        const entry = {
+          ...item(a, now[a]),
+          fields: changedFields(was[r], now[a]),
+          cardsAdded: now[a].cards.filter((c) => !old.includes(c)),
+          cardsRemoved: old.filter((c) => !now[a].cards.includes(c)),
+        };
+        return r === a ? entry : { ...entry, previousKey: r };
+      }),
+    };
+    if (!site.added.length && !site.removed.length && !site.modified.length) continue;
+    sites.push(site);
+
+    site.added.forEach((e) => now[e.key].cards.forEach((c) => forCard(c, "added", { ...e, site: id })));
+    site.removed.forEach((e) => was[e.key].cards.forEach((c) => forCard(c, "removed", { ...e, site: id })));
+    for (const e of site.modified) {
+      const entry = { ...e, site: id };
+      e.cardsAdded.forEach((c) => forCard(c, "added", entry));
+      e.cardsRemoved.forEach((c) => forCard(c, "removed", entry));
+      // Cards it still lists see the edit, if anything besides the card list changed
+      if (e.fields.some((f) => f !== "cards")) {
+        now[e.key].cards.filter((c) => !e.cardsAdded.includes(c)).forEach((c) => forCard(c, "modified", entry));
+      }
+    }
+    counts.added += site.added.length;
+    counts.removed += site.removed.length;
+    counts.modified += site.modified.length;
+  }
+  counts.total = counts.added + counts.removed + counts.modified;
+  return { from: before.takenAt, to: after.takenAt, sites, cards, counts };
+}
+
+/** -------------------- HISTORY -------------------- */
+/** Every feed that loaded has the same rows as in `snapshot` */
+const sameFeeds = (data, snapshot) =>
+  (data.feeds || []).every((f) => data.errors?.[f.file] || snapshot.feeds[f.id]?.rows === rowsHash(f));
+
+/**
+ * The app's view of offer_history.json against the feeds it loaded: `snapshot` of the
+ * loaded data (for first-seen dates) and `changes`, the diff from the latest recorded
+ * version if the feeds moved on since, else the latest recorded change. Null `changes`
+ * when there is nothing to compare. Feeds unchanged since the latest version (the usual
+ * case) reuse it instead of snapshotting every offer again.
+ */
+export function currentChanges(data, history, takenAt = new Date()) {
+  const { previous = null, latest = null } = history || EMPTY_HISTORY;
+  if (latest && sameFeeds(data, latest)) {
+    return { snapshot: latest, changes: diffSnapshots(previous, latest) };
+  }
+  const snapshot = snapshotOffers(data, { takenAt, previous: latest });
+  const live = diffSnapshots(latest, snapshot);
+  return { snapshot, changes: live?.counts.total ? live : diffSnapshots(previous, latest) };
+}
+
+/**
+ * Record `snapshot` as the latest version: the old latest becomes `previous` (what the
+ * next diff compares against) and `versions` logs the change counts of each version.
+ */
+export function recordSnapshot(history, snapshot) {
+  const { versions = [], latest = null } = history || EMPTY_HISTORY;
+  const counts = diffSnapshots(latest, snapshot)?.counts || null;
+  return {
+    versions: [...versions, { takenAt: snapshot.takenAt, counts }].slice(-MAX_VERSIONS),
+    previous: latest,
+    latest: snapshot,
+  };
+}
+
+/** Offer first seen (ISO date or null) within `days` of `now` */
+export function isNewOffer(firstSeen, now = new Date(), days = NEW_OFFER_DAYS) {
+  if (!firstSeen) return false;
+  const age = new Date(now) - new Date(firstSeen);
+  return age >= 0 && age <= days * 24 * 60 * 60 * 1000;
+}
+
+/** -------------------- FOLLOWED INSTRUMENTS -------------------- */
+/**
+ * The offers of a findOffers() answer as { [offerHash]: { title, site } }, `site` being
+ * the feed id. Offers that need no card are left out: every instrument gets those.
+ */
+export function matchedOffers(lists) {
+  const out = {};
+  for (const [id, wrappers] of Object.entries(lists || {})) {
+    if (id === NON_PAYMENT_ID) continue;
+    for (const w of wrappers) out[offerHash(w.offer, w.feed)] = { title: offerLabel(w), site: id };
+  }
+  return out;
+}
+
+/**
+ * A followed instrument's matchedOffers() now against the ones stored at the last load:
+ * `added` and `removed` as [{ key, title, site }], and `offers` to store for next time.
+ * Offers on `failedSites` (feed ids that didn't load) are kept, not reported as removed;
+ * with nothing stored yet (just followed) there's nothing to report.
+ */
+export function compareMatchedOffers(stored, offers, failedSites = []) {
+  const next = { ...offers };
+  for (const [key, o] of Object.entries(stored || {})) if (failedSites.includes(o.site)) next[key] = o;
+  if (!stored) return { added: [], removed: [], offers: next };
+  const list = (from, keys) => keys.map((key) => ({ key, ...from[key] }));
+  return {
+    added: list(next, Object.keys(next).filter((k) => !stored[k])),
+    removed: list(stored, Object.keys(stored).filter((k) => !next[k])),
+    offers: next,
+  };
+}
@@ -0,0 +1,188 @@
+import fs from "fs";
+import path from "path";
+import {
+  EMPTY_HISTORY,
+  compareMatchedOffers,
+  currentChanges,
+  diffSnapshots,
+  isNewOffer,
+  matchedOffers,
+  offerHash,
+  recordSnapshot,
+  snapshotOffers,
+} from "./offerChanges";
+import { loadFeeds } from "./offerEngine";
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const readPublic = (file) => fs.promises.readFile(path.join(PUBLIC_DIR, file), "utf8");
+
+const LAST_WEEK = new Date("2026-10-12T10:00:00Z");
+const TODAY = new Date("2026-10-19T10:00:00Z");
+
+/** The data set with one feed's rows replaced */
+const withRows = (data, id, edit) => ({
+  ...data,
+  feeds: data.feeds.map((f) => (f.id === id ? { ...f, rows: edit(f.rows) } : f)),
+});
+
+const NEW_ROW = {
+  Offer: "Flat 100 off with Test Bank",
+  Description: "Flat Rs 100 off on 2 tickets",
+  Link: "https://in.bookmyshow.com/offers/test-bank",
+  "Eligible Credit Cards": "Test Bank Platinum Credit Card",
+};
+
+let data;
+let before;
+let after;
+let next;
+beforeAll(async () => {
+  data = await loadFeeds(readPublic);
+  before = snapshotOffers(data, { takenAt: LAST_WEEK });
+
+  // A week on: one Bookmyshow offer gone and one new, one Paytm T&C edited
+  const rbl = (row) => /^RBL Bank Popcorn/.test(row.Offer);
+  const terms = data.feeds.find((f) => f.id === "paytm-district").rows[0]["Terms and Conditions"];
+  next = withRows(
+    withRows(data, "bookmyshow", (rows) => [...rows.filter((r) => !rbl(r)), NEW_ROW]),
+    "paytm-district",
+    (rows) =>
+      rows.map((r) =>
+        r["Terms and Conditions"] === terms
+          ? { ...r, "Terms and Conditions": terms.replace("25%", "20%") }
+          : r
+      )
+  );
+  after = snapshotOffers(next, { takenAt: TODAY, previous: before });
+});
+
+test("records each offer once, under its offerKey, with the cards it lists", () => {
+  const bms = data.feeds.find((f) => f.id === "bookmyshow");
+  const offers = Object.values(before.feeds.bookmyshow.offers);
+  expect(offers.length).toBeGreaterThan(0);
+  expect(offers.length).toBeLessThan(bms.rows.length);
+
+  const rbl = before.feeds.bookmyshow.offers[offerHash(bms.rows[0], bms)];
+  expect(rbl.title).toMatch(/^RBL Bank Popcorn/);
+  expect(rbl.cards).toContain("RBL Bank Popcorn Credit Card");
+  // Nothing to compare the first snapshot with
+  expect(rbl.firstSeen).toBeNull();
+  // Paytm rows have no title and keep their T&C under a feeds.json column
+  expect(Object.keys(before.feeds["paytm-district"].offers).length).toBeGreaterThan(1);
+});
+
+test("diffs added, removed and modified offers per site", () => {
+  const diff = diffSnapshots(before, after);
+  expect(diff.from).toBe(LAST_WEEK.toISOString());
+  expect(diff.to).toBe(TODAY.toISOString());
+  expect(diff.counts).toEqual({ added: 1, removed: 1, modified: 1, total: 3 });
+
+  const bms = diff.sites.find((s) => s.id === "bookmyshow");
+  expect(bms.added.map((e) => e.title)).toEqual([NEW_ROW.Offer]);
+  expect(bms.removed[0].title).toMatch(/^RBL Bank Popcorn/);
+  expect(bms.modified).toEqual([]);
+
+  const paytm = diff.sites.find((s) => s.id === "paytm-district");
+  expect(paytm.modified).toEqual([
+    expect.objectContaining({ title: "IDFCCCFM", fields: ["desc"], previousKey: expect.any(String) }),
+  ]);
+  expect(diff.sites.map((s) => s.id)).toEqual(["bookmyshow", "paytm-district"]);
+  expect(diffSnapshots(before, before).counts.total).toBe(0);
+  expect(diffSnapshots(null, before)).toBeNull();
+});
+
+test("diffs per card", () => {
+  const { cards } = diffSnapshots(before, after);
+  expect(cards["Test Bank Platinum Credit Card"].added).toEqual([
+    expect.objectContaining({ title: NEW_ROW.Offer, site: "bookmyshow" }),
+  ]);
+  expect(cards["RBL Bank Popcorn Credit Card"].removed).toHaveLength(1);
+  expect(cards["IDFC First Millennia Credit Card"].modified).toEqual([
+    expect.objectContaining({ site: "paytm-district", fields: ["desc"] }),
+  ]);
+});
+
+test("reports a card dropped from an offer as removed for that card", () => {
+  const dropped = withRows(data, "bookmyshow", (rows) =>
+    rows.filter((r) => !/^RBL Bank Popcorn/.test(r.Offer) || !/Popcorn/.test(r["Eligible Credit Cards"]))
+  );
+  const diff = diffSnapshots(before, snapshotOffers(dropped, { previous: before }));
+  const [edit] = diff.sites[0].modified;
+  expect(edit.fields).toEqual(["cards"]);
+  expect(edit.cardsRemoved).toEqual(["RBL Bank Popcorn Credit Card"]);
+  expect(diff.cards["RBL Bank Popcorn Credit Card"].removed).toEqual([expect.objectContaining({ key: edit.key })]);
+  expect(diff.cards["RBL Bank Fun+ Credit Card"]).toBeUndefined();
+});
+
+test("dates offers from the version they first appeared in", () => {
+  const offers = after.feeds.bookmyshow.offers;
+  const fresh = Object.values(offers).find((o) => o.title === NEW_ROW.Offer);
+  expect(fresh.firstSeen).toBe(TODAY.toISOString());
+  expect(Object.values(offers).filter((o) => o.firstSeen)).toEqual([fresh]);
+
+  expect(isNewOffer(fresh.firstSeen, new Date("2026-10-25T10:00:00Z"))).toBe(true);
+  expect(isNewOffer(fresh.firstSeen, new Date("2026-10-27T10:00:00Z"))).toBe(false);
+  expect(isNewOffer(null, TODAY)).toBe(false);
+});
+
+test("keeps a feed that failed to load as it was", () => {
+  const pvr = data.feeds.find((f) => f.id === "pvr");
+  const failed = { ...withRows(data, "pvr", () => []), errors: { [pvr.file]: "Network Error" } };
+  const snap = snapshotOffers(failed, { previous: before });
+  expect(snap.feeds.pvr).toEqual(before.feeds.pvr);
+  expect(diffSnapshots(before, snap).counts.total).toBe(0);
+});
+
+test("records versions and shows the latest change until the feeds move on", () => {
+  const history = recordSnapshot(recordSnapshot(EMPTY_HISTORY, before), after);
+  expect(history.previous).toBe(before);
+  expect(history.latest).toBe(after);
+  expect(history.versions.map((v) => v.counts?.total ?? null)).toEqual([null, 3]);
+
+  // Same feeds as the latest version: its recorded change, without a new snapshot
+  const same = currentChanges(next, history, new Date("2026-10-20T10:00:00Z"));
+  expect(same.snapshot).toBe(after);
+  expect(same.changes.to).toBe(TODAY.toISOString());
+  expect(same.changes.counts.total).toBe(3);
+
+  // Feeds newer than the latest version: the live change
+  const moved = currentChanges(data, history, new Date("2026-10-20T10:00:00Z"));
+  expect(moved.changes.from).toBe(TODAY.toISOString());
+  expect(moved.changes.counts).toEqual({ added: 1, removed: 1, modified: 1, total: 3 });
+
+  expect(currentChanges(data, null).changes).toBeNull();
+});
+
+test("tells a followed instrument's new and removed offers between loads", () => {
+  const bms = data.feeds.find((f) => f.id === "bookmyshow");
+  const pvr = data.feeds.find((f) => f.id === "pvr");
+  const wrap = (feed) => (row) => ({ offer: row, feed, site: feed.site });
+  // Three different offers (one offer can take a row per card)
+  const byKey = new Map(bms.rows.map((r) => [offerHash(r, bms), r]));
+  const [a, b, c] = [...byKey.values()].filter((r) => !/^RBL Bank Popcorn/.test(r.Offer));
+  const lists = (rows) => ({
+    bookmyshow: rows.map(wrap(bms)),
+    pvr: pvr.rows.slice(0, 1).map(wrap(pvr)),
+    everyone: [wrap(bms)(bms.rows[0])],
+  });
+
+  const first = matchedOffers(lists([a, b]));
+  expect(Object.values(first)).toEqual([
+    { title: a.Offer, site: "bookmyshow" },
+    { title: b.Offer, site: "bookmyshow" },
+    { title: expect.any(String), site: "pvr" },
+  ]);
+  // Just followed: nothing to report yet
+  expect(compareMatchedOffers(undefined, first)).toEqual({ added: [], removed: [], offers: first });
+
+  const { added, removed, offers } = compareMatchedOffers(first, matchedOffers(lists([b, c])));
+  expect(added).toEqual([{ key: offerHash(c, bms), title: c.Offer, site: "bookmyshow" }]);
+  expect(removed).toEqual([{ key: offerHash(a, bms), title: a.Offer, site: "bookmyshow" }]);
+  expect(compareMatchedOffers(offers, matchedOffers(lists([b, c]))).added).toEqual([]);
+
+  // PVR didn't load this time: its offers aren't gone, and stay stored
+  const { bookmyshow } = lists([a, b]);
+  const failed = compareMatchedOffers(first, matchedOffers({ bookmyshow }), ["pvr"]);
+  expect(failed.removed).toEqual([]);
+  expect(failed.offers).toEqual(first);
+});
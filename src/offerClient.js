@@ -0,0 +1,133 @@
+// src/offerClient.js
+// Promise API over offerService.js for the UI. Parsing, harvesting and matching run in the
+// offers Web Worker when the browser can start one; otherwise (tests, a worker that fails
+// to start, or whose script fails to load or throws later) the same service runs on the
+// main thread through axios.
+//
+//   const client = createOfferClient();
+//   const catalog = await client.load();
+//   const sections = await client.search("hdfc");
+//   const { lists, expiredCount } = await client.findOffers(entry, { showExpired });
+//   const { products } = await client.findBankOffers("HDFC Bank", { showExpired });
+//   const { all, card } = await client.findChanges(entry);
+//   client.terminate();                   // on unmount; a later call starts a new worker
+import axios from "axios";
+import { createOfferService } from "./offerService";
+import { startOfferWorker } from "./startOfferWorker";
+
+/** Feed file text plus its response Date, read on the main thread */
+const fetchFileWithAxios = (file) =>
+  axios
+    .get(`/${encodeURIComponent(file)}`)
+    .then((res) => ({ text: res.data, date: res.headers?.date }));
+
+function localClient() {
+  const service = createOfferService(fetchFileWithAxios);
+  return {
+    load: () => service.load(),
+    search: async (query) => service.search(query),
+    findOffers: async (entry, options) => service.findOffers(entry, options),
+    findBankOffers: async (bank, options) => service.findBankOffers(bank, options),
+    findChanges: async (entry) => service.findChanges(entry),
+    terminate: () => {},
+  };
+}
+
+/** Main-thread client taking over from a dead worker: loads the feeds again before answering */
+function fallbackClient() {
+  const local = localClient();
+  let loaded = null;
+  const afterLoad = (method) => (...args) => {
+    if (!loaded) loaded = local.load();
+    return loaded.then(() => local[method](...args));
+  };
+  return {
+    load: () => (loaded = local.load()),
+    search: afterLoad("search"),
+    findOffers: afterLoad("findOffers"),
+    findBankOffers: afterLoad("findBankOffers"),
+    findChanges: afterLoad("findChanges"),
+    terminate: () => {},
+  };
+}
+
+/**
+ * Client over the offers worker. An error event from the worker itself (its script 404s or
+ * throws) is fatal: the worker is dropped and this call and every later one go to
+ * fallbackClient() instead.
+ */
+function workerClient(worker) {
+  let nextId = 0;
+  const pending = new Map(); // id -> { method, args, resolve, reject }
+  let fallback = null;
+
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    const call = pending.get(id);
+    if (!call) return;
+    pending.delete(id);
+    if (error) call.reject(new Error(error));
+    else call.resolve(result);
+  };
+  worker.onerror = (e) => {
+    console.debug("[HotelOffers] offers worker failed, moving to the main thread:", e.message || e);
+    e.preventDefault?.();
+    worker.terminate();
+    fallback = fallbackClient();
+    for (const { method, args, resolve, reject } of pending.values()) {
+      fallback[method](...args).then(resolve, reject);
+    }
+    pending.clear();
+  };
+
+  const call = (method, ...args) => {
+    if (fallback) return fallback[method](...args);
+    return new Promise((resolve, reject) => {
+      const id = ++nextId;
+      pending.set(id, { method, args, resolve, reject });
+      worker.postMessage({ id, method, args });
+    });
+  };
+
+  return {
+    load: () => call("load"),
+    search: (query) => call("search", query),
+    findOffers: (entry, options) => call("findOffers", entry, options),
+    findBankOffers: (bank, options) => call("findBankOffers", bank, options),
+    findChanges: (entry) => call("findChanges", entry),
+    terminate: () => worker.terminate(),
+  };
+}
+
+/** A Web Worker client where possible, else one on the main thread */
+function startClient() {
+  let worker = null;
+  try {
+    worker = startOfferWorker();
+  } catch (e) {
+    console.debug("[HotelOffers] offers worker unavailable:", e);
+  }
+  return worker ? workerClient(worker) : localClient();
+}
+
+/**
+ * Offers engine client. The worker starts on the first call, not here, so a component can
+ * create the client while rendering; terminate() stops it until the next call.
+ */
+export function createOfferClient() {
+  let client = null;
+  const use = (method) => (...args) => {
+    if (!client) client = startClient();
+    return client[method](...args);
+  };
+  return {
+    load: use("load"),
+    search: use("search"),
+    findOffers: use("findOffers"),
+    findBankOffers: use("findBankOffers"),
+    findChanges: use("findChanges"),
+    terminate: () => {
+      client?.terminate();
+      client = null;
+    },
+  };
+}
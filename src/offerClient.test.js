@@ -0,0 +1,78 @@
+import { createOfferClient } from "./offerClient";
+import { startOfferWorker } from "./startOfferWorker";
+
+// The main-thread fallback reads the shipped CSVs from public/
+jest.mock("axios", () => {
+  const fs = require("fs");
+  const path = require("path");
+  return {
+    get: (url) =>
+      fs.promises
+        .readFile(path.join(__dirname, "..", "public", decodeURIComponent(url.replace(/^\//, ""))), "utf8")
+        .then((data) => ({ data, headers: { date: "Sun, 12 Oct 2025 10:00:00 GMT" } })),
+  };
+});
+jest.mock("./startOfferWorker", () => ({ startOfferWorker: jest.fn() }));
+
+/** Stand-in for the offers worker: records what it is sent */
+function fakeWorker() {
+  return {
+    sent: [],
+    terminated: false,
+    postMessage(msg) {
+      this.sent.push(msg);
+    },
+    terminate() {
+      this.terminated = true;
+    },
+  };
+}
+
+afterEach(() => startOfferWorker.mockReset());
+
+test("answers through the worker, started on the first call", async () => {
+  const worker = fakeWorker();
+  startOfferWorker.mockReturnValue(worker);
+  const client = createOfferClient();
+  expect(startOfferWorker).not.toHaveBeenCalled();
+
+  const found = client.search("hdfc");
+  expect(worker.sent).toEqual([{ id: 1, method: "search", args: ["hdfc"] }]);
+  worker.onmessage({ data: { id: 1, result: [] } });
+  await expect(found).resolves.toEqual([]);
+
+  const failed = client.findOffers(null);
+  worker.onmessage({ data: { id: 2, error: "boom" } });
+  await expect(failed).rejects.toThrow("boom");
+});
+
+test("moves to the main thread when the worker fails to load", async () => {
+  const worker = fakeWorker();
+  startOfferWorker.mockReturnValue(worker);
+  const client = createOfferClient();
+
+  const loading = client.load();
+  worker.onerror({ message: "Failed to load offerWorker.js" });
+  expect(worker.terminated).toBe(true);
+  const catalog = await loading;
+  expect(catalog.feeds.map((f) => f.id)).toContain("bookmyshow");
+
+  // Later calls never reach the dead worker
+  const [credit] = (await client.search("Axis Bank Neo Credit Card")).filter((sec) => sec.type === "credit");
+  const { lists } = await client.findOffers(credit.items[0]);
+  expect(lists.bookmyshow.length).toBeGreaterThan(0);
+  expect(worker.sent).toHaveLength(1);
+});
+
+test("stops the worker on terminate() and starts another on the next call", () => {
+  const first = fakeWorker();
+  const second = fakeWorker();
+  startOfferWorker.mockReturnValueOnce(first).mockReturnValueOnce(second);
+  const client = createOfferClient();
+
+  client.load();
+  client.terminate();
+  expect(first.terminated).toBe(true);
+  client.load();
+  expect(second.sent).toEqual([{ id: 1, method: "load", args: [] }]);
+});
@@ -0,0 +1,392 @@
+// src/offerData.js
+// CSV field mapping + card-name normalization shared by the app and the Node scripts
+// in scripts/. Keep it free of browser/React imports so plain Node can load it.
+
+/** -------------------- CSV FIELDS -------------------- */
+/** Header aliases per logical field; firstField() returns the first non-empty one */
+export const LIST_FIELDS = {
+  credit: ["Eligible Credit Cards", "Eligible Cards"],
+  debit: ["Eligible Debit Cards", "Applicable Debit Cards"],
+  title: ["Offer Title", "Title", "Offer"],
+  image: ["Image", "Credit Card Image", "Offer Image", "image", "Image URL"],
+  link: ["Link", "Offer Link"],
+  desc: ["Description", "Details", "Offer Description", "Flight Benefit"],
+
+  // Permanent (inbuilt) CSV fields
+  permanentCCName: ["Credit Card Name"],
+  permanentBenefit: ["Movie Benefit", "Benefit", "Offer", "Hotel Benefit"],
+
+  // ✅ NEW: UPI / NetBanking fields
+  upi: ["UPI", "Upi", "UPI Options", "UPI Method"],
+  netbanking: ["NetBanking", "Net Banking", "Netbanking", "NetBanking Options"],
+
+  // Optional BIN -> card mapping CSV fields
+  bin: ["BIN", "Bin", "Card BIN"],
+  binCardName: ["Card Name", "Card"],
+  binCardType: ["Card Type", "Type"],
+
+  coupon: ["Coupon Code"],
+
+  // Optional card alias CSV fields (see compileCardAliases)
+  alias: ["Alias"],
+  canonical: ["Canonical", "Canonical Name"],
+  aliasMatch: ["Match"],
+
+  // Offers that don't need any payment instrument (membership, partner, coupon promos)
+  nonPayment: ["Non-Payments-Offers", "Non-Payment Offers", "Non Payment Offers"],
+
+  // Optional validity columns; T&C phrases ("valid till 31st March 2026") are the fallback
+  validFrom: ["Valid From", "Start Date", "Offer Start Date"],
+  validTill: ["Valid Till", "Valid Until", "Expiry Date", "End Date", "Offer End Date"],
+};
+
+/** -------------------- HELPERS -------------------- */
+export function isUsableImage(val) {
+  if (!val) return false;
+  const s = String(val).trim();
+  if (!s) return false;
+  if (/^(na|n\/a|null|undefined|-|image unavailable)$/i.test(s)) return false;
+  return true;
+}
+
+export const toNorm = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\w\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export function firstField(obj, keys) {
+  for (const k of keys) {
+    if (
+      obj &&
+      Object.prototype.hasOwnProperty.call(obj, k) &&
+      obj[k] !== undefined &&
+      obj[k] !== null &&
+      String(obj[k]).trim() !== ""
+    ) {
+      return obj[k];
+    }
+  }
+  return undefined;
+}
+
+/** case-insensitive find for keys that CONTAIN a substring */
+export function firstFieldByContains(obj, substr) {
+  if (!obj) return undefined;
+  const target = String(substr).toLowerCase();
+  for (const k of Object.keys(obj)) {
+    if (String(k).toLowerCase().includes(target)) {
+      const v = obj[k];
+      if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+    }
+  }
+  return undefined;
+}
+
+/** return all entries where predicate(key) is true */
+export function entriesWhereKey(obj, predicate) {
+  if (!obj) return [];
+  const out = [];
+  for (const k of Object.keys(obj)) {
+    if (predicate(String(k))) {
+      const v = obj[k];
+      if (v !== undefined && v !== null && String(v).trim() !== "") {
+        out.push({ key: k, value: v });
+      }
+    }
+  }
+  return out;
+}
+
+/** case-insensitive exact key lookup */
+export function getCI(obj, key) {
+  if (!obj) return undefined;
+  const target = String(key).toLowerCase();
+  for (const k of Object.keys(obj)) {
+    if (String(k).toLowerCase() === target) return obj[k];
+  }
+  return undefined;
+}
+
+// Separators between list items, and the brackets that shield them; split() keeps
+// the captured tokens at odd indices. "and" before "More" is part of a card's name
+// ("RBL Bank Movies and More", "Axis Bank Miles and More").
+const LIST_TOKENS = /(,|\/|;|\||\n|\r|\t|\b(?:and|AND)\b(?!\s+(?:more|More|MORE)\b)|•|\(|\))/g;
+
+/**
+ * split across many separators, except inside brackets: "HDFC Regalia (Visa, Mastercard),
+ * Axis Neo" -> ["HDFC Regalia (Visa, Mastercard)", "Axis Neo"]. A bracket left open
+ * shields nothing.
+ */
+export function splitList(val) {
+  if (!val) return [];
+  const tokens = String(val).split(LIST_TOKENS);
+  const split = (shield) => {
+    const items = [""];
+    let depth = 0;
+    tokens.forEach((tok, i) => {
+      if (tok === "(") depth++;
+      if (tok === ")") depth = Math.max(0, depth - 1);
+      const separates = i % 2 === 1 && tok !== "(" && tok !== ")" && !(shield && depth > 0);
+      if (separates) items.push("");
+      else items[items.length - 1] += tok;
+    });
+    return { items, open: depth > 0 };
+  };
+  const shielded = split(true);
+  const { items } = shielded.open ? split(false) : shielded;
+  return items.map((s) => s.trim()).filter(Boolean);
+}
+
+/** Strip trailing parentheses: "HDFC Regalia (Visa Signature)" -> "HDFC Regalia" */
+export function getBase(name) {
+  if (!name) return "";
+  return String(name).replace(/\s*\([^)]*\)\s*$/, "").trim();
+}
+
+/** Variant if present at end-in-parens: "… (Visa Signature)" -> "Visa Signature" */
+export function getVariant(name) {
+  if (!name) return "";
+  const m = String(name).match(/\(([^)]+)\)\s*$/);
+  return m ? m[1].trim() : "";
+}
+
+/** Canonicalize some common brand spellings */
+export function brandCanonicalize(text) {
+  let s = String(text || "");
+  s = s.replace(/\bMakemytrip\b/gi, "MakeMyTrip");
+  s = s.replace(/\bIcici\b/gi, "ICICI");
+  s = s.replace(/\bHdfc\b/gi, "HDFC");
+  s = s.replace(/\bSbi\b/gi, "SBI");
+  s = s.replace(/\bIdfc\b/gi, "IDFC");
+  s = s.replace(/\bPnb\b/gi, "PNB");
+  s = s.replace(/\bRbl\b/gi, "RBL");
+  s = s.replace(/\bYes\b/gi, "YES");
+  return s;
+}
+
+/** -------------------- CARD ALIASES -------------------- */
+// public/card_aliases.csv (Alias, Canonical, Match) maps other spellings of an instrument
+// to the one the app uses. Match "name" (the default) renames a whole name ("RBL Play Credit
+// Card"); "words" rewrites a spelling wherever it appears as whole words ("Amex").
+export const NO_ALIASES = { words: [], names: new Map() };
+
+/** Apply the "words" rows: "IndusInd ePay Amex Credit Card" -> "… American Express …" */
+function rewriteWords(aliases, text) {
+  return aliases.words.reduce((s, { re, to }) => s.replace(re, to), text);
+}
+
+/**
+ * Compile alias rows into { words, names, problems } for canonicalName(). Canonical
+ * names are looked up too, so every spelling of a card shows the same way.
+ */
+export function compileCardAliases(rows) {
+  const problems = [];
+  const parsed = [];
+  (rows || []).forEach((row, i) => {
+    const alias = String(firstField(row, LIST_FIELDS.alias) || "").trim();
+    const canonical = String(firstField(row, LIST_FIELDS.canonical) || "").trim();
+    const match = String(firstField(row, LIST_FIELDS.aliasMatch) || "name").trim().toLowerCase();
+    if (!toNorm(alias) || !toNorm(canonical)) {
+      problems.push(`row ${i + 2}: needs an Alias and a Canonical name`);
+    } else if (match !== "name" && match !== "words") {
+      problems.push(`row ${i + 2}: Match must be "name" or "words"`);
+    } else if (toNorm(alias) === toNorm(canonical)) {
+      problems.push(`row ${i + 2}: "${alias}" is already spelled like its canonical name`);
+    } else {
+      parsed.push({ alias, canonical, match, row: i + 2 });
+    }
+  });
+
+  const out = { words: [], names: new Map(), problems };
+  for (const { alias, canonical } of parsed.filter((r) => r.match === "words")) {
+    const pattern = toNorm(alias).split(" ").join("[^a-z0-9]+");
+    out.words.push({ re: new RegExp(`\\b${pattern}\\b`, "gi"), to: canonical });
+  }
+  const from = new Map(); // alias norm -> row, to report conflicting rows
+  for (const { alias, canonical, row } of parsed.filter((r) => r.match === "name")) {
+    const display = rewriteWords(out, brandCanonicalize(getBase(canonical)));
+    const key = toNorm(rewriteWords(out, brandCanonicalize(getBase(alias))));
+    if (from.has(key) && out.names.get(key) !== display) {
+      problems.push(`row ${row}: "${alias}" already maps to "${out.names.get(key)}" (row ${from.get(key)})`);
+      continue;
+    }
+    from.set(key, row);
+    out.names.set(key, display);
+    if (!out.names.has(toNorm(display))) out.names.set(toNorm(display), display);
+  }
+  return out;
+}
+
+/** Display name of an instrument: base name, brand casing, then the alias table */
+export function canonicalName(raw, aliases = NO_ALIASES) {
+  const base = rewriteWords(aliases, brandCanonicalize(getBase(raw)));
+  return aliases.names.get(toNorm(base)) || base;
+}
+
+/** -------------------- BANKS -------------------- */
+/** Issuing banks and the words that name them in a (toNorm'd, brandCanonicalize'd) product name */
+export const BANKS = [
+  ["HDFC Bank", ["hdfc"]],
+  ["ICICI Bank", ["icici", "icic"]],
+  ["Axis Bank", ["axis"]],
+  ["SBI", ["sbi", "state bank of india"]],
+  ["Kotak Mahindra Bank", ["kotak"]],
+  ["IndusInd Bank", ["indusind"]],
+  ["YES Bank", ["yes"]],
+  ["RBL Bank", ["rbl"]],
+  ["IDFC First Bank", ["idfc"]],
+  ["IDBI Bank", ["idbi"]],
+  ["Bank of Baroda", ["bank of baroda", "bob", "bobcard", "baroda"]],
+  ["Bank of India", ["bank of india", "boi"]],
+  ["Bank of Maharashtra", ["bank of maharashtra", "bom"]],
+  ["Punjab National Bank", ["pnb", "punjab national bank"]],
+  ["Punjab & Sind Bank", ["psb", "punjab sind bank"]],
+  ["Canara Bank", ["canara", "canrara", "canra"]],
+  ["Union Bank of India", ["union bank"]],
+  ["Indian Bank", ["indian bank"]],
+  ["Indian Overseas Bank", ["indian overseas bank", "iob"]],
+  ["UCO Bank", ["uco"]],
+  ["Central Bank of India", ["central bank"]],
+  ["Federal Bank", ["federal", "fed"]],
+  ["South Indian Bank", ["south indian bank", "sib"]],
+  ["Karnataka Bank", ["karnataka bank", "kbl"]],
+  ["Karur Vysya Bank", ["karur vysya", "kvb"]],
+  ["City Union Bank", ["city union", "cub"]],
+  ["CSB Bank", ["catholic syrian", "csb"]],
+  ["Tamilnad Mercantile Bank", ["tamilnad mercantile", "tmb"]],
+  ["J&K Bank", ["j k"]],
+  ["Bandhan Bank", ["bandhan"]],
+  ["AU Small Finance Bank", ["au"]],
+  ["Equitas Small Finance Bank", ["equitas"]],
+  ["Utkarsh Small Finance Bank", ["utkarsh"]],
+  ["Capital Small Finance Bank", ["capital"]],
+  ["Shivalik Small Finance Bank", ["shivalik"]],
+  ["DBS Bank", ["dbs"]],
+  ["DCB Bank", ["dcb"]],
+  ["Dhanlaxmi Bank", ["dhanlaxmi", "dhanlakshmi"]],
+  ["Nainital Bank", ["nainital"]],
+  ["SBM Bank", ["sbm"]],
+  ["Standard Chartered", ["standard chartered"]],
+  ["HSBC", ["hsbc"]],
+  ["Citibank", ["citi", "citibank"]],
+  ["American Express", ["american express", "amex"]],
+  ["Airtel Payments Bank", ["airtel payments bank", "airtel", "apbl"]],
+  ["India Post Payments Bank", ["ippb", "india post"]],
+  ["Fino Payments Bank", ["fino"]],
+  ["Bajaj Finance", ["bajaj finance", "bajaj finserv"]],
+];
+
+// Whole-word match; `bank` is set when the word is followed by "bank" ("axis bank")
+const BANK_PATTERNS = BANKS.flatMap(([bank, aliases]) =>
+  aliases.map((alias) => ({
+    bank,
+    alias,
+    re: new RegExp(`(?:^| )${alias}(?= |$)(?<bank> bank\\b)?`),
+  }))
+);
+
+/**
+ * Issuing bank of a card, UPI handle or NetBanking name: "Flipkart Axis Bank Credit Card"
+ * -> "Axis Bank". Names followed by "Bank" win over co-brand names, then the earliest
+ * match; unknown "<Name> Bank …" names fall back to "<Name> Bank". "" when nothing fits.
+ */
+export function bankOf(name) {
+  const norm = toNorm(brandCanonicalize(getBase(name)));
+  if (!norm) return "";
+
+  let best = null;
+  for (const { bank, alias, re } of BANK_PATTERNS) {
+    const m = re.exec(norm);
+    if (!m) continue;
+    const strong = m.groups.bank || alias.includes("bank") ? 1 : 0;
+    const hit = { bank, strong, index: m.index, length: alias.length };
+    if (
+      !best ||
+      hit.strong > best.strong ||
+      (hit.strong === best.strong &&
+        (hit.index < best.index || (hit.index === best.index && hit.length > best.length)))
+    ) {
+      best = hit;
+    }
+  }
+  if (best) return best.bank;
+
+  const m = brandCanonicalize(getBase(name)).match(/^((?:[\w&.'-]+ ){1,3})Bank\b/i);
+  return m ? `${m[1]}Bank` : "";
+}
+
+/** Dropdown entry builder */
+export function makeEntry(raw, type, aliases = NO_ALIASES) {
+  const base = canonicalName(raw, aliases);
+  return { type, display: base, baseNorm: toNorm(base) };
+}
+
+export function normalizeUrl(u) {
+  if (!u) return "";
+  let s = String(u).trim().toLowerCase();
+  s = s.replace(/^https?:\/\//, "").replace(/^www\./, "");
+  if (s.endsWith("/")) s = s.slice(0, -1);
+  return s;
+}
+export function normalizeText(s) {
+  return toNorm(s || "");
+}
+export function offerKey(offer) {
+  const imgGuess =
+    firstField(offer, LIST_FIELDS.image) || firstFieldByContains(offer, "image");
+  const image = normalizeUrl(imgGuess || "");
+  const title = normalizeText(
+    firstField(offer, LIST_FIELDS.title) || offer.Website || ""
+  );
+  const desc = normalizeText(firstField(offer, LIST_FIELDS.desc) || "");
+  const link = normalizeUrl(firstField(offer, LIST_FIELDS.link) || "");
+  return `${title}||${desc}||${image}||${link}`;
+}
+
+export function dedupWrappers(arr, seen) {
+  const out = [];
+  for (const w of arr || []) {
+    const k = offerKey(w.offer);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(w);
+  }
+  return out;
+}
+
+/** classification helpers */
+export const headerLooksDebit = (key) => {
+  const k = String(key).toLowerCase();
+  return /\bdebit\b/.test(k) && /\bcards?\b/.test(k);
+};
+export const headerLooksCredit = (key) => {
+  const k = String(key).toLowerCase();
+  return /\bcredit\b/.test(k) && /\bcards?\b/.test(k);
+};
+
+export function getRowTypeHint(row) {
+  for (const k of Object.keys(row || {})) {
+    const lk = k.toLowerCase();
+    if (
+      /\btype\b/.test(lk) ||
+      /\bcard\s*type\b/.test(lk) ||
+      /\bcategory\b/.test(lk) ||
+      /\bsegment\b/.test(lk)
+    ) {
+      const v = String(row[k] || "").toLowerCase();
+      if (/\bdebit\b/.test(v)) return "debit";
+      if (/\bcredit\b/.test(v)) return "credit";
+    }
+  }
+  return "";
+}
+
+export function valueLooksDebit(s) {
+  return /\bdebit\b/i.test(String(s || ""));
+}
+export function valueLooksCredit(s) {
+  return /\bcredit\b/i.test(String(s || ""));
+}
@@ -0,0 +1,1244 @@
+// src/offerEngine.js
+// Offers engine: loads the CSV feeds, lists payment instruments and matches offers to them.
+// Shared by the React app and Node tools, so it has no browser/React imports; relative
+// imports keep their ".js" extension for plain Node ESM.
+//
+//   const data = await loadFeeds((file) => fetchText(`/${file}`));  // feeds.json + its CSVs
+//   loadFailures(data)               -> { registry, cards, feeds } files that failed to load
+//   listInstruments(data)            -> { credit, debit, upi, netbanking } dropdown entries
+//   listOfferedInstruments(data)     -> card / UPI / bank names that actually have offers
+//   nearDuplicateNames(data)         -> [{ type, names }] likely one card, spelled two ways
+//   search(data, "hdfc regalia")     -> [{ type, label, items: [entry, …] }, …]
+//   findOffers(data, entry, options) -> { lists: { [feed.id]: wrappers, everyone }, expiredCount }
+//   listBanks(data)                  -> [{ bank, entries }] instruments grouped by issuing bank
+//   findBankOffers(data, bank, opts) -> { products: [{ entry, count, lists }], expiredCount }
+//   filterOffers(lists, sections, filters, booking) -> the filter bar's { lists, order, counts }
+import Papa from "papaparse";
+import {
+  BANKS,
+  LIST_FIELDS,
+  NO_ALIASES,
+  bankOf,
+  canonicalName,
+  compileCardAliases,
+  dedupWrappers,
+  entriesWhereKey,
+  firstField,
+  firstFieldByContains,
+  getCI,
+  getRowTypeHint,
+  getVariant,
+  headerLooksCredit,
+  headerLooksDebit,
+  makeEntry,
+  splitList,
+  toNorm,
+  valueLooksCredit,
+  valueLooksDebit,
+} from "./offerData.js";
+import {
+  asBinQuery,
+  binMatches,
+  computeSavings,
+  extractBins,
+  offerStatus,
+  parseDate,
+  parseOfferDates,
+  parseOfferTerms,
+} from "./offerTerms.js";
+
+/** -------------------- REGISTRY -------------------- */
+// public/feeds.json lists the offer sources; sections render in its order:
+// { cards, binMap, aliases, history, feeds: [{ id, site, label, file, kind, logo, terms, variantNote, columns, required }] }
+//   id        URL/DOM slug ("pvr"); also the key of the feed's list in findOffers()
+//   site      short name on offer cards; label: section heading name
+//   kind      "offers" (default) or "permanent" (inbuilt card benefits, credit cards only)
+//   logo      fallback image when a row has none; terms: "scroll" box or "plain" text
+//   columns   extra header aliases per LIST_FIELDS key, tried before the defaults
+//   required  LIST_FIELDS keys `npm run validate:feeds` insists on
+export const REGISTRY_FILE = "feeds.json";
+export const CARDS_FILE = "allCards.csv";
+/** Optional; a missing file or one without a BIN column just means T&C BINs only */
+export const BIN_MAP_FILE = "bin_map.csv";
+/** Optional; other spellings of instrument names (see compileCardAliases) */
+export const ALIASES_FILE = "card_aliases.csv";
+/** Optional; recorded feed versions for change tracking (see offerChanges.js) */
+export const HISTORY_FILE = "offer_history.json";
+
+/** findOffers() list of offers that need no instrument (never a feed id) */
+export const NON_PAYMENT_ID = "everyone";
+
+const TERMS_STYLES = ["scroll", "plain"];
+
+/** Validate feeds.json; bad entries are dropped and described in `problems` */
+export function parseRegistry(json) {
+  const problems = [];
+  const feeds = [];
+  const list = Array.isArray(json?.feeds) ? json.feeds : [];
+  if (!Array.isArray(json?.feeds)) problems.push('missing "feeds" array');
+
+  list.forEach((f, i) => {
+    const id = String(f?.id || "").trim();
+    if (!/^[a-z0-9-]+$/.test(id) || !f.file) {
+      problems.push(`feeds[${i}]: needs a lowercase "id" and a "file"`);
+      return;
+    }
+    if (id === NON_PAYMENT_ID || feeds.some((x) => x.id === id)) {
+      problems.push(`feeds[${i}]: id "${id}" is already taken`);
+      return;
+    }
+    const site = String(f.site || id);
+    feeds.push({
+      id,
+      site,
+      label: String(f.label || site),
+      file: String(f.file),
+      kind: f.kind === "permanent" ? "permanent" : "offers",
+      logo: f.logo ? String(f.logo) : "",
+      terms: TERMS_STYLES.includes(f.terms) ? f.terms : "plain",
+      variantNote: f.variantNote !== false,
+      columns: f.columns && typeof f.columns === "object" ? f.columns : {},
+      required: Array.isArray(f.required) ? f.required : [],
+    });
+  });
+
+  return {
+    cards: String(json?.cards || CARDS_FILE),
+    binMap: String(json?.binMap || BIN_MAP_FILE),
+    aliases: String(json?.aliases || ALIASES_FILE),
+    history: String(json?.history || HISTORY_FILE),
+    feeds,
+    problems,
+  };
+}
+
+const isPermanentFeed = (feed) => feed?.kind === "permanent";
+
+/** Inbuilt-benefit feeds name the card and its benefit instead of an offer title/description */
+const PERMANENT_FIELDS = {
+  title: [],
+  card: LIST_FIELDS.permanentCCName,
+  desc: LIST_FIELDS.permanentBenefit,
+};
+
+/** Header aliases for a logical field on one feed: its `columns` first, then the defaults */
+export function fieldAliases(feed, field) {
+  const defaults = (isPermanentFeed(feed) && PERMANENT_FIELDS[field]) || LIST_FIELDS[field] || [];
+  return [...(feed?.columns?.[field] || []), ...defaults];
+}
+
+/** Value of a logical field ("title", "desc", "link", …) on an offer wrapper's row */
+export const offerField = (wrapper, field) =>
+  firstField(wrapper.offer, fieldAliases(wrapper.feed, field));
+
+/** Pseudo-instrument for "offers that need no card / UPI / NetBanking" */
+export const NON_PAYMENT_ENTRY = {
+  type: "nonpayment",
+  display: "Offers without a payment card",
+  baseNorm: "nonpayment",
+};
+
+export const INSTRUMENT_TYPES = ["credit", "debit", "upi", "netbanking"];
+
+const INSTRUMENT_LABELS = {
+  credit: "Credit Cards",
+  debit: "Debit Cards",
+  upi: "UPI",
+  netbanking: "NetBanking",
+};
+
+const MAX_SUGGESTIONS = 50;
+
+const parseCsv = (text) => Papa.parse(String(text || ""), { header: true, skipEmptyLines: "greedy" }).data || [];
+
+/** Data set with no rows; what the app renders against until loadFeeds() resolves */
+export function emptyFeeds() {
+  return {
+    cards: [],
+    binMap: [],
+    aliases: NO_ALIASES,
+    feeds: [],
+    history: null,
+    errors: {},
+    cardsFile: CARDS_FILE,
+  };
+}
+
+function parseBinMap(text, aliases) {
+  const parsed = Papa.parse(String(text || ""), { header: true, skipEmptyLines: "greedy" });
+  if (!LIST_FIELDS.bin.some((f) => (parsed.meta.fields || []).includes(f))) return [];
+
+  const out = [];
+  for (const row of parsed.data || []) {
+    const bin = String(firstField(row, LIST_FIELDS.bin) || "").replace(/\D/g, "");
+    const name = firstField(row, LIST_FIELDS.binCardName);
+    if (bin.length < 6 || !name) continue;
+    const typeVal = firstField(row, LIST_FIELDS.binCardType);
+    const type = valueLooksDebit(typeVal) || valueLooksDebit(name) ? "debit" : "credit";
+    out.push({ bin, entry: makeEntry(name, type, aliases) });
+  }
+  return out;
+}
+
+/**
+ * Fetch feeds.json and every CSV it lists. `loadText(file)` resolves to a file's text
+ * (axios in the browser, fs in Node); pass `registry` to skip reading feeds.json.
+ * A file that fails to load comes back with no rows and its error message under
+ * `errors[file]`; the rest of the data set is still usable. `history` is the parsed
+ * offer_history.json, null when there is none.
+ */
+export async function loadFeeds(loadText, { registry } = {}) {
+  const errors = {};
+  const read = async (file, { optional = false } = {}) => {
+    try {
+      return await loadText(file);
+    } catch (e) {
+      if (!optional) errors[file] = e?.message || String(e);
+      return null;
+    }
+  };
+
+  let reg = registry;
+  if (!reg) {
+    const text = await read(REGISTRY_FILE);
+    try {
+      reg = text === null ? {} : typeof text === "string" ? JSON.parse(text) : text;
+    } catch (e) {
+      errors[REGISTRY_FILE] = e?.message || String(e);
+      reg = {};
+    }
+  }
+  const { cards, binMap, aliases, history, feeds, problems } = parseRegistry(reg);
+  if (problems.length && !errors[REGISTRY_FILE]) errors[REGISTRY_FILE] = problems.join("; ");
+
+  const [cardsText, binText, aliasText, historyText, ...feedTexts] = await Promise.all([
+    read(cards),
+    read(binMap, { optional: true }),
+    read(aliases, { optional: true }),
+    read(history, { optional: true }),
+    ...feeds.map((f) => read(f.file)),
+  ]);
+
+  let offerHistory = null;
+  try {
+    offerHistory = typeof historyText === "string" ? JSON.parse(historyText) : historyText;
+  } catch (e) {
+    errors[history] = e?.message || String(e);
+  }
+
+  const cardAliases = aliasText === null ? NO_ALIASES : compileCardAliases(parseCsv(aliasText));
+  return {
+    cards: parseCsv(cardsText),
+    binMap: parseBinMap(binText, cardAliases),
+    aliases: cardAliases,
+    feeds: feeds.map((f, i) => ({ ...f, rows: parseCsv(feedTexts[i]) })),
+    history: offerHistory,
+    errors,
+    cardsFile: cards,
+  };
+}
+
+/**
+ * What a partial load left out, for the UI to say so: `registry` when feeds.json gave no
+ * feeds at all, `cards` when the card list failed, and `feeds` by id. Values are the
+ * load error messages; null / {} when nothing failed.
+ */
+export function loadFailures(data) {
+  const { errors = {} } = data;
+  const feeds = {};
+  for (const feed of data.feeds) if (errors[feed.file]) feeds[feed.id] = errors[feed.file];
+  return {
+    registry: (!data.feeds.length && errors[REGISTRY_FILE]) || null,
+    cards: errors[data.cardsFile || CARDS_FILE] || null,
+    feeds,
+  };
+}
+
+const offerFeeds = (data) => (data?.feeds || []).filter((f) => !isPermanentFeed(f));
+
+/** -------------------- NETWORKS -------------------- */
+/** Card networks and the variants users can pick for them */
+export const CARD_NETWORKS = {
+  Visa: ["Classic", "Gold", "Platinum", "Signature", "Infinite"],
+  Mastercard: ["Standard", "Titanium", "Platinum", "World", "World Elite"],
+  RuPay: ["Classic", "Platinum", "Select"],
+  "American Express": [],
+  Diners: [],
+};
+
+const NETWORK_RE =
+  /\b(visa|master\s*card|rupay|amex|ameri?can\s+express|amercian\s+express|diners(?:\s+club)?)\b(?:\s+(world\s+elite|[a-z]+))?/gi;
+
+function canonicalNetwork(word) {
+  const w = String(word || "").toLowerCase();
+  if (w === "visa") return "Visa";
+  if (/^master\s*card$/.test(w)) return "Mastercard";
+  if (w === "rupay") return "RuPay";
+  if (w.startsWith("diners")) return "Diners";
+  return "American Express";
+}
+
+/** "VISA and American Express" -> { networks: ["Visa", "American Express"], variant: "" } */
+export function parseNetworkVariant(text) {
+  const networks = [];
+  let variant = "";
+  for (const m of String(text || "").matchAll(NETWORK_RE)) {
+    const network = canonicalNetwork(m[1]);
+    if (!networks.includes(network)) networks.push(network);
+    const v = (CARD_NETWORKS[network] || []).find(
+      (x) => x.toLowerCase() === String(m[2] || "").toLowerCase().replace(/\s+/g, " ")
+    );
+    if (v && !variant) variant = v;
+  }
+  return { networks, variant };
+}
+
+// Up to three words before "Bank (of …)" or "card(s)": where offer copy names the issuer.
+// Looking only there keeps short bank names ("yes", "au", "capital") in running text from
+// counting.
+const ISSUER_PHRASE_RE = /\b(?:[\w&.'-]+\s+){1,3}(?:bank(?:\s+of\s+[\w&.'-]+)?|cards?)\b/gi;
+const KNOWN_BANKS = new Set(BANKS.map(([bank]) => bank));
+const namesBank = (text) =>
+  Array.from(String(text).matchAll(ISSUER_PHRASE_RE)).some(([phrase]) =>
+    KNOWN_BANKS.has(bankOf(phrase))
+  );
+
+/**
+ * Offers aimed at a whole network tier ("Visa Infinite Card Offer", "with VISA Signature
+ * Cards"). Copy that also names a bank ("for HDFC Bank customers on Visa credit cards")
+ * is that bank's offer, not the network's, so it isn't network-wide.
+ */
+const NETWORK_WIDE_RE =
+  /(?:^|\b(?:any|all|with|on|using)\s+)(visa|master\s*card|rupay)\s+(?:(infinite|signature|platinum|world(?:\s+elite)?|select|classic|gold|titanium|standard)\s+)?(?:(?:debit|credit)(?:\s*\/\s*(?:debit|credit))?\s+)?cards?\b/i;
+const ROW_NETWORK_WIDE = new WeakMap();
+export function networkWideTarget(o) {
+  if (!o) return null;
+  if (!ROW_NETWORK_WIDE.has(o)) {
+    const text = [firstField(o, LIST_FIELDS.title), firstField(o, LIST_FIELDS.desc)]
+      .filter(Boolean)
+      .join(" \n ");
+    const m = !namesBank(text) && text.match(NETWORK_WIDE_RE);
+    const network = m ? canonicalNetwork(m[1]) : "";
+    const variant = m && m[2] ? parseNetworkVariant(`${m[1]} ${m[2]}`).variant : "";
+    ROW_NETWORK_WIDE.set(o, network ? { network, variant } : null);
+  }
+  return ROW_NETWORK_WIDE.get(o);
+}
+
+/**
+ * Does the user's picked network/variant satisfy the variant an offer row asks for?
+ * `have` is the user's "Network Variant", for the UI to word the reason itself.
+ */
+export function variantEligibility(wrapper, entry) {
+  if (!entry?.network || !wrapper.variantText) return { eligible: true, reason: "" };
+  const need = parseNetworkVariant(wrapper.variantText);
+  const mine = [entry.network, entry.variant].filter(Boolean).join(" ");
+  const ineligible = { eligible: false, reason: `Needs ${wrapper.variantText} (you have ${mine})`, have: mine };
+  if (need.networks.length && !need.networks.includes(entry.network)) return ineligible;
+  if (need.variant && entry.variant && need.variant !== entry.variant) return ineligible;
+  return { eligible: true, reason: "" };
+}
+
+/** Pre-fill network/variant from the card name ("Visa Celesta … Debit Card" -> Visa) */
+export function withNetworkGuess(entry) {
+  if (!entry || entry.network || (entry.type !== "credit" && entry.type !== "debit")) return entry;
+  const { networks, variant } = parseNetworkVariant(entry.display);
+  return networks.length === 1 ? { ...entry, network: networks[0], variant } : entry;
+}
+
+/** -------------------- OFFER ROWS -------------------- */
+/** Free text that carries an offer's terms (T&C, description or permanent benefit) */
+export function offerTermsText(wrapper) {
+  if (isPermanentFeed(wrapper.feed)) return offerField(wrapper, "desc") || "";
+  return getCI(wrapper.offer, "Terms and Conditions") || offerField(wrapper, "desc") || "";
+}
+
+/** parseOfferTerms() of an offer's T&C (cached per row object) */
+const ROW_TERMS = new WeakMap();
+export function offerTerms(wrapper) {
+  const o = wrapper.offer;
+  if (!o) return parseOfferTerms("");
+  if (!ROW_TERMS.has(o)) ROW_TERMS.set(o, parseOfferTerms(offerTermsText(wrapper)));
+  return ROW_TERMS.get(o);
+}
+
+/** BINs listed in an offer row's T&C (cached per row object) */
+const ROW_BINS = new WeakMap();
+export function rowBins(o) {
+  if (!o) return [];
+  if (!ROW_BINS.has(o)) {
+    ROW_BINS.set(o, extractBins(getCI(o, "Terms and Conditions") || firstField(o, LIST_FIELDS.desc)));
+  }
+  return ROW_BINS.get(o);
+}
+
+/** Row marked YES in the "Non-Payments-Offers" column */
+export function isNonPaymentOffer(o) {
+  return /^\s*yes\b/i.test(String(firstField(o, LIST_FIELDS.nonPayment) || ""));
+}
+
+/** Coupon code on an offer row, if any site's CSV carries one */
+export function offerCoupon(o) {
+  const code = firstField(o, LIST_FIELDS.coupon);
+  return code ? String(code).trim() : "";
+}
+
+/** { validFrom, validTill } from the CSV columns, else from the T&C text (cached per row) */
+const ROW_DATES = new WeakMap();
+export function offerDates(wrapper) {
+  const o = wrapper.offer;
+  if (!o) return { validFrom: null, validTill: null };
+  if (!ROW_DATES.has(o)) {
+    const fromText = parseOfferDates(offerTermsText(wrapper));
+    const from = parseDate(offerField(wrapper, "validFrom"));
+    const till = parseDate(offerField(wrapper, "validTill"));
+    ROW_DATES.set(o, {
+      validFrom: from || fromText.validFrom,
+      validTill: till
+        ? new Date(till.getFullYear(), till.getMonth(), till.getDate(), 23, 59, 59, 999)
+        : fromText.validTill,
+    });
+  }
+  return ROW_DATES.get(o);
+}
+
+/** Short label for an offer in lists (title, coupon code or card name) */
+export function offerLabel(wrapper) {
+  if (isPermanentFeed(wrapper.feed)) return offerField(wrapper, "card") || "Inbuilt card benefit";
+  return offerField(wrapper, "title") || offerCoupon(wrapper.offer) || `${wrapper.site} offer`;
+}
+
+const isExpired = (wrapper) => offerStatus(offerDates(wrapper)) === "expired";
+
+/**
+ * Rank offer wrappers by rupees saved on { tickets, amount }; ineligible ones go last and
+ * expired ones (listed with "show expired") are left out, as they save nothing today
+ */
+export function rankBySavings(wrappers, booking) {
+  return (wrappers || [])
+    .filter((w) => !isExpired(w))
+    .map((w) =>
+      w.variantIneligible
+        ? {
+            wrapper: w,
+            saving: 0,
+            eligible: false,
+            why: { code: "variant", need: w.variantText, have: w.variantHave },
+            estimate: false,
+          }
+        : { wrapper: w, ...computeSavings(offerTerms(w), booking) }
+    )
+    .sort(
+      (a, b) =>
+        Number(b.eligible) - Number(a.eligible) ||
+        b.saving - a.saving ||
+        Number(a.estimate) - Number(b.estimate)
+    );
+}
+
+/**
+ * Rupee value used to pick the best offer: savings on the booking if given, else the
+ * headline amount; 0 once the offer has expired
+ */
+export function offerValue(wrapper, booking) {
+  if (isExpired(wrapper)) return 0;
+  const terms = offerTerms(wrapper);
+  if (booking?.amount > 0) return computeSavings(terms, booking).saving;
+  return terms.flatAmount ?? terms.maxCap ?? 0;
+}
+
+/** -------------------- FILTER & SORT -------------------- */
+/**
+ * Result filters: `hiddenSites` (section ids left out), `coupon` ("any" | "coupon" |
+ * "auto"), `bogo` (Buy 1 Get 1 only), `minDiscount` (percent; flat-amount offers state
+ * none, so any minimum hides them) and `sort` ("default" keeps feeds.json and CSV order).
+ */
+export const DEFAULT_OFFER_FILTERS = {
+  hiddenSites: [],
+  coupon: "any",
+  bogo: false,
+  minDiscount: 0,
+  sort: "default",
+};
+export const MIN_DISCOUNT_STEPS = [0, 10, 20, 25, 50];
+export const OFFER_SORTS = ["default", "savings", "discount", "site"];
+
+// Inbuilt benefits never need a code, whatever their CSV's columns hold
+const hasCoupon = (w) => !isPermanentFeed(w.feed) && Boolean(offerCoupon(w.offer));
+
+/** Discount percent of an offer: the stated one, 50 for Buy 1 Get 1, else null */
+function discountPercent(wrapper) {
+  const terms = offerTerms(wrapper);
+  return terms.bogo ? 50 : terms.discountPercent;
+}
+
+// Each filter, as a test on one offer; counts apply every filter but the one counted
+const OFFER_TESTS = {
+  coupon: (w, f) => f.coupon === "any" || (f.coupon === "coupon") === hasCoupon(w),
+  bogo: (w, f) => !f.bogo || offerTerms(w).bogo,
+  minDiscount: (w, f) => !f.minDiscount || (discountPercent(w) ?? -1) >= f.minDiscount,
+};
+const passes = (w, filters, except) =>
+  Object.entries(OFFER_TESTS).every(([key, test]) => key === except || test(w, filters));
+
+/**
+ * Apply result filters to findOffers() lists, for `sections` ([{ id, label }] in display
+ * order). Returns the kept `lists`, the section `order` to show them in, and live `counts`
+ * for the filter bar: how many offers each choice would leave, given the other filters.
+ */
+export function filterOffers(lists, sections, filters = DEFAULT_OFFER_FILTERS, booking) {
+  const f = { ...DEFAULT_OFFER_FILTERS, ...filters };
+  const hidden = new Set(f.hiddenSites);
+  const shown = sections.filter((sec) => !hidden.has(sec.id));
+  const all = (sec) => lists[sec.id] || [];
+
+  const counts = { sites: {}, coupon: {}, bogo: 0, minDiscount: {}, total: 0 };
+  for (const sec of sections) counts.sites[sec.id] = all(sec).filter((w) => passes(w, f)).length;
+  const inShown = shown.flatMap(all);
+  for (const coupon of ["any", "coupon", "auto"]) {
+    counts.coupon[coupon] = inShown.filter((w) => passes(w, { ...f, coupon })).length;
+  }
+  counts.bogo = inShown.filter((w) => passes(w, { ...f, bogo: true })).length;
+  for (const minDiscount of MIN_DISCOUNT_STEPS) {
+    counts.minDiscount[minDiscount] = inShown.filter((w) => passes(w, { ...f, minDiscount })).length;
+  }
+
+  const score =
+    f.sort === "savings"
+      ? (w) => offerValue(w, booking)
+      : f.sort === "discount"
+      ? (w) => discountPercent(w) ?? 0
+      : null;
+  const out = {};
+  for (const sec of sections) {
+    const kept = hidden.has(sec.id) ? [] : all(sec).filter((w) => passes(w, f));
+    out[sec.id] = score
+      ? kept
+          .map((w) => ({ w, value: score(w) }))
+          .sort((a, b) => b.value - a.value)
+          .map(({ w }) => w)
+      : kept;
+    counts.total += out[sec.id].length;
+  }
+
+  let order = shown.map((sec) => sec.id);
+  if (f.sort === "site") {
+    order = shown
+      .slice()
+      .sort((a, b) => String(a.label).localeCompare(String(b.label)))
+      .map((sec) => sec.id);
+  } else if (score) {
+    const best = (id) => (out[id].length ? score(out[id][0]) : -1);
+    order = order.slice().sort((a, b) => best(b) - best(a));
+  }
+  return { lists: out, order, counts };
+}
+
+/** -------------------- INSTRUMENTS -------------------- */
+/** Synthetic dropdown entry for "every offer whose T&C lists this BIN" */
+export const makeBinEntry = (bin) => ({
+  type: "bin",
+  bin,
+  display: `All offers valid on BIN ${bin}`,
+  baseNorm: `bin ${bin}`,
+});
+
+/** Pseudo-instrument for "every card, UPI handle and NetBanking login of one bank" */
+export const makeBankEntry = (bank, cards = 0) => ({
+  type: "bank",
+  bank,
+  display: bank,
+  baseNorm: `bank ${toNorm(bank)}`,
+  cards,
+});
+
+/** Add every name in a CSV list cell to a baseNorm -> display map (first spelling wins) */
+function harvestList(val, targetMap, aliases) {
+  for (const raw of splitList(val)) {
+    const base = canonicalName(raw, aliases);
+    const baseNorm = toNorm(base);
+    if (baseNorm) targetMap.set(baseNorm, targetMap.get(baseNorm) || base);
+  }
+}
+
+const sortedNames = (map) => Array.from(map.values()).sort((a, b) => a.localeCompare(b));
+
+const upiCell = (o, feed) => firstField(o, fieldAliases(feed, "upi")) || firstFieldByContains(o, "upi");
+const netbankingCell = (o, feed) =>
+  firstField(o, fieldAliases(feed, "netbanking")) ||
+  firstFieldByContains(o, "netbank") ||
+  firstFieldByContains(o, "net banking");
+
+const INSTRUMENTS = new WeakMap();
+/**
+ * Dropdown entries per type: credit/debit from allCards.csv, UPI/NetBanking from
+ * allCards.csv plus any offer rows that name apps or banks it doesn't list.
+ */
+export function listInstruments(data) {
+  if (INSTRUMENTS.has(data)) return INSTRUMENTS.get(data);
+  const aliases = data.aliases || NO_ALIASES;
+
+  const maps = { credit: new Map(), debit: new Map(), upi: new Map(), netbanking: new Map() };
+  for (const row of data.cards || []) {
+    for (const type of INSTRUMENT_TYPES) {
+      harvestList(firstField(row, LIST_FIELDS[type]), maps[type], aliases);
+    }
+  }
+  const out = {};
+  for (const type of INSTRUMENT_TYPES) {
+    out[type] = sortedNames(maps[type]).map((d) => makeEntry(d, type, aliases));
+  }
+
+  const fromOffers = { upi: new Map(), netbanking: new Map() };
+  for (const feed of offerFeeds(data)) {
+    for (const o of feed.rows) {
+      const upi = upiCell(o, feed);
+      if (upi) harvestList(upi, fromOffers.upi, aliases);
+      const nb = netbankingCell(o, feed);
+      if (nb) harvestList(nb, fromOffers.netbanking, aliases);
+    }
+  }
+  for (const type of ["upi", "netbanking"]) {
+    const m = new Map();
+    out[type].forEach((e) => e?.baseNorm && m.set(e.baseNorm, e));
+    sortedNames(fromOffers[type])
+      .map((d) => makeEntry(d, type, aliases))
+      .forEach((e) => {
+        if (e?.baseNorm && !m.has(e.baseNorm)) m.set(e.baseNorm, e);
+      });
+    out[type] = Array.from(m.values()).sort((a, b) => a.display.localeCompare(b.display));
+  }
+
+  INSTRUMENTS.set(data, out);
+  return out;
+}
+
+const BANK_LIST = new WeakMap();
+/**
+ * Banks behind the dropdown entries (see bankOf()), sorted by name:
+ * [{ bank, entries: [entry, …] }], entries in INSTRUMENT_TYPES order
+ */
+export function listBanks(data) {
+  if (BANK_LIST.has(data)) return BANK_LIST.get(data);
+  const byBank = new Map();
+  const instruments = listInstruments(data);
+  for (const type of INSTRUMENT_TYPES) {
+    for (const entry of instruments[type]) {
+      const bank = bankOf(entry.display);
+      if (!bank) continue;
+      if (!byBank.has(bank)) byBank.set(bank, []);
+      byBank.get(bank).push(entry);
+    }
+  }
+  const out = Array.from(byBank, ([bank, entries]) => ({ bank, entries })).sort((a, b) =>
+    a.bank.localeCompare(b.bank)
+  );
+  BANK_LIST.set(data, out);
+  return out;
+}
+
+const OFFERED = new WeakMap();
+/**
+ * Names that appear on at least one offer row, per type, plus labels of offers that
+ * need no instrument: { credit, debit, upi, netbanking, nonPayment } (sorted strings)
+ */
+export function listOfferedInstruments(data) {
+  if (OFFERED.has(data)) return OFFERED.get(data);
+  const aliases = data.aliases || NO_ALIASES;
+
+  const ccMap = new Map();
+  const dcMap = new Map();
+  const upiMap = new Map();
+  const nbMap = new Map();
+
+  const harvestMixed = (val) => {
+    for (const raw of splitList(val)) {
+      const base = canonicalName(raw, aliases);
+      const baseNorm = toNorm(base);
+      const lower = String(raw).toLowerCase();
+      if (!baseNorm) continue;
+      if (/\bdebit\b/.test(lower)) dcMap.set(baseNorm, dcMap.get(baseNorm) || base);
+      else if (/\bcredit\b/.test(lower)) ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
+    }
+  };
+
+  const harvestByValueScan = (row) => {
+    for (const v of Object.values(row || {})) {
+      if (!v || typeof v !== "string") continue;
+      const tokens = splitList(v).filter((t) => /\bcard\b/i.test(t));
+      for (const tok of tokens) {
+        const base = canonicalName(tok, aliases);
+        const baseNorm = toNorm(base);
+        if (!baseNorm) continue;
+        if (valueLooksDebit(tok)) dcMap.set(baseNorm, dcMap.get(baseNorm) || base);
+        else if (valueLooksCredit(tok)) ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
+      }
+    }
+  };
+
+  for (const feed of data.feeds || []) {
+    for (const o of feed.rows) {
+      if (isPermanentFeed(feed)) {
+        const nm =
+          firstField(o, fieldAliases(feed, "card")) ||
+          firstFieldByContains(o, "credit card name");
+        const base = canonicalName(nm, aliases);
+        const baseNorm = toNorm(base);
+        if (baseNorm) ccMap.set(baseNorm, ccMap.get(baseNorm) || base);
+        continue;
+      }
+
+      const debitHeaders = entriesWhereKey(o, (k) => {
+        const lk = k.toLowerCase();
+        return /\bdebit\b/.test(lk) && /\bcards?\b/.test(lk);
+      });
+      const creditHeaders = entriesWhereKey(o, (k) => {
+        const lk = k.toLowerCase();
+        return /\bcredit\b/.test(lk) && /\bcards?\b/.test(lk);
+      });
+      const upiHeaders = entriesWhereKey(o, (k) => /\bupi\b/i.test(k));
+      const nbHeaders = entriesWhereKey(
+        o,
+        (k) => /\bnetbank\b/i.test(k) || /net\s*bank/i.test(k)
+      );
+
+      debitHeaders.forEach(({ value }) => harvestList(value, dcMap, aliases));
+      creditHeaders.forEach(({ value }) => harvestList(value, ccMap, aliases));
+      upiHeaders.forEach(({ value }) => harvestList(value, upiMap, aliases));
+      nbHeaders.forEach(({ value }) => harvestList(value, nbMap, aliases));
+
+      // Headers a registry entry maps explicitly, whatever they're called
+      const mapped = { credit: ccMap, debit: dcMap, upi: upiMap, netbanking: nbMap };
+      for (const [type, target] of Object.entries(mapped)) {
+        for (const h of feed.columns?.[type] || []) harvestList(o[h], target, aliases);
+      }
+
+      const mixedHeaders = entriesWhereKey(
+        o,
+        (k) => /\beligible\b/i.test(k) && /\bcards?\b/i.test(k)
+      ).filter(({ key }) => !headerLooksDebit(key) && !headerLooksCredit(key));
+
+      if (mixedHeaders.length) mixedHeaders.forEach(({ value }) => harvestMixed(value));
+
+      if (!debitHeaders.length && !creditHeaders.length && !mixedHeaders.length) {
+        harvestByValueScan(o);
+      }
+    }
+  }
+
+  const nonPayment = offerFeeds(data).flatMap((feed) =>
+    feed.rows.filter(isNonPaymentOffer).map((offer) => offerLabel({ offer, feed, site: feed.site }))
+  );
+
+  const out = {
+    credit: sortedNames(ccMap),
+    debit: sortedNames(dcMap),
+    upi: sortedNames(upiMap),
+    netbanking: sortedNames(nbMap),
+    nonPayment: Array.from(new Set(nonPayment)),
+  };
+  OFFERED.set(data, out);
+  return out;
+}
+
+// "AU Bank Altura Plus Credit Card" and "AU Altura Plus Credit Card" -> "aualturaplus"
+const looseCardKey = (name) =>
+  toNorm(String(name).replace(/\+/g, " plus "))
+    .replace(/\b(?:bank|card|credit|debit|the)\b/g, "")
+    .replace(/\s+/g, "");
+
+/**
+ * Credit/debit card names, from allCards.csv and the offer rows, that differ only in
+ * "Bank" / "Card" words, spacing or punctuation: [{ type, names }]. Each group is probably
+ * one card spelled two ways that the alias table doesn't tie together yet.
+ */
+export function nearDuplicateNames(data) {
+  const instruments = listInstruments(data);
+  const offered = listOfferedInstruments(data);
+  const out = [];
+  for (const type of ["credit", "debit"]) {
+    const groups = new Map(); // loose key -> Map(baseNorm -> display)
+    for (const name of [...instruments[type].map((e) => e.display), ...offered[type]]) {
+      const key = looseCardKey(name);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, new Map());
+      const names = groups.get(key);
+      if (!names.has(toNorm(name))) names.set(toNorm(name), name);
+    }
+    for (const names of groups.values()) {
+      if (names.size > 1) out.push({ type, names: [...names.values()].sort((a, b) => a.localeCompare(b)) });
+    }
+  }
+  return out;
+}
+
+/** -------------------- SEARCH -------------------- */
+/** Levenshtein distance */
+export function lev(a, b) {
+  a = toNorm(a);
+  b = toNorm(b);
+  const n = a.length;
+  const m = b.length;
+  if (!n) return m;
+  if (!m) return n;
+  const d = Array.from({ length: n + 1 }, () => Array(m + 1).fill(0));
+  for (let i = 0; i <= n; i++) d[i][0] = i;
+  for (let j = 0; j <= m; j++) d[0][j] = j;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+    }
+  }
+  return d[n][m];
+}
+
+/**
+ * Levenshtein distance of two normalized strings, or `max + 1` as soon as it is known
+ * to exceed `max`. Two rows, and only the diagonal band |i - j| <= max is filled.
+ */
+function boundedLev(a, b, max) {
+  const n = a.length;
+  const m = b.length;
+  if (Math.abs(n - m) > max) return max + 1;
+  if (!n || !m) return Math.max(n, m);
+
+  let prev = new Array(m + 1);
+  let cur = new Array(m + 1);
+  for (let j = 0; j <= m; j++) prev[j] = j;
+  for (let i = 1; i <= n; i++) {
+    const from = Math.max(1, i - max);
+    const to = Math.min(m, i + max);
+    cur.fill(max + 1);
+    cur[0] = i;
+    let rowMin = from > 1 ? max + 1 : i;
+    for (let j = from; j <= to; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    [prev, cur] = [cur, prev];
+  }
+  return Math.min(prev[m], max + 1);
+}
+
+/** Every 3-character slice of a word */
+function trigrams(word) {
+  const out = new Set();
+  for (let i = 0; i + 3 <= word.length; i++) out.add(word.slice(i, i + 3));
+  return out;
+}
+
+/**
+ * Search structures for one instrument list: each entry's normalized name and words,
+ * computed once, and a trigram index over the distinct words, so a query only scores
+ * entries that share a word with it.
+ */
+function indexEntries(entries) {
+  const items = entries.map((entry) => ({
+    entry,
+    norm: toNorm(entry.display),
+    hasSelect: hasSelectWord(entry.display),
+  }));
+
+  const words = new Map(); // word -> indexes of items containing it
+  items.forEach((item, i) => {
+    for (const w of item.norm.split(" ")) {
+      if (!w) continue;
+      if (!words.has(w)) words.set(w, []);
+      const ids = words.get(w);
+      if (ids[ids.length - 1] !== i) ids.push(i);
+    }
+  });
+
+  const grams = new Map(); // trigram -> words containing it
+  for (const w of words.keys()) {
+    for (const g of trigrams(w)) {
+      if (!grams.has(g)) grams.set(g, []);
+      grams.get(g).push(w);
+    }
+  }
+  return { items, words, grams, selectIds: items.flatMap((it, i) => (it.hasSelect ? [i] : [])) };
+}
+
+/** Indexed words that contain `qWord` (a trigram lookup, or a scan for 1–2 letters) */
+function wordsContaining(index, qWord) {
+  if (qWord.length < 3) return [...index.words.keys()].filter((w) => w.includes(qWord));
+  let pool = null;
+  for (const g of trigrams(qWord)) {
+    const list = index.grams.get(g);
+    if (!list) return [];
+    if (!pool || list.length < pool.length) pool = list;
+  }
+  return pool.filter((w) => w.includes(qWord));
+}
+
+const SEARCH_INDEX = new WeakMap();
+/**
+ * Per-type search index over listInstruments(data), built on first use and cached per
+ * data set; the app builds it as soon as the feeds load so the first keystroke is cheap.
+ */
+export function buildSearchIndex(data) {
+  if (SEARCH_INDEX.has(data)) return SEARCH_INDEX.get(data);
+  const instruments = listInstruments(data);
+  const out = {};
+  for (const type of INSTRUMENT_TYPES) out[type] = indexEntries(instruments[type]);
+  SEARCH_INDEX.set(data, out);
+  return out;
+}
+
+/**
+ * Ranked entries of one indexed list for a query. Score: 100 when the name contains the
+ * query, else 70% share of query words found inside name words + 30% edit similarity;
+ * kept when the name contains the query, the score beats 0.3, or (`selectLike`) the
+ * name has a "Select"-like word.
+ */
+function rankIndexed(index, { qNorm, qLower, selectLike }, limit) {
+  const qWords = qNorm.split(" ").filter(Boolean);
+
+  // item index -> how many query words appear inside one of its words
+  const matching = new Map();
+  const hitsByWord = new Map();
+  for (const qw of qWords) {
+    if (!hitsByWord.has(qw)) {
+      const ids = new Set();
+      for (const w of wordsContaining(index, qw)) index.words.get(w).forEach((i) => ids.add(i));
+      hitsByWord.set(qw, ids);
+    }
+    hitsByWord.get(qw).forEach((i) => matching.set(i, (matching.get(i) || 0) + 1));
+  }
+  if (selectLike) index.selectIds.forEach((i) => matching.has(i) || matching.set(i, 0));
+
+  const ranked = [];
+  for (const [i, hits] of matching) {
+    const { entry, norm, hasSelect } = index.items[i];
+    const inc = norm.includes(qLower);
+    let score = 100;
+    if (!norm.includes(qNorm)) {
+      const share = hits / Math.max(1, qWords.length);
+      const longest = Math.max(qNorm.length, norm.length);
+      // A distance above this can't lift the score past 0.3, so stop counting there
+      const max =
+        selectLike && hasSelect ? longest : Math.min(longest, Math.floor((7 / 3) * share * longest) + 1);
+      const sim = 1 - boundedLev(qNorm, norm, max) / longest;
+      score = share * 0.7 + sim * 0.3;
+    }
+    if (inc || score > 0.3 || (selectLike && hasSelect)) ranked.push({ entry, score });
+  }
+
+  return ranked
+    .sort((a, b) => b.score - a.score || a.entry.display.localeCompare(b.entry.display))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+/** Does the query contain a word similar to "select"? (handles "selct", "selet", etc.) */
+function hasSelectLikeWord(text) {
+  const qs = toNorm(text);
+  if (!qs) return false;
+  const words = qs.split(" ").filter(Boolean);
+  for (const w of words) {
+    if (w === "select") return true;
+    // allow small typos: distance <= 2
+    if (lev(w, "select") <= 2) return true;
+  }
+  return false;
+}
+
+const hasSelectWord = (label) =>
+  toNorm(label)
+    .split(" ")
+    .filter(Boolean)
+    .some((w) => w === "select" || lev(w, "select") <= 1);
+
+/** Banks whose name or a short name starts with the query ("hdfc", "kotak bank", "bank of") */
+function bankSection(data, qNorm, limit) {
+  if (qNorm.length < 2) return null;
+  const aliases = new Map(BANKS);
+  const items = listBanks(data)
+    .filter(({ bank }) =>
+      [toNorm(bank), ...(aliases.get(bank) || [])].some(
+        (name) => name.startsWith(qNorm) || qNorm === `${name} bank`
+      )
+    )
+    .slice(0, limit)
+    .map(({ bank, entries }) => makeBankEntry(bank, entries.length));
+  return items.length ? { type: "bank", label: "Banks", items } : null;
+}
+
+/** Suggestions for a BIN query: the BIN itself (T&C matches) + cards it maps to */
+function binSections(data, bin) {
+  const cc = new Map();
+  const dc = new Map();
+  const add = (entry) => {
+    const target = entry.type === "debit" ? dc : cc;
+    if (entry.baseNorm && !target.has(entry.baseNorm)) target.set(entry.baseNorm, entry);
+  };
+
+  for (const r of data.binMap || []) if (binMatches(bin, r.bin)) add(r.entry);
+
+  let termsHit = false;
+  for (const feed of offerFeeds(data)) {
+    for (const o of feed.rows) {
+      if (!rowBins(o).some((b) => binMatches(bin, b))) continue;
+      termsHit = true;
+      for (const type of ["credit", "debit"]) {
+        splitList(firstField(o, fieldAliases(feed, type))).forEach((raw) =>
+          add(makeEntry(raw, type, data.aliases))
+        );
+      }
+    }
+  }
+
+  const out = [];
+  if (termsHit) out.push({ type: "bin", label: `BIN ${bin}`, items: [makeBinEntry(bin)] });
+  if (cc.size) out.push({ type: "credit", label: INSTRUMENT_LABELS.credit, items: [...cc.values()] });
+  if (dc.size) out.push({ type: "debit", label: INSTRUMENT_LABELS.debit, items: [...dc.values()] });
+  return out;
+}
+
+/**
+ * Dropdown suggestions for free text, grouped by instrument type:
+ * [{ type, label, items: [entry, …] }]. Digits-only queries are treated as a card BIN;
+ * "upi" / "netbanking" in the query bring those groups to the top; a bank's name puts a
+ * "Banks" group (makeBankEntry() items) first.
+ */
+export function search(data, query, { limit = MAX_SUGGESTIONS } = {}) {
+  const trimmed = String(query || "").trim();
+  if (!trimmed) return [];
+
+  // Digits only -> treat as the first 6–8 digits of a card number
+  const binQuery = asBinQuery(trimmed);
+  if (binQuery) return binSections(data, binQuery);
+
+  const instruments = listInstruments(data);
+  const index = buildSearchIndex(data);
+  const qNorm = toNorm(trimmed);
+  const queryHasSelectLike = hasSelectLikeWord(trimmed);
+  const q = { qNorm, qLower: trimmed.toLowerCase(), selectLike: queryHasSelectLike };
+  const scored = (type) => (qNorm ? rankIndexed(index[type], q, limit) : []);
+
+  // Only "upi" / "netbanking" typed -> list every entry of that type
+  const isNetBankingWord = qNorm === "netbanking" || qNorm === "net banking";
+  const lists = {
+    credit: scored("credit"),
+    debit: scored("debit"),
+    upi: qNorm === "upi" ? instruments.upi.slice(0, limit) : scored("upi"),
+    netbanking: isNetBankingWord ? instruments.netbanking.slice(0, limit) : scored("netbanking"),
+  };
+
+  // Query looks like "select" -> "Select" cards go to the top
+  if (queryHasSelectLike) {
+    for (const type of ["credit", "debit"]) {
+      lists[type] = [
+        ...lists[type].filter((e) => hasSelectWord(e.display)),
+        ...lists[type].filter((e) => !hasSelectWord(e.display)),
+      ];
+    }
+  }
+
+  const mentionsUPI = qNorm === "upi" || /\bupi\b/i.test(trimmed);
+  const mentionsNetBanking = isNetBankingWord || /net\s*bank/i.test(trimmed);
+  const order = mentionsNetBanking
+    ? ["netbanking", "upi", "credit", "debit"]
+    : mentionsUPI
+    ? ["upi", "netbanking", "credit", "debit"]
+    : INSTRUMENT_TYPES;
+
+  const sections = order
+    .filter((type) => lists[type].length)
+    .map((type) => ({ type, label: INSTRUMENT_LABELS[type], items: lists[type] }));
+  const banks = bankSection(data, qNorm, limit);
+  return banks ? [banks, ...sections] : sections;
+}
+
+/** -------------------- MATCHING -------------------- */
+/** Names an offer row lists for one instrument type (header aliases, then fuzzy fallbacks) */
+function rowInstrumentNames(o, type, feed) {
+  if (type === "permanent") {
+    const nm =
+      firstField(o, fieldAliases(feed, "card")) ||
+      firstFieldByContains(o, "credit card name");
+    return nm ? [nm] : [];
+  }
+  if (type === "upi") return splitList(upiCell(o, feed));
+  if (type === "netbanking") return splitList(netbankingCell(o, feed));
+  if (type === "debit") {
+    const dcExplicit =
+      firstField(o, fieldAliases(feed, "debit")) ||
+      firstFieldByContains(o, "eligible debit") ||
+      firstFieldByContains(o, "debit card");
+    let dc = dcExplicit ? splitList(dcExplicit) : [];
+
+    if (!dc.length) {
+      const typeHint = getRowTypeHint(o);
+      const mixed =
+        firstFieldByContains(o, "eligible cards") ||
+        firstFieldByContains(o, "cards");
+      if (mixed && typeHint === "debit") dc = splitList(mixed);
+    }
+    if (!dc.length) {
+      dc = Object.values(o || {})
+        .filter((v) => typeof v === "string")
+        .flatMap((v) => splitList(v))
+        .filter((t) => /\bdebit\b/i.test(t));
+    }
+    return dc;
+  }
+  const cc =
+    firstField(o, fieldAliases(feed, "credit")) ||
+    firstFieldByContains(o, "eligible credit") ||
+    firstFieldByContains(o, "credit card") ||
+    firstFieldByContains(o, "eligible cards");
+  return splitList(cc);
+}
+
+/** Every instrument an offer row names, of any type, canonically spelled and sorted */
+export function offerInstrumentNames(o, feed, aliases = NO_ALIASES) {
+  const names = new Set();
+  for (const type of isPermanentFeed(feed) ? ["permanent"] : INSTRUMENT_TYPES) {
+    for (const { name, baseNorm } of rowInstrumentKeys(o, type, feed, aliases)) {
+      if (baseNorm) names.add(name);
+    }
+  }
+  return Array.from(names).sort((a, b) => a.localeCompare(b));
+}
+
+/** rowInstrumentNames() as [{ name, baseNorm, variant }] (cached per row object and type) */
+const ROW_NAMES = new WeakMap();
+function rowInstrumentKeys(o, type, feed, aliases) {
+  if (!ROW_NAMES.has(o)) ROW_NAMES.set(o, {});
+  const byType = ROW_NAMES.get(o);
+  if (!byType[type]) {
+    byType[type] = rowInstrumentNames(o, type, feed).map((raw) => {
+      const name = canonicalName(raw, aliases);
+      return { name, baseNorm: toNorm(name), variant: getVariant(raw) };
+    });
+  }
+  return byType[type];
+}
+
+/** Offer wrappers ({ offer, feed, site, variantText, matchType, networkWide? }) for one feed */
+function matchRows(feed, type, entry, aliases = NO_ALIASES) {
+  if (!entry) return [];
+  const { site } = feed;
+  const out = [];
+  for (const o of feed.rows || []) {
+    if (entry.type === "bin") {
+      if (rowBins(o).some((b) => binMatches(entry.bin, b))) {
+        out.push({ offer: o, feed, site, variantText: "", matchType: "bin" });
+      }
+      continue;
+    }
+    if (entry.type === "nonpayment") {
+      if (isNonPaymentOffer(o)) {
+        out.push({ offer: o, feed, site, variantText: "", matchType: "nonpayment" });
+      }
+      continue;
+    }
+
+    const hit = rowInstrumentKeys(o, type, feed, aliases).find((k) => k.baseNorm === entry.baseNorm);
+    if (hit) {
+      out.push({ offer: o, feed, site, variantText: hit.variant || "", matchType: type });
+      continue;
+    }
+
+    // "any Visa Infinite card" style offers apply to every card on that network tier
+    const nw = (type === "credit" || type === "debit") && entry.network ? networkWideTarget(o) : null;
+    if (nw && nw.network === entry.network && (!nw.variant || nw.variant === entry.variant)) {
+      out.push({
+        offer: o,
+        feed,
+        site,
+        variantText: [nw.network, nw.variant].filter(Boolean).join(" "),
+        matchType: type,
+        networkWide: true,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Deduped offers for one instrument ({ type, display, baseNorm, network?, variant? }):
+ * `lists[feed.id]` per registry feed plus `lists.everyone` (offers anyone can use), and the
+ * number of expired matches in `expiredCount`. Expired offers are dropped unless
+ * `showExpired`; offers for another network/variant carry `variantIneligible` (and the
+ * user's `variantHave`) and sort last, or are dropped with `hideOtherVariants`.
+ * `everyone: false` leaves `lists.everyone` empty.
+ */
+export function findOffers(
+  data,
+  entry,
+  { showExpired = false, hideOtherVariants = false, everyone = true, now = new Date() } = {}
+) {
+  const isInstrument = INSTRUMENT_TYPES.includes(entry?.type);
+  const matchType = isInstrument ? entry.type : "credit";
+  const aliases = data.aliases || NO_ALIASES;
+  // An entry from a shared link may use another spelling of the card
+  const target = isInstrument
+    ? { ...entry, baseNorm: toNorm(canonicalName(entry.display, aliases)) || entry.baseNorm }
+    : entry;
+  const seen = new Set();
+  const lists = {};
+
+  for (const feed of data.feeds || []) {
+    lists[feed.id] = isPermanentFeed(feed)
+      ? entry?.type === "credit"
+        ? dedupWrappers(matchRows(feed, "permanent", target, aliases), seen)
+        : []
+      : dedupWrappers(matchRows(feed, matchType, target, aliases), seen);
+  }
+
+  // Shown alongside every selection; a "nonpayment" selection already lists them per site
+  lists[NON_PAYMENT_ID] =
+    everyone && entry && entry.type !== "nonpayment"
+      ? dedupWrappers(
+          offerFeeds(data).flatMap((feed) => matchRows(feed, "", NON_PAYMENT_ENTRY)),
+          seen
+        )
+      : [];
+
+  let expiredCount = 0;
+  for (const key of Object.keys(lists)) {
+    const live = lists[key].filter((w) => offerStatus(offerDates(w), now) !== "expired");
+    expiredCount += lists[key].length - live.length;
+    if (!showExpired) lists[key] = live;
+
+    // Offers tied to a different network/variant than the user's card
+    lists[key] = lists[key].map((w) => {
+      const { eligible, reason, have } = variantEligibility(w, entry);
+      return eligible ? w : { ...w, variantIneligible: reason, variantHave: have };
+    });
+    lists[key] = hideOtherVariants
+      ? lists[key].filter((w) => !w.variantIneligible)
+      : [
+          ...lists[key].filter((w) => !w.variantIneligible),
+          ...lists[key].filter((w) => w.variantIneligible),
+        ];
+  }
+  return { lists, expiredCount };
+}
+
+/**
+ * A bank's offers grouped by product: findOffers() for each of its instruments (see
+ * listBanks()), most offers first: { products: [{ entry, count, lists }], expiredCount }.
+ * Offers that need no card are left out; they aren't the bank's.
+ */
+export function findBankOffers(data, bank, options = {}) {
+  const entries = listBanks(data).find((b) => b.bank === bank)?.entries || [];
+  let expiredCount = 0;
+  const products = entries.map((entry) => {
+    const res = findOffers(data, entry, { ...options, everyone: false });
+    expiredCount += res.expiredCount;
+    const count = Object.values(res.lists).reduce((n, list) => n + list.length, 0);
+    return { entry, count, lists: res.lists };
+  });
+  products.sort((a, b) => b.count - a.count || a.entry.display.localeCompare(b.entry.display));
+  return { products, expiredCount };
+}
@@ -0,0 +1,549 @@
+import fs from "fs";
+import path from "path";
+import {
+  INSTRUMENT_TYPES,
+  NON_PAYMENT_ENTRY,
+  buildSearchIndex,
+  NON_PAYMENT_ID,
+  emptyFeeds,
+  filterOffers,
+  findBankOffers,
+  findOffers,
+  listBanks,
+  nearDuplicateNames,
+  listInstruments,
+  lev,
+  listOfferedInstruments,
+  loadFailures,
+  offerTerms,
+  offerValue,
+  loadFeeds,
+  rankBySavings,
+  parseRegistry,
+  rowBins,
+  search,
+} from "./offerEngine";
+import { bankOf, canonicalName, compileCardAliases, offerKey, splitList, toNorm } from "./offerData";
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const readPublic = (file) => fs.promises.readFile(path.join(PUBLIC_DIR, file), "utf8");
+
+const readRegistry = async () => JSON.parse(await readPublic("feeds.json"));
+const allOffers = (res) => Object.values(res.lists).flat();
+const firstSuggestion = (data, query) => search(data, query)[0]?.items[0];
+
+let data;
+beforeAll(async () => {
+  data = await loadFeeds(readPublic);
+});
+
+describe("loadFeeds", () => {
+  test("parses every feed listed in feeds.json", async () => {
+    expect(data.errors).toEqual({});
+    expect(data.cards.length).toBeGreaterThan(0);
+    expect(data.feeds.map((f) => f.id)).toEqual((await readRegistry()).feeds.map((f) => f.id));
+    for (const feed of data.feeds) expect(feed.rows.length).toBeGreaterThan(0);
+  });
+
+  test("loads a feed added to the registry without code changes", async () => {
+    const registry = await readRegistry();
+    registry.feeds.push({ id: "miraj", site: "Miraj", file: "miraj.csv", columns: { title: ["Deal"] } });
+    const miraj = "Deal,Eligible Credit Cards\nFlat 25% off,Axis Bank Neo Credit Card\n";
+    const withMiraj = await loadFeeds((file) => (file === "miraj.csv" ? miraj : readPublic(file)), {
+      registry,
+    });
+
+    const neo = firstSuggestion(withMiraj, "Axis Bank Neo Credit Card");
+    const [offer] = findOffers(withMiraj, neo).lists.miraj;
+    expect(offer).toMatchObject({ site: "Miraj", matchType: "credit" });
+    expect(offer.feed).toMatchObject({ id: "miraj", label: "Miraj", kind: "offers" });
+  });
+
+  test("records an unreadable feeds.json", async () => {
+    const broken = await loadFeeds((file) => (file === "feeds.json" ? "{ nope" : readPublic(file)));
+    expect(Object.keys(broken.errors)).toEqual(["feeds.json"]);
+    expect(broken.feeds).toEqual([]);
+    expect(broken.cards.length).toBeGreaterThan(0);
+    expect(loadFailures(broken).registry).toBeTruthy();
+  });
+
+  test("keeps the other feeds when one fails", async () => {
+    const partial = await loadFeeds((file) =>
+      file === "PVR.csv" ? Promise.reject(new Error("offline")) : readPublic(file)
+    );
+    expect(partial.errors).toEqual({ "PVR.csv": "offline" });
+    expect(partial.feeds.find((f) => f.id === "pvr").rows).toEqual([]);
+    expect(partial.feeds.find((f) => f.id === "bookmyshow").rows.length).toBeGreaterThan(0);
+    expect(loadFailures(partial)).toEqual({ registry: null, cards: null, feeds: { pvr: "offline" } });
+  });
+
+  test("reports a failed card list", async () => {
+    const noCards = await loadFeeds((file) =>
+      file === "allCards.csv" ? Promise.reject(new Error("500")) : readPublic(file)
+    );
+    expect(loadFailures(noCards)).toEqual({ registry: null, cards: "500", feeds: {} });
+    expect(loadFailures(data)).toEqual({ registry: null, cards: null, feeds: {} });
+  });
+
+  test("treats a missing bin_map.csv as optional", async () => {
+    const noBinMap = await loadFeeds((file) =>
+      file === "bin_map.csv" ? Promise.reject(new Error("404")) : readPublic(file)
+    );
+    expect(noBinMap.errors).toEqual({});
+    expect(noBinMap.binMap).toEqual([]);
+  });
+});
+
+describe("parseRegistry", () => {
+  test("fills in defaults for optional fields", () => {
+    const { cards, binMap, feeds, problems } = parseRegistry({ feeds: [{ id: "inox", file: "inox.csv" }] });
+    expect(problems).toEqual([]);
+    expect(cards).toBe("allCards.csv");
+    expect(binMap).toBe("bin_map.csv");
+    expect(feeds).toEqual([
+      {
+        id: "inox",
+        site: "inox",
+        label: "inox",
+        file: "inox.csv",
+        kind: "offers",
+        logo: "",
+        terms: "plain",
+        variantNote: true,
+        columns: {},
+        required: [],
+      },
+    ]);
+  });
+
+  test("drops feeds with a bad, reserved or repeated id", () => {
+    const { feeds, problems } = parseRegistry({
+      feeds: [
+        { id: "pvr", file: "PVR.csv" },
+        { id: "PVR", file: "PVR.csv" },
+        { id: NON_PAYMENT_ID, file: "x.csv" },
+        { id: "pvr", file: "other.csv" },
+        { id: "nofile" },
+      ],
+    });
+    expect(feeds.map((f) => f.id)).toEqual(["pvr"]);
+    expect(problems).toHaveLength(4);
+  });
+
+  test("reports a registry without a feeds array", () => {
+    expect(parseRegistry({}).problems).toEqual(['missing "feeds" array']);
+  });
+});
+
+describe("listInstruments", () => {
+  test("returns sorted, unique entries per type", () => {
+    const instruments = listInstruments(data);
+    for (const type of ["credit", "debit", "upi"]) {
+      const list = instruments[type];
+      expect(list.length).toBeGreaterThan(0);
+      expect(list.every((e) => e.type === type && e.baseNorm && e.display)).toBe(true);
+      expect(new Set(list.map((e) => e.baseNorm)).size).toBe(list.length);
+      expect(list.map((e) => e.display)).toEqual(
+        [...list.map((e) => e.display)].sort((a, b) => a.localeCompare(b))
+      );
+    }
+  });
+
+  test("is cached per data set", () => {
+    expect(listInstruments(data)).toBe(listInstruments(data));
+  });
+
+  test("is empty before feeds load", () => {
+    expect(listInstruments(emptyFeeds())).toEqual({ credit: [], debit: [], upi: [], netbanking: [] });
+  });
+});
+
+describe("listOfferedInstruments", () => {
+  test("lists cards named on offer rows and offers needing no card", () => {
+    const offered = listOfferedInstruments(data);
+    expect(offered.credit).toContain("Axis Bank Neo Credit Card");
+    expect(offered.upi.length).toBeGreaterThan(0);
+    expect(offered.nonPayment.length).toBeGreaterThan(0);
+  });
+
+  test("keeps a bracketed network list with its card", () => {
+    // PVR.csv: "ICICI Bank HPCL Super Saver Credit Card (Visa and Mastercard), …"
+    const offered = listOfferedInstruments(data);
+    expect(offered.credit).toContain("ICICI Bank HPCL Super Saver Credit Card");
+    expect(offered.credit.filter((name) => /^[^(]*\)|\([^)]*$/.test(name))).toEqual([]);
+  });
+});
+
+describe("splitList", () => {
+  test.each([
+    ["Axis Bank Neo, HDFC Bank Regalia / SBI Card", ["Axis Bank Neo", "HDFC Bank Regalia", "SBI Card"]],
+    [
+      "Axis Bank Neo and IndianOil Axis Bank Credit Card",
+      ["Axis Bank Neo", "IndianOil Axis Bank Credit Card"],
+    ],
+    [
+      "ICICI Bank HPCL Super Saver Credit Card (Visa and Mastercard), Axis Bank Neo",
+      ["ICICI Bank HPCL Super Saver Credit Card (Visa and Mastercard)", "Axis Bank Neo"],
+    ],
+    ["HDFC Bank Regalia (Visa, Mastercard", ["HDFC Bank Regalia (Visa", "Mastercard"]],
+    [
+      "RBL Bank Movies and More Credit Card; Axis Bank Miles AND MORE World Credit Card",
+      ["RBL Bank Movies and More Credit Card", "Axis Bank Miles AND MORE World Credit Card"],
+    ],
+    ["", []],
+  ])("%j", (list, items) => {
+    expect(splitList(list)).toEqual(items);
+  });
+});
+
+describe("card aliases", () => {
+  const aliases = compileCardAliases([
+    { Alias: "Amex", Canonical: "American Express", Match: "words" },
+    { Alias: "RBL Play Credit Card", Canonical: "RBL Bank Play Credit Card" },
+    { Alias: "Kotak League", Canonical: "Kotak League Platinum", Match: "sometimes" },
+    { Alias: "", Canonical: "Axis Bank Neo Credit Card" },
+  ]);
+
+  test("rewrites words and whole names, reporting rows it can't use", () => {
+    expect(canonicalName("IndusInd ePay Amex Credit Card (Visa)", aliases)).toBe(
+      "IndusInd ePay American Express Credit Card"
+    );
+    expect(canonicalName("RBL PLAY Credit Card", aliases)).toBe("RBL Bank Play Credit Card");
+    expect(canonicalName("rbl bank play credit card", aliases)).toBe("RBL Bank Play Credit Card");
+    expect(canonicalName("Examex Credit Card", aliases)).toBe("Examex Credit Card");
+    expect(aliases.problems).toEqual([
+      'row 4: Match must be "name" or "words"',
+      "row 5: needs an Alias and a Canonical name",
+    ]);
+  });
+
+  test("lists one dropdown entry per card and matches rows spelled another way", () => {
+    const { credit } = listInstruments(data);
+    const plays = credit.filter((e) => /\bRBL\b.*\bPlay\b/i.test(e.display));
+    expect(plays.map((e) => e.display)).toEqual(["RBL Bank Play Credit Card"]);
+    const play = firstSuggestion(data, "RBL Bank Play Credit Card");
+    const titles = findOffers(data, play).lists.bookmyshow.map((w) => w.offer.Offer);
+    expect(titles).toContain("RBL PLAY Credit Card  Welcome Offer");
+  });
+
+  test("resolves another spelling in a shared link", () => {
+    const travel = firstSuggestion(data, "American Express Platinum Travel Credit Card");
+    const viaAmex = {
+      type: "credit",
+      display: "Amex Platinum Travel Credit Card",
+      baseNorm: "amex platinum travel credit card",
+    };
+    expect(allOffers(findOffers(data, viaAmex))).toEqual(allOffers(findOffers(data, travel)));
+  });
+
+  test("reports near-duplicate names the table doesn't cover", async () => {
+    expect(nearDuplicateNames(data)).toEqual([]);
+    const withoutAliases = await loadFeeds((file) =>
+      file === "card_aliases.csv" ? Promise.reject(new Error("missing")) : readPublic(file)
+    );
+    expect(withoutAliases.errors).toEqual({});
+    expect(nearDuplicateNames(withoutAliases)).toContainEqual({
+      type: "credit",
+      names: ["RBL Bank Play Credit Card", "RBL Play Credit Card"],
+    });
+  });
+});
+
+describe("banks", () => {
+  test("names the issuing bank, not the co-brand", () => {
+    expect(bankOf("Flipkart Axis Bank Credit Card")).toBe("Axis Bank");
+    expect(bankOf("ICICI Amazon Pay Credit Card")).toBe("ICICI Bank");
+    expect(bankOf("City Union Bank SBI Card")).toBe("City Union Bank");
+    expect(bankOf("Union Bank of India Platinum Debit Card")).toBe("Union Bank of India");
+    expect(bankOf("Paytm")).toBe("");
+  });
+
+  test("groups every instrument type under its bank", () => {
+    const banks = listBanks(data);
+    expect(banks.map((b) => b.bank)).toEqual([...banks.map((b) => b.bank)].sort((a, b) => a.localeCompare(b)));
+    const hdfc = banks.find((b) => b.bank === "HDFC Bank");
+    expect(hdfc.entries.every((e) => bankOf(e.display) === "HDFC Bank")).toBe(true);
+    expect(new Set(hdfc.entries.map((e) => e.type))).toEqual(new Set(["credit", "debit"]));
+  });
+
+  test("a bank's name puts it above its cards in search", () => {
+    const [first, second] = search(data, "hdfc");
+    expect(first.type).toBe("bank");
+    expect(first.items[0]).toMatchObject({ type: "bank", bank: "HDFC Bank" });
+    expect(first.items[0].cards).toBeGreaterThan(1);
+    expect(second.items.every((e) => /hdfc/i.test(e.display))).toBe(true);
+  });
+
+  test("counts a bank's offers per product, most first", () => {
+    const { products } = findBankOffers(data, "Axis Bank");
+    const neo = products.find((p) => p.entry.display === "Axis Bank Neo Credit Card");
+    expect(neo.count).toBe(allOffers(neo).length);
+    expect(neo.count).toBeGreaterThan(0);
+    expect(neo.lists[NON_PAYMENT_ID]).toEqual([]);
+    expect(products.map((p) => p.count)).toEqual([...products.map((p) => p.count)].sort((a, b) => b - a));
+    expect(findBankOffers(data, "No Such Bank").products).toEqual([]);
+  });
+});
+
+describe("search", () => {
+  test("finds cards by a partial name", () => {
+    const [first] = search(data, "regalia");
+    expect(first.type).toBe("credit");
+    expect(first.label).toBe("Credit Cards");
+    expect(first.items.every((e) => /regalia/i.test(e.display))).toBe(true);
+  });
+
+  test("puts UPI first when the query mentions it", () => {
+    const sections = search(data, "upi");
+    expect(sections[0].type).toBe("upi");
+    expect(sections[0].items).toEqual(listInstruments(data).upi);
+  });
+
+  test("treats digits as a BIN from the offer T&C", () => {
+    const bin = data.feeds.flatMap((f) => f.rows).flatMap(rowBins)[0];
+    const sections = search(data, bin);
+    expect(sections[0]).toMatchObject({ type: "bin", items: [{ type: "bin", bin }] });
+  });
+
+  test("returns nothing for blank or unmatched queries", () => {
+    expect(search(data, "   ")).toEqual([]);
+    expect(search(data, "zzqqxx")).toEqual([]);
+  });
+
+  test("honours the suggestion limit", () => {
+    const sections = search(data, "bank", { limit: 3 });
+    for (const sec of sections) expect(sec.items.length).toBeLessThanOrEqual(3);
+  });
+
+  test("ranks like scoring every entry in full", () => {
+    // The scan search() used before it had an index, "Select" cards lifted to the top
+    const hasSelectWord = (t) => toNorm(t).split(" ").some((w) => w && lev(w, "select") <= 1);
+    const bruteForce = (query, entries) => {
+      const qs = toNorm(query);
+      const qWords = qs.split(" ").filter(Boolean);
+      const selectLike = qWords.some((w) => lev(w, "select") <= 2);
+      const ranked = entries
+        .map((it) => {
+          const cs = toNorm(it.display);
+          const cWords = cs.split(" ").filter(Boolean);
+          const hits = qWords.filter((qw) => cWords.some((cw) => cw.includes(qw))).length;
+          const sim = 1 - lev(qs, cs) / Math.max(qs.length, cs.length);
+          const s = cs.includes(qs) ? 100 : (hits / Math.max(1, qWords.length)) * 0.7 + sim * 0.3;
+          const keep =
+            cs.includes(query.toLowerCase()) || s > 0.3 || (selectLike && hasSelectWord(it.display));
+          return { it, s, keep };
+        })
+        .filter((x) => x.keep)
+        .sort((a, b) => b.s - a.s || a.it.display.localeCompare(b.it.display))
+        .slice(0, 50)
+        .map((x) => x.it.display);
+      return selectLike
+        ? [...ranked.filter(hasSelectWord), ...ranked.filter((d) => !hasSelectWord(d))]
+        : ranked;
+    };
+
+    const instruments = listInstruments(data);
+    for (const query of ["axis neo", "hdfc regalia gold", "sbi card elite", "ic", "selct", "kotak 811", "paytm"]) {
+      const sections = search(data, query);
+      for (const type of ["credit", "debit"]) {
+        const got = sections.find((sec) => sec.type === type)?.items.map((e) => e.display) || [];
+        expect(got).toEqual(bruteForce(query, instruments[type]));
+      }
+    }
+  });
+
+  test("builds its index once per data set", () => {
+    const index = buildSearchIndex(data);
+    expect(buildSearchIndex(data)).toBe(index);
+    for (const type of INSTRUMENT_TYPES) {
+      expect(index[type].items).toHaveLength(listInstruments(data)[type].length);
+    }
+  });
+});
+
+describe("findOffers", () => {
+  test("returns a list per feed, empty without a selection", () => {
+    const res = findOffers(data, null);
+    expect(Object.keys(res.lists)).toEqual([...data.feeds.map((f) => f.id), NON_PAYMENT_ID]);
+    expect(allOffers(res)).toEqual([]);
+    expect(res.expiredCount).toBe(0);
+  });
+
+  test("matches a card across sites without repeating an offer", () => {
+    const neo = firstSuggestion(data, "Axis Bank Neo Credit Card");
+    const res = findOffers(data, neo);
+    const { bookmyshow, permanent } = res.lists;
+    expect(bookmyshow.length).toBeGreaterThan(0);
+    expect(permanent.length).toBeGreaterThan(0);
+    expect(bookmyshow.every((w) => w.site === "Bookmyshow" && w.matchType === "credit")).toBe(true);
+
+    const keys = allOffers(res).map((w) => offerKey(w.offer));
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  test("lists offers that need no card alongside a card's own", () => {
+    const neo = firstSuggestion(data, "Axis Bank Neo Credit Card");
+    const forNeo = findOffers(data, neo).lists[NON_PAYMENT_ID];
+    expect(forNeo.every((w) => w.matchType === "nonpayment")).toBe(true);
+
+    const { lists } = findOffers(data, NON_PAYMENT_ENTRY);
+    expect(lists[NON_PAYMENT_ID]).toEqual([]);
+    expect(lists.permanent).toEqual([]);
+    const perSite = ["bookmyshow", "cinepolis", "paytm-district", "pvr"].flatMap((id) => lists[id]);
+    expect(perSite.length).toBeGreaterThan(0);
+  });
+
+  test("permanent benefits only apply to credit cards", () => {
+    const debit = listInstruments(data).debit[0];
+    expect(findOffers(data, debit).lists.permanent).toEqual([]);
+  });
+
+  test("hides expired offers unless asked", () => {
+    const entry = firstSuggestion(data, "HDFC Bank Millennia Credit Card");
+    const now = new Date(2100, 0, 1);
+    const hidden = findOffers(data, entry, { now });
+    const shown = findOffers(data, entry, { now, showExpired: true });
+    expect(hidden.expiredCount).toBeGreaterThan(0);
+    expect(shown.expiredCount).toBe(hidden.expiredCount);
+    expect(allOffers(shown).length - allOffers(hidden).length).toBe(hidden.expiredCount);
+  });
+
+  test("never ranks an expired offer as a saving", () => {
+    const entry = firstSuggestion(data, "HDFC Bank Millennia Credit Card");
+    const booking = { amount: 1000, tickets: 2 };
+    jest.useFakeTimers().setSystemTime(new Date(2100, 0, 1));
+    try {
+      const live = allOffers(findOffers(data, entry));
+      const res = findOffers(data, entry, { showExpired: true });
+      const expired = allOffers(res).filter((w) => !live.some((l) => l.offer === w.offer));
+      expect(expired.length).toBe(res.expiredCount);
+      expect(expired.length).toBeGreaterThan(0);
+      const ranked = rankBySavings(allOffers(res), booking).map((r) => r.wrapper.offer);
+      expect(ranked).toHaveLength(live.length);
+      expect(ranked.some((o) => expired.some((w) => w.offer === o))).toBe(false);
+      expect(expired.map((w) => offerValue(w, booking)).filter(Boolean)).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("flags offers for another network and can hide them", () => {
+    // Every offer on this card names the RuPay variant in its card list
+    const card = firstSuggestion(data, "Airtel Axis Bank Credit Card");
+    const offers = (res) => ["bookmyshow", "cinepolis", "pvr"].flatMap((id) => res.lists[id]);
+
+    const onRupay = offers(findOffers(data, { ...card, network: "RuPay", variant: "" }));
+    expect(onRupay.length).toBeGreaterThan(0);
+    expect(onRupay.some((w) => w.variantIneligible)).toBe(false);
+
+    const onVisa = offers(findOffers(data, { ...card, network: "Visa", variant: "" }));
+    expect(onVisa.length).toBe(onRupay.length);
+    expect(onVisa.every((w) => /^Needs Rupay/i.test(w.variantIneligible))).toBe(true);
+    expect(onVisa.every((w) => w.variantHave === "Visa")).toBe(true);
+
+    const hidden = findOffers(data, { ...card, network: "Visa", variant: "" }, { hideOtherVariants: true });
+    expect(offers(hidden)).toEqual([]);
+  });
+
+  test("matches network-wide offers, but not a bank's offer on that network", async () => {
+    const registry = await readRegistry();
+    registry.feeds.push({
+      id: "miraj",
+      site: "Miraj",
+      file: "miraj.csv",
+      columns: { title: ["Deal"], desc: ["Details"] },
+    });
+    const miraj = [
+      "Deal,Details,Eligible Credit Cards",
+      "Visa weekend,Flat 25% off with Visa Signature cards,",
+      "HDFC weekend,Flat 25% off for HDFC Bank customers on Visa credit cards,",
+      "ICICI weekend,Flat 25% off on ICICI Visa Signature cards,",
+      '"Visa Signature: yes, it\'s back",Flat 25% off with Visa Signature cards. A capital deal for the whole family,',
+    ].join("\n");
+    const withMiraj = await loadFeeds((file) => (file === "miraj.csv" ? miraj : readPublic(file)), {
+      registry,
+    });
+
+    const neo = firstSuggestion(withMiraj, "Axis Bank Neo Credit Card");
+    const offers = findOffers(withMiraj, { ...neo, network: "Visa", variant: "Signature" }).lists.miraj;
+    expect(offers.map((w) => [w.offer.Deal, w.networkWide])).toEqual([
+      ["Visa weekend", true],
+      ["Visa Signature: yes, it's back", true],
+    ]);
+  });
+});
+
+describe("filterOffers", () => {
+  let lists;
+  let sections;
+  beforeAll(() => {
+    lists = findOffers(data, firstSuggestion(data, "HDFC Bank Millennia Credit Card")).lists;
+    sections = Object.keys(lists).map((id) => ({
+      id,
+      label: data.feeds.find((feed) => feed.id === id)?.label || id,
+    }));
+  });
+  const kept = (res) => Object.values(res.lists).flat();
+
+  test("keeps everything with the default filters", () => {
+    const res = filterOffers(lists, sections);
+    expect(res.lists).toEqual(lists);
+    expect(res.order).toEqual(sections.map((sec) => sec.id));
+    expect(res.counts.total).toBe(allOffers({ lists }).length);
+    expect(res.counts.coupon.any).toBe(res.counts.total);
+    expect(res.counts.coupon.coupon + res.counts.coupon.auto).toBe(res.counts.total);
+  });
+
+  test("hides sites but still counts what they would show", () => {
+    const res = filterOffers(lists, sections, { hiddenSites: ["bookmyshow"] });
+    expect(res.lists.bookmyshow).toEqual([]);
+    expect(res.order).not.toContain("bookmyshow");
+    expect(res.counts.sites.bookmyshow).toBe(lists.bookmyshow.length);
+    expect(res.counts.total).toBe(allOffers({ lists }).length - lists.bookmyshow.length);
+  });
+
+  test("counts each choice given the other filters", () => {
+    const all = filterOffers(lists, sections);
+    const bogo = filterOffers(lists, sections, { bogo: true });
+    expect(kept(bogo).every((w) => offerTerms(w).bogo)).toBe(true);
+    expect(bogo.counts.total).toBe(all.counts.bogo);
+
+    const auto = filterOffers(lists, sections, { bogo: true, coupon: "auto" });
+    expect(auto.counts.total).toBe(bogo.counts.coupon.auto);
+    expect(auto.counts.coupon.any).toBe(bogo.counts.total);
+  });
+
+  test("drops offers below the minimum discount", () => {
+    const res = filterOffers(lists, sections, { minDiscount: 10 });
+    expect(res.counts.total).toBeGreaterThan(0);
+    expect(res.counts.total).toBeLessThan(allOffers({ lists }).length);
+    for (const w of kept(res)) {
+      const terms = offerTerms(w);
+      expect(terms.bogo || terms.discountPercent >= 10).toBe(true);
+    }
+    expect(res.counts.minDiscount[0]).toBe(allOffers({ lists }).length);
+  });
+
+  test("sorts sites by name or offers by discount", () => {
+    const bySite = filterOffers(lists, sections, { sort: "site" });
+    const labels = bySite.order.map((id) => sections.find((sec) => sec.id === id).label);
+    expect(labels).toEqual([...labels].sort((a, b) => a.localeCompare(b)));
+
+    const byDiscount = filterOffers(lists, sections, { sort: "discount" });
+    const percent = (w) => (offerTerms(w).bogo ? 50 : offerTerms(w).discountPercent ?? 0);
+    for (const offers of Object.values(byDiscount.lists)) {
+      const values = offers.map(percent);
+      expect(values).toEqual([...values].sort((a, b) => b - a));
+    }
+  });
+
+  test("sorts by savings on the booking", () => {
+    const booking = { amount: 1000, tickets: 2 };
+    const res = filterOffers(lists, sections, { sort: "savings" }, booking);
+    expect(res.counts.total).toBe(allOffers({ lists }).length);
+    for (const offers of Object.values(res.lists)) {
+      const values = offers.map((w) => offerValue(w, booking));
+      expect(values).toEqual([...values].sort((a, b) => b - a));
+    }
+  });
+});
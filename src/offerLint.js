@@ -0,0 +1,261 @@
+// src/offerLint.js
+// Lint rules for the hand-edited offer CSVs, allCards.csv and card_aliases.csv, with the
+// registry, field mapping and card-name normalization the app uses (offerEngine.js,
+// offerData.js). scripts/validate-feeds.mjs reads the files and prints the reports; this
+// has no Node or browser imports. Row numbers are spreadsheet rows (header = 1).
+//
+//   const known = knownCardsFrom(allCardsText, aliases)
+//   lintOfferFeed(feed, text, known)       -> { rows, errors: string[], warnings: string[] }
+//   lintPermanentFeed(feed, text, known)   -> likewise, for an inbuilt-benefits feed
+//   lintAllCards(spec, text)               -> likewise, for allCards.csv
+//   lintCardAliases(spec, text, known, nearDuplicateNames(data)) -> likewise, for card_aliases.csv
+import Papa from "papaparse";
+import {
+  LIST_FIELDS,
+  NO_ALIASES,
+  canonicalName,
+  compileCardAliases,
+  firstField,
+  isUsableImage,
+  offerKey,
+  splitList,
+  toNorm,
+} from "./offerData.js";
+import { fieldAliases } from "./offerEngine.js";
+
+const INSTRUMENT_FIELDS = ["credit", "debit", "upi", "netbanking"];
+const MAX_ROWS_LISTED = 10;
+
+/** -------------------- HELPERS -------------------- */
+const cardNorm = (raw, aliases = NO_ALIASES) => toNorm(canonicalName(raw, aliases));
+
+const hasHeader = (fields, aliases) => aliases.some((a) => fields.includes(a));
+
+/** [3, 4, "9=2", …] -> "rows 3, 4, 9=2 (+12 more)"; "9=2" means row 9 repeats row 2 */
+function rowList(rows) {
+  const shown = rows.slice(0, MAX_ROWS_LISTED).join(", ");
+  const more = rows.length > MAX_ROWS_LISTED ? ` (+${rows.length - MAX_ROWS_LISTED} more)` : "";
+  return `${rows.length === 1 ? "row" : "rows"} ${shown}${more}`;
+}
+
+/** Group issue rows under one message so a bad column doesn't print 900 lines */
+function collector() {
+  const map = new Map();
+  return {
+    add(message, row) {
+      if (!map.has(message)) map.set(message, []);
+      if (row !== undefined) map.get(message).push(row);
+    },
+    list() {
+      return Array.from(map.entries()).map(([msg, rows]) =>
+        rows.length ? `${msg} (${rowList(rows)})` : msg
+      );
+    },
+  };
+}
+
+/** Papa.parse() with headers; a one-column file has no delimiter to detect, which is fine */
+export function parseCsv(text) {
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: "greedy" });
+  return { ...parsed, errors: parsed.errors.filter((e) => e.code !== "UndetectableDelimiter") };
+}
+
+function checkHeaders(spec, parsed, errors) {
+  const fields = parsed.meta.fields || [];
+  if (fields.some((f) => !String(f).trim())) errors.add("Blank column header");
+  for (const [from, to] of Object.entries(parsed.meta.renamedHeaders || {})) {
+    errors.add(`Duplicate column header "${from}" (read as "${to}")`);
+  }
+  // `required`: logical field names (title, link, desc, …) that need a matching header
+  for (const key of spec.required || []) {
+    const aliases = fieldAliases(spec, key);
+    if (!hasHeader(fields, aliases)) {
+      errors.add(`Missing ${key} column (expected one of: ${aliases.join(", ") || "?"})`);
+    }
+  }
+  return fields;
+}
+
+/** -------------------- LINT -------------------- */
+/**
+ * Known card names from allCards.csv, spelled through the alias table:
+ * { credit: Set<norm>, debit: Set<norm>, aliases }
+ */
+export function knownCardsFrom(text, aliases = NO_ALIASES) {
+  const known = { credit: new Set(), debit: new Set(), aliases };
+  for (const row of parseCsv(text).data) {
+    for (const type of ["credit", "debit"]) {
+      for (const raw of splitList(firstField(row, LIST_FIELDS[type]))) {
+        const n = cardNorm(raw, aliases);
+        if (n) known[type].add(n);
+      }
+    }
+  }
+  return known;
+}
+
+/** Lint one offer feed (a feeds.json entry) -> { rows, errors: string[], warnings: string[] } */
+export function lintOfferFeed(spec, text, known, cardsFile = "allCards.csv") {
+  const errors = collector();
+  const warnings = collector();
+  const parsed = parseCsv(text);
+  const fields = checkHeaders(spec, parsed, errors);
+
+  for (const e of parsed.errors) errors.add(`Unparseable row: ${e.message}`, e.row + 2);
+
+  const aliases = (field) => fieldAliases(spec, field);
+  const instrumentFields = INSTRUMENT_FIELDS.filter((k) => hasHeader(fields, aliases(k)));
+  if (!instrumentFields.length) {
+    errors.add("No eligible card / UPI / NetBanking column");
+  }
+  const hasLink = hasHeader(fields, aliases("link"));
+  const hasImage = hasHeader(fields, aliases("image"));
+  const hasNonPayment = hasHeader(fields, aliases("nonPayment"));
+  const unknown = { credit: new Map(), debit: new Map() };
+  const seen = new Map();
+
+  parsed.data.forEach((row, i) => {
+    const rowNo = i + 2;
+    const cells = instrumentFields.map((k) => firstField(row, aliases(k)) || "");
+    const nonPayment = /^\s*yes\b/i.test(String(firstField(row, aliases("nonPayment")) || ""));
+
+    if (!cells.some(Boolean) && !nonPayment) {
+      warnings.add(
+        hasNonPayment
+          ? "No eligible instrument and not marked Non-Payments-Offers (never shown)"
+          : "No eligible instrument (never shown)",
+        rowNo
+      );
+    }
+
+    if (hasLink) {
+      const link = String(firstField(row, aliases("link")) || "").trim();
+      if (!link) warnings.add("Missing link", rowNo);
+      else if (!/^https?:\/\//i.test(link)) warnings.add("Link is not an http(s) URL", rowNo);
+    }
+
+    if (hasImage) {
+      const img = firstField(row, aliases("image"));
+      if (img && !isUsableImage(img)) warnings.add(`Placeholder image "${String(img).trim()}"`, rowNo);
+    }
+
+    for (const type of ["credit", "debit"]) {
+      for (const raw of splitList(firstField(row, aliases(type)))) {
+        const n = cardNorm(raw, known.aliases);
+        if (!n || known[type].has(n)) continue;
+        const name = canonicalName(raw, known.aliases);
+        if (!unknown[type].has(name)) unknown[type].set(name, []);
+        unknown[type].get(name).push(rowNo);
+      }
+    }
+
+    // Same offerKey -> the UI shows only the first of them for a card both rows list; rows
+    // for other instruments are reported apart (one row per card is how some feeds are kept)
+    const key = offerKey(row);
+    const instruments = cells.map(toNorm).join("|");
+    const earlier = seen.get(key);
+    if (!earlier) seen.set(key, { rowNo, instruments });
+    else if (earlier.instruments === instruments) {
+      warnings.add("Duplicate offer (same offerKey as an earlier row)", `${rowNo}=${earlier.rowNo}`);
+    } else {
+      warnings.add(
+        "Same offerKey as an earlier row with other instruments (a card on both shows only the earlier one)",
+        `${rowNo}=${earlier.rowNo}`
+      );
+    }
+  });
+
+  for (const type of ["credit", "debit"]) {
+    for (const [name, rows] of unknown[type]) {
+      rows.forEach((r) => warnings.add(`Unknown ${type} card "${name}" (not in ${cardsFile})`, r));
+    }
+  }
+
+  return { rows: parsed.data.length, errors: errors.list(), warnings: warnings.list() };
+}
+
+/** Lint a permanent (inbuilt benefit) feed: card names must be known credit cards */
+export function lintPermanentFeed(spec, text, known, cardsFile = "allCards.csv") {
+  const errors = collector();
+  const warnings = collector();
+  const parsed = parseCsv(text);
+  checkHeaders(spec, parsed, errors);
+  for (const e of parsed.errors) errors.add(`Unparseable row: ${e.message}`, e.row + 2);
+
+  const seen = new Map();
+  parsed.data.forEach((row, i) => {
+    const rowNo = i + 2;
+    const name = firstField(row, fieldAliases(spec, "card"));
+    if (!name) {
+      warnings.add("Missing card name", rowNo);
+      return;
+    }
+    const n = cardNorm(name, known.aliases);
+    if (!known.credit.has(n)) {
+      warnings.add(`Unknown credit card "${canonicalName(name, known.aliases)}" (not in ${cardsFile})`, rowNo);
+    }
+    if (!firstField(row, fieldAliases(spec, "desc"))) warnings.add("Missing benefit text", rowNo);
+    const img = firstField(row, fieldAliases(spec, "image"));
+    if (img && !isUsableImage(img)) warnings.add(`Placeholder image "${String(img).trim()}"`, rowNo);
+
+    if (seen.has(n)) warnings.add("Duplicate card (same card as an earlier row)", `${rowNo}=${seen.get(n)}`);
+    else seen.set(n, rowNo);
+  });
+
+  return { rows: parsed.data.length, errors: errors.list(), warnings: warnings.list() };
+}
+
+/** Lint allCards.csv itself: headers, parse errors, repeated names */
+export function lintAllCards(spec, text) {
+  const errors = collector();
+  const warnings = collector();
+  const parsed = parseCsv(text);
+  checkHeaders(spec, parsed, errors);
+  for (const e of parsed.errors) errors.add(`Unparseable row: ${e.message}`, e.row + 2);
+
+  for (const type of ["credit", "debit"]) {
+    const seen = new Map();
+    parsed.data.forEach((row, i) => {
+      for (const raw of splitList(firstField(row, LIST_FIELDS[type]))) {
+        const n = cardNorm(raw);
+        if (!n) continue;
+        if (seen.has(n)) {
+          warnings.add(`Duplicate ${type} card name`, `${i + 2}=${seen.get(n)}`);
+        } else seen.set(n, i + 2);
+      }
+    });
+  }
+
+  return { rows: parsed.data.length, errors: errors.list(), warnings: warnings.list() };
+}
+
+/**
+ * Lint card_aliases.csv: unusable rows, canonical names allCards.csv doesn't list, and
+ * card names that still look like one card spelled two ways (see nearDuplicateNames)
+ */
+export function lintCardAliases(spec, text, known, nearDuplicates = [], cardsFile = "allCards.csv") {
+  const errors = collector();
+  const warnings = collector();
+  const parsed = parseCsv(text);
+  checkHeaders(spec, parsed, errors);
+  for (const e of parsed.errors) errors.add(`Unparseable row: ${e.message}`, e.row + 2);
+
+  const { problems } = compileCardAliases(parsed.data);
+  problems.forEach((p) => errors.add(p));
+
+  parsed.data.forEach((row, i) => {
+    const match = String(firstField(row, LIST_FIELDS.aliasMatch) || "name").trim().toLowerCase();
+    const canonical = firstField(row, LIST_FIELDS.canonical);
+    if (match !== "name" || !canonical) return;
+    const n = cardNorm(canonical, known.aliases);
+    if (!known.credit.has(n) && !known.debit.has(n)) {
+      warnings.add(`Canonical name "${canonical}" is not in ${cardsFile}`, i + 2);
+    }
+  });
+
+  for (const { type, names } of nearDuplicates) {
+    warnings.add(`Possible duplicate ${type} cards: ${names.map((n) => `"${n}"`).join(", ")} (add an alias row)`);
+  }
+
+  return { rows: parsed.data.length, errors: errors.list(), warnings: warnings.list() };
+}
@@ -0,0 +1,154 @@
+import { compileCardAliases } from "./offerData";
+import { knownCardsFrom, lintAllCards, lintCardAliases, lintOfferFeed, lintPermanentFeed } from "./offerLint";
+
+const ALL_CARDS = [
+  "Eligible Credit Cards,Eligible Debit Cards",
+  "Axis Bank Neo Credit Card,HDFC Bank Millennia Debit Card",
+  "RBL Bank Play Credit Card,",
+].join("\n");
+const aliases = compileCardAliases([{ Alias: "RBL PLAY Credit Card", Canonical: "RBL Bank Play Credit Card" }]);
+const known = knownCardsFrom(ALL_CARDS, aliases);
+
+const FEED = {
+  id: "bookmyshow",
+  file: "Bookmyshow.csv",
+  columns: { title: ["Offer"], desc: ["Description"] },
+  required: ["title", "link"],
+};
+const HEADER = "Offer,Description,Image,Link,Eligible Credit Cards,Eligible Debit Cards";
+const feedCsv = (...rows) => [HEADER, ...rows].join("\n");
+
+describe("knownCardsFrom", () => {
+  test("reads allCards.csv through the alias table", () => {
+    expect(known.credit.has("axis bank neo credit card")).toBe(true);
+    expect(known.debit.has("hdfc bank millennia debit card")).toBe(true);
+    expect(known.credit.size).toBe(2);
+  });
+});
+
+describe("lintOfferFeed", () => {
+  test("passes a clean feed", () => {
+    const text = feedCsv("Neo offer,Flat 10% off,https://x.test/a.png,https://x.test/a,RBL PLAY Credit Card,");
+    expect(lintOfferFeed(FEED, text, known)).toEqual({ rows: 1, errors: [], warnings: [] });
+  });
+
+  test.each([
+    [
+      "a missing required column",
+      "Offer,Eligible Credit Cards\nNeo offer,Axis Bank Neo Credit Card",
+      { errors: ["Missing link column (expected one of: Link, Offer Link)"] },
+    ],
+    [
+      "no instrument column",
+      "Offer,Link\nNeo offer,https://x.test/a",
+      {
+        errors: ["No eligible card / UPI / NetBanking column"],
+        warnings: ["No eligible instrument (never shown) (row 2)"],
+      },
+    ],
+    [
+      "a row naming no instrument",
+      feedCsv("Neo offer,,,https://x.test/a,,"),
+      { warnings: ["No eligible instrument (never shown) (row 2)"] },
+    ],
+    [
+      "missing and relative links",
+      feedCsv("A,,,,Axis Bank Neo Credit Card,", "B,,,x.test/b,Axis Bank Neo Credit Card,"),
+      { warnings: ["Missing link (row 2)", "Link is not an http(s) URL (row 3)"] },
+    ],
+    [
+      "a placeholder image",
+      feedCsv("A,,Image unavailable,https://x.test/a,Axis Bank Neo Credit Card,"),
+      { warnings: ['Placeholder image "Image unavailable" (row 2)'] },
+    ],
+    [
+      "cards allCards.csv doesn't list",
+      feedCsv("A,,,https://x.test/a,Axis Bank Nova Credit Card (Visa and Mastercard),Axis Bank Neo Debit Card"),
+      {
+        warnings: [
+          'Unknown credit card "Axis Bank Nova Credit Card" (not in allCards.csv) (row 2)',
+          'Unknown debit card "Axis Bank Neo Debit Card" (not in allCards.csv) (row 2)',
+        ],
+      },
+    ],
+  ])("reports %s", (_, text, { errors = [], warnings = [] }) => {
+    expect(lintOfferFeed(FEED, text, known)).toEqual(expect.objectContaining({ errors, warnings }));
+  });
+
+  test("reports a repeated offerKey, told apart by the instruments the rows list", () => {
+    const text = feedCsv(
+      "Neo offer,Flat 10% off,,https://x.test/a,Axis Bank Neo Credit Card,",
+      "Neo offer,Flat 10% off,,https://x.test/a,Axis Bank Neo Credit Card,",
+      "Neo offer,Flat 10% off,,https://x.test/a,RBL Bank Play Credit Card,",
+      "Other offer,Flat 10% off,,https://x.test/a,Axis Bank Neo Credit Card,"
+    );
+    expect(lintOfferFeed(FEED, text, known).warnings).toEqual([
+      "Duplicate offer (same offerKey as an earlier row) (row 3=2)",
+      "Same offerKey as an earlier row with other instruments (a card on both shows only the earlier one) (row 4=2)",
+    ]);
+  });
+});
+
+describe("lintPermanentFeed", () => {
+  const PERMANENT = { id: "permanent", file: "permanent_offers.csv", kind: "permanent", required: ["card", "desc"] };
+
+  test("checks card names, benefit text and repeated cards", () => {
+    const text = [
+      "Credit Card Name,Movie Benefit,image",
+      "Axis Bank Neo Credit Card,Buy 1 get 1,",
+      "Axis Bank Nova Credit Card,,",
+      "axis bank neo credit card,25% off,n/a",
+      ",25% off,",
+    ].join("\n");
+    expect(lintPermanentFeed(PERMANENT, text, known)).toEqual({
+      rows: 4,
+      errors: [],
+      warnings: [
+        'Unknown credit card "Axis Bank Nova Credit Card" (not in allCards.csv) (row 3)',
+        "Missing benefit text (row 3)",
+        'Placeholder image "n/a" (row 4)',
+        "Duplicate card (same card as an earlier row) (row 4=2)",
+        "Missing card name (row 5)",
+      ],
+    });
+  });
+
+  test("needs its card column", () => {
+    const { errors } = lintPermanentFeed(PERMANENT, "Movie Benefit\nBuy 1 get 1", known);
+    expect(errors).toEqual([expect.stringMatching(/^Missing card column/)]);
+  });
+});
+
+describe("lintAllCards", () => {
+  test("reports repeated names per card type and unparseable rows", () => {
+    const text = `${ALL_CARDS}\nAxis Bank Neo Credit Card,HDFC Bank Millennia Debit Card,\n`;
+    expect(lintAllCards({ file: "allCards.csv", required: ["credit", "debit"] }, text)).toEqual({
+      rows: 3,
+      errors: ["Unparseable row: Too many fields: expected 2 fields but parsed 3 (row 4)"],
+      warnings: ["Duplicate credit card name (row 4=2)", "Duplicate debit card name (row 4=2)"],
+    });
+  });
+});
+
+describe("lintCardAliases", () => {
+  const SPEC = { file: "card_aliases.csv", required: ["alias", "canonical"] };
+
+  test("reports unusable rows, unknown canonical names and near-duplicate cards", () => {
+    const text = [
+      "Alias,Canonical,Match",
+      "RBL PLAY Credit Card,RBL Bank Play Credit Card,",
+      "Neo,Axis Bank Neo Platinum Credit Card,",
+      "Amex,American Express,words",
+      ",Axis Bank Neo Credit Card,",
+    ].join("\n");
+    const nearDuplicates = [{ type: "credit", names: ["SBI Card Elite", "SBI Elite Credit Card"] }];
+    expect(lintCardAliases(SPEC, text, known, nearDuplicates)).toEqual({
+      rows: 4,
+      errors: ["row 5: needs an Alias and a Canonical name"],
+      warnings: [
+        'Canonical name "Axis Bank Neo Platinum Credit Card" is not in allCards.csv (row 3)',
+        'Possible duplicate credit cards: "SBI Card Elite", "SBI Elite Credit Card" (add an alias row)',
+      ],
+    });
+  });
+});
@@ -0,0 +1,154 @@
+// src/offerService.js
+// The engine calls the UI needs, as one object holding the loaded data set. It runs inside
+// the offers Web Worker (offerWorker.js), or on the main thread where there is no Worker
+// (offerClient.js); answers are plain data either way, so they survive postMessage.
+//
+//   const service = createOfferService(fetchFile);  // fetchFile(file) -> { text, date }
+//   await service.load()                  -> catalog: { feeds, errors, failed, instruments, offered, updatedAt }
+//   service.search("hdfc regalia")        -> search() sections
+//   service.findOffers(entry, options)    -> { lists, expiredCount }, memoized per entry + options
+//   service.findBankOffers(bank, options) -> { products, expiredCount }, memoized likewise
+//   service.findChanges(entry)            -> { all, card }: what changed since the last recorded feed version
+import {
+  buildSearchIndex,
+  emptyFeeds,
+  findBankOffers,
+  findOffers,
+  listInstruments,
+  listOfferedInstruments,
+  loadFailures,
+  loadFeeds,
+  search,
+} from "./offerEngine.js";
+import { currentChanges, offerFirstSeen, offerHash } from "./offerChanges.js";
+
+/** Feed entry without its rows: what offer wrappers and the catalog carry */
+const feedMeta = ({ rows, ...meta }) => meta;
+
+/** diffSnapshots() result without its per-card lists (findChanges() picks out one card's) */
+const changesMeta = ({ cards, ...meta }) => meta;
+
+const NO_CARD_CHANGES = { added: [], removed: [], modified: [] };
+
+/** Catalog before the first load finishes */
+export function emptyCatalog() {
+  const data = emptyFeeds();
+  return {
+    feeds: [],
+    errors: {},
+    failed: loadFailures(data),
+    instruments: listInstruments(data),
+    offered: listOfferedInstruments(data),
+    updatedAt: null,
+  };
+}
+
+export function createOfferService(fetchFile) {
+  let data = emptyFeeds();
+  const metaById = new Map(); // feed id -> feedMeta(feed)
+  // `${entry key}|${options}` -> findOffers() / findBankOffers() result for the current data set
+  const offersCache = new Map();
+  let takenAt = new Date(); // when the loaded feeds were published, as far as we know
+  let tracked = null; // currentChanges() for the data set, worked out on the first findChanges()
+
+  /** When an offer row was first seen (ISO date), null if not known */
+  const firstSeen = (feed, row) =>
+    offerFirstSeen(data.history?.latest, feed.id, offerHash(row, feed), takenAt);
+
+  /** Offer wrappers with their feed swapped for its rowless catalog entry, plus `firstSeen` */
+  const plainLists = (lists) => {
+    const out = {};
+    for (const [id, wrappers] of Object.entries(lists)) {
+      out[id] = wrappers.map((w) => ({
+        ...w,
+        feed: metaById.get(w.feed.id),
+        firstSeen: firstSeen(w.feed, w.offer),
+      }));
+    }
+    return out;
+  };
+  // Only these options reach the engine (and the cache key)
+  const matchOptions = ({ showExpired = false, hideOtherVariants = false } = {}) => ({
+    showExpired,
+    hideOtherVariants,
+  });
+
+  return {
+    /**
+     * (Re)load feeds.json and its CSVs, and precompute the instrument lists and search
+     * index. `updatedAt` is the oldest response Date, i.e. how stale the offers can be;
+     * `failed` names the files that didn't load (see loadFailures()).
+     */
+    async load() {
+      const dates = [];
+      const next = await loadFeeds(async (file) => {
+        const { text, date } = await fetchFile(file);
+        const when = new Date(date);
+        if (date && !Number.isNaN(when.getTime())) dates.push(when);
+        return text;
+      });
+
+      data = next;
+      metaById.clear();
+      data.feeds.forEach((feed) => metaById.set(feed.id, feedMeta(feed)));
+      offersCache.clear();
+      buildSearchIndex(data);
+      const updatedAt = dates.length ? new Date(Math.min(...dates)) : null;
+      takenAt = updatedAt || new Date();
+      tracked = null;
+
+      return {
+        feeds: [...metaById.values()],
+        errors: data.errors,
+        failed: loadFailures(data),
+        instruments: listInstruments(data),
+        offered: listOfferedInstruments(data),
+        updatedAt,
+      };
+    },
+
+    search(query) {
+      return search(data, query);
+    },
+
+    findOffers(entry, options) {
+      const key = [
+        ...(entry ? [entry.type, entry.baseNorm, entry.bin, entry.network, entry.variant] : []),
+        ...Object.values(matchOptions(options)),
+      ].join("|");
+      if (offersCache.has(key)) return offersCache.get(key);
+
+      const { lists, expiredCount } = findOffers(data, entry, matchOptions(options));
+      const out = { lists: plainLists(lists), expiredCount };
+      offersCache.set(key, out);
+      return out;
+    },
+
+    findBankOffers(bank, options) {
+      const key = ["bank", bank, ...Object.values(matchOptions(options))].join("|");
+      if (offersCache.has(key)) return offersCache.get(key);
+
+      const { products, expiredCount } = findBankOffers(data, bank, matchOptions(options));
+      const out = {
+        products: products.map((p) => ({ ...p, lists: plainLists(p.lists) })),
+        expiredCount,
+      };
+      offersCache.set(key, out);
+      return out;
+    },
+
+    /**
+     * `all`: the changes since the last recorded feed version per site (see
+     * currentChanges()), null if none are known; `card`: the offers added, removed and
+     * modified for `entry`. Diffing every offer takes a while, so load() leaves it to here.
+     */
+    findChanges(entry) {
+      if (!tracked) tracked = currentChanges(data, data.history, takenAt);
+      const { changes } = tracked;
+      return {
+        all: changes && changesMeta(changes),
+        card: (entry && changes?.cards[entry.display]) || NO_CARD_CHANGES,
+      };
+    },
+  };
+}
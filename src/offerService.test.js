@@ -0,0 +1,62 @@
+import fs from "fs";
+import path from "path";
+import { createOfferService, emptyCatalog } from "./offerService";
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+// PVR.csv comes from an old cached copy
+const OLD_COPY = "Sun, 12 Oct 2025 10:00:00 GMT";
+const fetchFile = (file) =>
+  fs.promises.readFile(path.join(PUBLIC_DIR, file), "utf8").then((text) => ({
+    text,
+    date: file === "PVR.csv" ? OLD_COPY : new Date().toUTCString(),
+  }));
+
+let service;
+let catalog;
+beforeAll(async () => {
+  service = createOfferService(fetchFile);
+  catalog = await service.load();
+});
+
+test("reports the catalog without feed rows", () => {
+  expect(catalog.errors).toEqual({});
+  expect(catalog.failed).toEqual({ registry: null, cards: null, feeds: {} });
+  expect(catalog.feeds.length).toBeGreaterThan(0);
+  expect(catalog.feeds.every((f) => f.id && !("rows" in f))).toBe(true);
+  expect(catalog.instruments.credit.length).toBeGreaterThan(0);
+  expect(catalog.offered.credit).toContain("Axis Bank Neo Credit Card");
+  expect(catalog.updatedAt).toEqual(new Date(OLD_COPY));
+});
+
+test("matches offers whose feed is the rowless catalog entry", () => {
+  const [neo] = service.search("Axis Bank Neo Credit Card")[0].items;
+  const { lists } = service.findOffers(neo);
+  expect(lists.bookmyshow.length).toBeGreaterThan(0);
+  expect(lists.bookmyshow[0].feed).toEqual(catalog.feeds.find((f) => f.id === "bookmyshow"));
+});
+
+test("memoizes matches until the feeds reload", async () => {
+  const [neo] = service.search("Axis Bank Neo Credit Card")[0].items;
+  const first = service.findOffers(neo, { showExpired: true });
+  expect(service.findOffers(neo, { showExpired: true })).toBe(first);
+  expect(service.findOffers(neo)).not.toBe(first);
+
+  await service.load();
+  expect(service.findOffers(neo, { showExpired: true })).not.toBe(first);
+});
+
+test("groups a bank's offers by product with rowless feeds", () => {
+  const { products } = service.findBankOffers("Axis Bank");
+  const neo = products.find((p) => p.entry.display === "Axis Bank Neo Credit Card");
+  expect(neo.count).toBeGreaterThan(0);
+  expect(neo.lists.bookmyshow[0].feed).toEqual(catalog.feeds.find((f) => f.id === "bookmyshow"));
+  expect(service.findBankOffers("Axis Bank")).toBe(service.findBankOffers("Axis Bank"));
+});
+
+test("starts out empty", () => {
+  const empty = emptyCatalog();
+  expect(empty.feeds).toEqual([]);
+  expect(empty.instruments.credit).toEqual([]);
+  expect(empty.offered.nonPayment).toEqual([]);
+  expect(createOfferService(fetchFile).findOffers(null).expiredCount).toBe(0);
+});
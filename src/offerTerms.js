@@ -0,0 +1,298 @@
+// src/offerTerms.js
+/** -------------------- T&C PARSER -------------------- */
+// Pulls the commercial terms (discount, cap, minimum spend, frequency…) out of the
+// free-text "Terms and Conditions" / "Description" cells of the offer CSVs.
+
+const CUR = String.raw`(?:₹|rs\.?|inr|\?)`; // feeds sometimes mangle "₹" into "?"
+const AMOUNT = String.raw`(\d[\d,]*(?:\.\d+)?)`;
+const NUM_WORDS = {
+  a: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  once: 1,
+  twice: 2,
+  thrice: 3,
+};
+const NUM = String.raw`(\d+|one|two|three|four|five|six)`;
+
+const BOGO_RE =
+  /\b(?:buy\s*(?:1|one)\s*(?:movie\s+)?(?:ticket\s+)?(?:and\s+)?get\s*(?:1|one)|b1g1|bogo|1\s*\+\s*1)\b|100\s*%\s*off\s+on\s+(?:the\s+|a\s+)?(?:second|2nd)\b|\b(?:second|2nd)\s+(?:movie\s+)?ticket\s+free\b/;
+
+const MIN_RE = /\bmin(?:imum)?\b/;
+const CAP_RE = /\b(?:up\s*-?\s*to|upto|max(?:imum)?|capped\s+at|exceed|worth)\b/;
+const FLAT_RE = /\b(?:flat|off|discount|cashback)\b/;
+
+const toNumber = (s) => {
+  if (s === undefined || s === null) return null;
+  const key = String(s).toLowerCase();
+  if (NUM_WORDS[key] !== undefined) return NUM_WORDS[key];
+  const n = parseFloat(key.replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+/** Lowercase, one sentence per entry (splits on new lines, ";" and ". " before a capital) */
+function toSentences(text) {
+  return String(text || "")
+    .split(/\n|\r|;|\.\s+(?=[A-Z])/)
+    .map((s) => s.toLowerCase().replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+function findPercent(sentences) {
+  for (const s of sentences) {
+    const m = s.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (m) return { value: toNumber(m[1]), sentence: s };
+  }
+  return null;
+}
+
+function findMinTickets(sentences) {
+  const patterns = [
+    new RegExp(String.raw`\bmin(?:imum)?\b[^.\d%]{0,30}?\b${NUM}\s+(?:movie\s+)?tickets?\b`),
+    new RegExp(String.raw`\bticket\s+count\s+of\s+${NUM}\b`),
+  ];
+  for (const s of sentences) {
+    for (const re of patterns) {
+      const m = s.match(re);
+      if (m) return toNumber(m[1]);
+    }
+  }
+  return null;
+}
+
+/** Classifies every currency amount by the words just before it */
+function findAmounts(sentences, percent) {
+  const out = { flatAmount: null, maxCap: null, minSpend: null };
+  const moneyRe = new RegExp(String.raw`${CUR}\s*${AMOUNT}|${AMOUNT}\s*\/-`, "g");
+
+  for (const s of sentences) {
+    for (const m of s.matchAll(moneyRe)) {
+      const value = toNumber(m[1] || m[2]);
+      if (!value) continue;
+      const before = s.slice(Math.max(0, m.index - 50), m.index);
+      const after = s.slice(m.index + m[0].length, m.index + m[0].length + 20);
+
+      const minAt = before.search(MIN_RE);
+      if (minAt >= 0 && !/%|\boff\b/.test(before.slice(minAt))) {
+        if (out.minSpend === null) out.minSpend = value;
+      } else if (CAP_RE.test(before)) {
+        if (out.maxCap === null) out.maxCap = value;
+      } else if (FLAT_RE.test(before) || FLAT_RE.test(after)) {
+        if (out.flatAmount === null) out.flatAmount = value;
+      }
+    }
+  }
+
+  // "25% instant discount up to 100 on movie tickets" – cap without a currency marker
+  if (out.maxCap === null && percent) {
+    const m = percent.sentence.match(
+      /%[^.]*?\b(?:up\s*-?\s*to|upto)\s+(\d[\d,]*)\b(?!\s*(?:%|tickets?|transactions?|times?))/
+    );
+    if (m) out.maxCap = toNumber(m[1]);
+  }
+
+  // A percent offer's "up to" is the cap, not a flat amount
+  if (percent && out.flatAmount !== null && out.flatAmount === out.maxCap) out.flatAmount = null;
+
+  return out;
+}
+
+function findFrequency(sentences) {
+  const countRe = new RegExp(
+    String.raw`\b(?:(once|twice|thrice)|${NUM}\s+times|max(?:imum)?\s+${NUM}\s+discounted\s+transactions?)\b`
+  );
+  for (const s of sentences) {
+    const m = s.match(countRe);
+    if (!m) continue;
+    const rest = s.slice(m.index);
+
+    let period = null;
+    const every = rest.match(/\bevery\s+(\d+)\s+(day|week|month|quarter|year)s?\b/);
+    const per = rest.match(/\b(?:per|every|a|in\s+a)\s+(?:calendar\s+)?(day|week|month|quarter|year)\b/);
+    if (every) period = `${every[1]} ${every[2]}s`;
+    else if (per) period = per[1];
+    else if (/\b(?:offer|campaign)\s+period\b/.test(rest)) period = "offer period";
+
+    const scopeM = rest.match(/\bper\s+(card|user|customer|account)\b/);
+    const scope = scopeM ? (scopeM[1] === "customer" ? "user" : scopeM[1]) : null;
+
+    if (!period && !scope) continue;
+    return { count: toNumber(m[1] || m[2] || m[3]), period, scope };
+  }
+  return null;
+}
+
+/**
+ * Parse free-text offer terms into a normalized offer model:
+ * { discountPercent, flatAmount, maxCap, minSpend, minTickets, frequency, bogo }
+ * Every field is null when the text doesn't mention it.
+ */
+export function parseOfferTerms(text) {
+  const sentences = toSentences(text);
+  const percent = findPercent(sentences);
+  const amounts = findAmounts(sentences, percent);
+
+  return {
+    discountPercent: percent ? percent.value : null,
+    flatAmount: amounts.flatAmount,
+    maxCap: amounts.maxCap,
+    minSpend: amounts.minSpend,
+    minTickets: findMinTickets(sentences),
+    frequency: findFrequency(sentences),
+    bogo: sentences.some((s) => BOGO_RE.test(s)),
+  };
+}
+
+/** True when the parser found at least one usable term */
+export function hasParsedTerms(terms) {
+  if (!terms) return false;
+  return Object.values(terms).some((v) => v !== null && v !== undefined && v !== false);
+}
+
+/**
+ * Ordered [{ id, value }] rows for the structured summary on an offer card. `id` names the
+ * term ("offer", "discount", "flat", "maxCap", "minSpend", "minTickets", "usage") and
+ * `value` is what parseOfferTerms() found for it: a percent, rupees, a ticket count, the
+ * frequency object, or true for a Buy 1 Get 1 "offer". The UI words both.
+ */
+export function summarizeTerms(terms) {
+  if (!terms) return [];
+  const rows = [];
+  const row = (id, value) => rows.push({ id, value });
+  if (terms.bogo) row("offer", true);
+  if (!terms.bogo && terms.discountPercent !== null) row("discount", terms.discountPercent);
+  if (terms.flatAmount !== null) row("flat", terms.flatAmount);
+  if (terms.maxCap !== null) row("maxCap", terms.maxCap);
+  if (terms.minSpend !== null) row("minSpend", terms.minSpend);
+  if (terms.minTickets !== null) row("minTickets", terms.minTickets);
+  if (terms.frequency) row("usage", terms.frequency);
+  return rows;
+}
+
+/** -------------------- VALIDITY DATES -------------------- */
+export const ENDING_SOON_DAYS = 7;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DATE = String.raw`(\d{1,2}(?:st|nd|rd|th)?[\s-]*(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?[\s-]*\d{4}|\d{1,2}[/-]\d{1,2}[/-]\d{4}|\d{4}-\d{2}-\d{2})`;
+
+/** "31st March 2026" | "31 Dec 2026" | "31/03/2026" (day first) | "2026-03-31" -> local Date */
+export function parseDate(str) {
+  const s = String(str || "").trim().toLowerCase();
+  if (!s) return null;
+  let y;
+  let m;
+  let d;
+
+  let hit = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (hit) [, y, m, d] = hit.map(Number);
+  if (!hit && (hit = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/))) [, d, m, y] = hit.map(Number);
+  if (!hit && (hit = s.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]*([a-z]{3})[a-z]*\.?,?[\s-]*(\d{4})/))) {
+    d = Number(hit[1]);
+    m = MONTHS.indexOf(hit[2]) + 1;
+    y = Number(hit[3]);
+  }
+  if (!hit || !m || m > 12 || !d || d > 31) return null;
+  const date = new Date(y, m - 1, d);
+  return date.getMonth() === m - 1 ? date : null;
+}
+
+const endOfDay = (date) =>
+  date ? new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999) : null;
+
+/** Pull "valid from … to …" / "valid till …" phrases out of T&C text -> { validFrom, validTill } */
+export function parseOfferDates(text) {
+  const s = String(text || "").toLowerCase().replace(/\s+/g, " ");
+  const range = s.match(
+    new RegExp(String.raw`\bvalid\s+(?:from\s+)?${DATE}\s+(?:to|till|until|-)\s+${DATE}`)
+  );
+  if (range) return { validFrom: parseDate(range[1]), validTill: endOfDay(parseDate(range[2])) };
+
+  const till = s.match(
+    new RegExp(
+      String.raw`\b(?:valid|ends?|expires?|available)\s+(?:till|until|upto|up\s*to|through|on\s+or\s+before)\s+${DATE}`
+    )
+  );
+  const from = s.match(new RegExp(String.raw`\bvalid\s+from\s+${DATE}`));
+  return {
+    validFrom: from ? parseDate(from[1]) : null,
+    validTill: till ? endOfDay(parseDate(till[1])) : null,
+  };
+}
+
+/** "expired" | "ending-soon" | "upcoming" | "active" for { validFrom, validTill } */
+export function offerStatus(dates, now = new Date()) {
+  const { validFrom, validTill } = dates || {};
+  if (validTill && validTill < now) return "expired";
+  if (validFrom && validFrom > now) return "upcoming";
+  if (validTill && validTill - now <= ENDING_SOON_DAYS * 24 * 60 * 60 * 1000) return "ending-soon";
+  return "active";
+}
+
+export const formatDate = (date) =>
+  date ? date.toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" }) : "";
+
+/** -------------------- BINs -------------------- */
+/** "Valid on BINs: 43999200 44434100 …" -> ["43999200", "44434100", …] */
+export function extractBins(text) {
+  const out = new Set();
+  const re = /\bBINs?\b\s*(?:range|series)?\s*:?\s*((?:\d{6,8}\b[\s,;/&)]*(?:and\s+)?)+)/gi;
+  for (const m of String(text || "").matchAll(re)) {
+    for (const bin of m[1].match(/\d{6,8}/g) || []) out.add(bin);
+  }
+  return Array.from(out);
+}
+
+/** User typed "4399 92…" -> "439992" when it looks like the start of a card number (6–8 digits) */
+export function asBinQuery(text) {
+  const digits = String(text || "").replace(/[\s-]/g, "");
+  return /^\d{6,8}$/.test(digits) ? digits : "";
+}
+
+/** BINs of different lengths match on their common prefix (at least 6 digits) */
+export function binMatches(query, bin) {
+  const n = Math.min(String(query).length, String(bin).length);
+  return n >= 6 && String(query).slice(0, n) === String(bin).slice(0, n);
+}
+
+/** -------------------- SAVINGS -------------------- */
+/**
+ * Rupees saved on a booking of { tickets, amount } under parsed terms.
+ * Returns { saving, eligible, why, estimate } – `estimate` is set when the terms only say
+ * "up to ₹X" and the real discount can't be worked out. `why` says what stops the offer,
+ * for the UI to word: { code: "noAmount" | "minTickets" | "minSpend" | "notStated",
+ * count?, amount? }, null when eligible.
+ */
+export function computeSavings(terms, booking) {
+  const amount = Math.max(0, Number(booking?.amount) || 0);
+  const tickets = Math.max(1, Math.floor(Number(booking?.tickets) || 1));
+  const none = (why) => ({ saving: 0, eligible: false, why, estimate: false });
+
+  if (!terms || !amount) return none({ code: "noAmount" });
+  if (terms.minTickets && tickets < terms.minTickets) {
+    return none({ code: "minTickets", count: terms.minTickets });
+  }
+  if (terms.minSpend && amount < terms.minSpend) return none({ code: "minSpend", amount: terms.minSpend });
+
+  const cap = (n) => (terms.maxCap !== null ? Math.min(n, terms.maxCap) : n);
+  let saving = null;
+  let estimate = false;
+
+  if (terms.bogo) {
+    if (tickets < 2) return none({ code: "minTickets", count: 2 });
+    saving = cap(amount / tickets);
+  } else if (terms.discountPercent !== null) {
+    saving = cap((amount * terms.discountPercent) / 100);
+  } else if (terms.flatAmount !== null) {
+    saving = terms.flatAmount;
+  } else if (terms.maxCap !== null) {
+    saving = terms.maxCap;
+    estimate = true;
+  }
+
+  if (saving === null) return none({ code: "notStated" });
+  return { saving: Math.round(Math.min(saving, amount)), eligible: true, why: null, estimate };
+}
@@ -0,0 +1,208 @@
+import {
+  ENDING_SOON_DAYS,
+  asBinQuery,
+  binMatches,
+  computeSavings,
+  extractBins,
+  hasParsedTerms,
+  offerStatus,
+  parseDate,
+  parseOfferDates,
+  parseOfferTerms,
+  summarizeTerms,
+} from "./offerTerms";
+
+const NO_TERMS = {
+  discountPercent: null,
+  flatAmount: null,
+  maxCap: null,
+  minSpend: null,
+  minTickets: null,
+  frequency: null,
+  bogo: false,
+};
+
+describe("parseOfferTerms", () => {
+  test.each([
+    ["Get 50% discount up to Rs.250 on movie tickets", { discountPercent: 50, maxCap: 250 }],
+    ["Minimum spends of Rs. 500", { minSpend: 500 }],
+    ["Offer valid once per card per month", { frequency: { count: 1, period: "month", scope: "card" } }],
+    ["Buy 1 Get 1 free on movie tickets", { bogo: true }],
+    ["Buy one ticket and get one free", { bogo: true }],
+    ["100% off on the second ticket", { discountPercent: 100, bogo: true }],
+    [
+      "25% instant discount up to 100 on movie tickets. Minimum 2 tickets per transaction",
+      { discountPercent: 25, maxCap: 100, minTickets: 2 },
+    ],
+    [
+      "Flat ₹150 off on a minimum transaction of ₹499. Max 2 times per user during the offer period",
+      { flatAmount: 150, minSpend: 499, frequency: { count: 2, period: "offer period", scope: "user" } },
+    ],
+    [
+      "Offer can be availed twice every 3 months per card",
+      { frequency: { count: 2, period: "3 months", scope: "card" } },
+    ],
+    ["Cashback of ?75 on bookings", { flatAmount: 75 }],
+    ["Valid on a minimum ticket count of two", { minTickets: 2 }],
+    ["Book now and enjoy the show", {}],
+  ])("%j", (text, found) => {
+    expect(parseOfferTerms(text)).toEqual({ ...NO_TERMS, ...found });
+  });
+
+  test("says whether it found anything", () => {
+    expect(hasParsedTerms(parseOfferTerms("Minimum spends of Rs. 500"))).toBe(true);
+    expect(hasParsedTerms(parseOfferTerms(""))).toBe(false);
+  });
+});
+
+describe("summarizeTerms", () => {
+  test("lists the terms found, in order, as values for the UI to word", () => {
+    const terms = parseOfferTerms(
+      "Get 50% discount up to Rs.250. Minimum spends of Rs. 500. Offer valid once per card per month"
+    );
+    expect(summarizeTerms(terms)).toEqual([
+      { id: "discount", value: 50 },
+      { id: "maxCap", value: 250 },
+      { id: "minSpend", value: 500 },
+      { id: "usage", value: { count: 1, period: "month", scope: "card" } },
+    ]);
+  });
+
+  test("shows a Buy 1 Get 1 offer instead of its 100% discount", () => {
+    expect(summarizeTerms(parseOfferTerms("100% off on the second ticket"))).toEqual([
+      { id: "offer", value: true },
+    ]);
+    expect(summarizeTerms(null)).toEqual([]);
+  });
+});
+
+describe("computeSavings", () => {
+  const saves = (saving, estimate = false) => ({ saving, eligible: true, why: null, estimate });
+  const blocked = (why) => ({ saving: 0, eligible: false, why, estimate: false });
+
+  test.each([
+    ["a percent off", "Get 20% off on movie tickets", { tickets: 2, amount: 600 }, saves(120)],
+    ["a percent off, capped", "Get 50% discount up to Rs.250", { tickets: 2, amount: 800 }, saves(250)],
+    ["a flat amount", "Flat ₹150 off", { tickets: 1, amount: 400 }, saves(150)],
+    ["a flat amount above the booking", "Flat ₹150 off", { tickets: 1, amount: 120 }, saves(120)],
+    ["only a cap", "Save up to Rs. 200 on tickets", { tickets: 2, amount: 600 }, saves(200, true)],
+    ["Buy 1 Get 1: one ticket's price", "Buy 1 Get 1 free", { tickets: 3, amount: 900 }, saves(300)],
+    [
+      "Buy 1 Get 1: one ticket's price, capped",
+      "Buy 1 Get 1 free, maximum discount of Rs. 250",
+      { tickets: 2, amount: 700 },
+      saves(250),
+    ],
+    [
+      "Buy 1 Get 1 on one ticket",
+      "Buy 1 Get 1 free",
+      { tickets: 1, amount: 300 },
+      blocked({ code: "minTickets", count: 2 }),
+    ],
+    [
+      "too few tickets",
+      "25% off. Minimum 2 tickets per transaction",
+      { tickets: 1, amount: 300 },
+      blocked({ code: "minTickets", count: 2 }),
+    ],
+    [
+      "too small a spend",
+      "10% off. Minimum spends of Rs. 500",
+      { tickets: 1, amount: 300 },
+      blocked({ code: "minSpend", amount: 500 }),
+    ],
+    ["no booking amount", "Get 20% off", { tickets: 2, amount: 0 }, blocked({ code: "noAmount" })],
+    [
+      "no discount in the terms",
+      "Book now and enjoy the show",
+      { tickets: 2, amount: 600 },
+      blocked({ code: "notStated" }),
+    ],
+  ])("%s", (_, text, booking, result) => {
+    expect(computeSavings(parseOfferTerms(text), booking)).toEqual(result);
+  });
+});
+
+describe("BINs", () => {
+  test.each([
+    ["Valid on BINs: 43999200 44434100", ["43999200", "44434100"]],
+    ["Offer valid for BIN 524193, 524194 and 52419500 only", ["524193", "524194", "52419500"]],
+    ["bin series: 40000000/40000001; BIN 40000000", ["40000000", "40000001"]],
+    ["Call 18001234567 for help", []],
+    ["BIN: 12345", []],
+  ])("extractBins(%j)", (text, bins) => {
+    expect(extractBins(text)).toEqual(bins);
+  });
+
+  test.each([
+    ["4399 92", "439992"],
+    ["4399-9200", "43999200"],
+    ["43999", ""],
+    ["439992001", ""],
+    ["Axis 4399", ""],
+  ])("asBinQuery(%j)", (typed, query) => {
+    expect(asBinQuery(typed)).toBe(query);
+  });
+
+  test.each([
+    ["439992", "43999200", true],
+    ["43999200", "439992", true],
+    ["43999201", "43999200", false],
+    ["439993", "43999200", false],
+    ["43999", "43999200", false],
+  ])("binMatches(%j, %j) is %s", (query, bin, matches) => {
+    expect(binMatches(query, bin)).toBe(matches);
+  });
+});
+
+describe("validity dates", () => {
+  const day = (y, m, d, ...time) => new Date(y, m - 1, d, ...time);
+  const endOf = (y, m, d) => day(y, m, d, 23, 59, 59, 999);
+
+  test.each([
+    ["31st March 2026", day(2026, 3, 31)],
+    ["31 Dec 2026", day(2026, 12, 31)],
+    ["1-Oct-2025", day(2025, 10, 1)],
+    ["31/03/2026", day(2026, 3, 31)],
+    ["2026-03-31", day(2026, 3, 31)],
+    ["31/02/2026", null],
+    ["13/13/2026", null],
+    ["soon", null],
+  ])("parseDate(%j)", (text, date) => {
+    expect(parseDate(text)).toEqual(date);
+  });
+
+  test.each([
+    [
+      "Offer valid from 1st Oct 2025 to 31st Oct 2025",
+      { validFrom: day(2025, 10, 1), validTill: endOf(2025, 10, 31) },
+    ],
+    ["Valid till 31/12/2025 on all shows", { validFrom: null, validTill: endOf(2025, 12, 31) }],
+    ["Offer expires on or before 2025-03-31.", { validFrom: null, validTill: endOf(2025, 3, 31) }],
+    ["Valid from 5 Jan 2026", { validFrom: day(2026, 1, 5), validTill: null }],
+    ["Valid on weekends", { validFrom: null, validTill: null }],
+  ])("parseOfferDates(%j)", (text, dates) => {
+    expect(parseOfferDates(text)).toEqual(dates);
+  });
+
+  describe("offerStatus around the last day", () => {
+    const dates = parseOfferDates("Offer valid from 1st Oct 2025 to 31st Oct 2025");
+    const soon = new Date(endOf(2025, 10, 31) - ENDING_SOON_DAYS * 24 * 60 * 60 * 1000);
+
+    test.each([
+      ["the day before it starts", day(2025, 9, 30, 23, 59), "upcoming"],
+      ["its first day", day(2025, 10, 1), "active"],
+      [`just over ${ENDING_SOON_DAYS} days before it ends`, new Date(soon - 1), "active"],
+      [`${ENDING_SOON_DAYS} days before it ends`, soon, "ending-soon"],
+      ["the last minute of its last day", day(2025, 10, 31, 23, 59), "ending-soon"],
+      ["the next day", day(2025, 11, 1), "expired"],
+    ])("%s", (_, now, status) => {
+      expect(offerStatus(dates, now)).toBe(status);
+    });
+
+    test("is active without dates", () => {
+      expect(offerStatus(parseOfferDates("Valid on weekends"), day(2025, 10, 1))).toBe("active");
+      expect(offerStatus(null)).toBe("active");
+    });
+  });
+});
@@ -0,0 +1,25 @@
+/* eslint-disable no-restricted-globals */
+// src/offerWorker.js
+// Web Worker entry: parses the feeds and answers search/match requests off the main thread.
+// Messages: { id, method, args } -> { id, result } or { id, error }, where `method` is one
+// of offerService's ("load", "search", "findOffers", "findBankOffers", "findChanges").
+// Started by startOfferWorker.js; offerClient.js wraps it in promises.
+import { createOfferService } from "./offerService.js";
+
+/** Feed file text plus its response Date (from the network or the service worker cache) */
+async function fetchFile(file) {
+  const res = await fetch(`/${encodeURIComponent(file)}`);
+  if (!res.ok) throw new Error(`Request failed with status code ${res.status}`);
+  return { text: await res.text(), date: res.headers.get("date") };
+}
+
+const service = createOfferService(fetchFile);
+
+self.onmessage = async ({ data: { id, method, args = [] } }) => {
+  try {
+    const result = await service[method](...args);
+    self.postMessage({ id, result });
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,110 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js.
+// - App shell: precached, so the page opens offline.
+// - Offer feeds (feeds.json + the CSVs and offer history it lists): served from cache
+//   straight away and revalidated in the background; pages are told when a newer copy lands.
+// - Notifications: a click on a followed-instrument alert opens the app.
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+import { BroadcastUpdatePlugin } from "workbox-broadcast-update";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+/** -------------------- APP SHELL -------------------- */
+// Navigations get index.html, except /_ paths and URLs for files (e.g. /PVR.csv)
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+/** -------------------- FEEDS -------------------- */
+// Same name as FEED_CACHE in serviceWorkerRegistration.js (not importable here: it uses window)
+const FEED_CACHE = "offer-feeds";
+const REGISTRY_URL = `${process.env.PUBLIC_URL}/feeds.json`;
+// Default name; feeds.json's "history" can point elsewhere (then it's only cached on install)
+const HISTORY_URL = `${process.env.PUBLIC_URL}/offer_history.json`;
+
+const isFeedRequest = (url) =>
+  url.origin === self.location.origin &&
+  (/\.csv$/i.test(url.pathname) ||
+    url.pathname === new URL(REGISTRY_URL, self.location).pathname ||
+    url.pathname === new URL(HISTORY_URL, self.location).pathname);
+
+registerRoute(
+  ({ url }) => isFeedRequest(url),
+  new StaleWhileRevalidate({
+    cacheName: FEED_CACHE,
+    plugins: [
+      // Compares Content-Length/ETag/Last-Modified of the cached and fresh copies
+      new BroadcastUpdatePlugin(),
+      new ExpirationPlugin({ maxEntries: 50, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+/** Files feeds.json points at (cards, BIN map, card aliases, offer history, every feed's CSV) */
+function registryFiles(registry) {
+  const files = [
+    registry?.cards || "allCards.csv",
+    registry?.binMap || "bin_map.csv",
+    registry?.aliases || "card_aliases.csv",
+    registry?.history || "offer_history.json",
+  ];
+  for (const feed of Array.isArray(registry?.feeds) ? registry.feeds : []) {
+    if (feed?.file) files.push(feed.file);
+  }
+  return files.map((f) => `${process.env.PUBLIC_URL}/${encodeURIComponent(f)}`);
+}
+
+// Warm the feed cache on install so a first visit is enough to work offline later
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      try {
+        const cache = await caches.open(FEED_CACHE);
+        const res = await fetch(REGISTRY_URL, { cache: "no-cache" });
+        if (!res.ok) return;
+        await cache.put(REGISTRY_URL, res.clone());
+        const urls = registryFiles(await res.json());
+        await Promise.all(
+          urls.map((url) =>
+            fetch(url, { cache: "no-cache" })
+              .then((r) => (r.ok ? cache.put(url, r) : null))
+              .catch(() => null)
+          )
+        );
+      } catch (e) {
+        // Offline or a bad feeds.json: the runtime route fills the cache on the next load
+      }
+    })()
+  );
+});
+
+/** -------------------- UPDATES -------------------- */
+// serviceWorkerRegistration.js asks a waiting worker to take over
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+/** -------------------- NOTIFICATIONS -------------------- */
+// Followed-instrument alerts (shown by the page through this worker): a click brings the
+// app forward, opening it if no tab has it
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      if (windows.length) return windows[0].focus();
+      return self.clients.openWindow(`${process.env.PUBLIC_URL}/`);
+    })()
+  );
+});
@@ -0,0 +1,96 @@
+// src/serviceWorkerRegistration.js
+// Registers build/service-worker.js (from src/service-worker.js) in production builds so the
+// app shell and offer feeds keep working with a poor or no connection.
+
+/** Cache the worker keeps feeds.json and the CSVs in; see src/service-worker.js */
+export const FEED_CACHE = "offer-feeds";
+
+const isLocalhost = () =>
+  Boolean(
+    window.location.hostname === "localhost" ||
+      window.location.hostname === "[::1]" ||
+      window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+  );
+
+/**
+ * Register the service worker once the page has loaded. `onUpdate(registration)` fires
+ * when a new app version is installed and waiting, `onSuccess(registration)` when the
+ * app is cached for offline use the first time.
+ */
+export function register({ onUpdate, onSuccess } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+  // The worker only controls pages under PUBLIC_URL's origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost()) checkValidServiceWorker(swUrl, { onUpdate, onSuccess });
+    else registerValidSW(swUrl, { onUpdate, onSuccess });
+  });
+}
+
+function registerValidSW(swUrl, { onUpdate, onSuccess }) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== "installed") return;
+          // An existing controller means this is an update, not the first install
+          if (navigator.serviceWorker.controller) onUpdate?.(registration);
+          else onSuccess?.(registration);
+        };
+      };
+    })
+    .catch((e) => {
+      console.debug("[HotelOffers] service worker registration error:", e);
+    });
+}
+
+/** On localhost, drop a stale worker left by another app on the same port */
+function checkValidServiceWorker(swUrl, callbacks) {
+  fetch(swUrl, { headers: { "Service-Worker": "script" } })
+    .then((res) => {
+      const contentType = res.headers.get("content-type");
+      if (res.status === 404 || (contentType && !contentType.includes("javascript"))) {
+        navigator.serviceWorker.ready.then((registration) =>
+          registration.unregister().then(() => window.location.reload())
+        );
+      } else {
+        registerValidSW(swUrl, callbacks);
+      }
+    })
+    .catch(() => {
+      console.debug("[HotelOffers] offline: using the cached app");
+    });
+}
+
+/** Let a waiting worker take over; the next load runs the new version */
+export function activateUpdate(registration) {
+  registration?.waiting?.postMessage({ type: "SKIP_WAITING" });
+}
+
+/**
+ * Call `callback(url)` whenever the worker's background revalidation stores a changed
+ * copy of a feed file. Returns an unsubscribe function.
+ */
+export function onFeedsUpdated(callback) {
+  if (!("serviceWorker" in navigator)) return () => {};
+  const onMessage = (event) => {
+    const { type, payload } = event.data || {};
+    if (type === "CACHE_UPDATED" && payload?.cacheName === FEED_CACHE) callback(payload.updatedURL);
+  };
+  navigator.serviceWorker.addEventListener("message", onMessage);
+  return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((e) => console.debug("[HotelOffers] service worker unregister error:", e));
+}
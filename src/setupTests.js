@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no Web Worker (and Jest can't parse the `import.meta.url` that starts one):
+// offerClient.js falls back to running the offers engine on the main thread
+jest.mock('./startOfferWorker', () => ({ startOfferWorker: () => null }));
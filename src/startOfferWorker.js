@@ -0,0 +1,9 @@
+// src/startOfferWorker.js
+// Kept apart from offerClient.js: webpack bundles offerWorker.js from this `new URL(…,
+// import.meta.url)`, which Jest can't parse, so tests mock this module (setupTests.js).
+
+/** The offers Web Worker, or null where the browser has none */
+export function startOfferWorker() {
+  if (typeof Worker === "undefined") return null;
+  return new Worker(new URL("./offerWorker.js", import.meta.url));
+}